@@ -0,0 +1,352 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var _ = require('lodash');
+
+var recordNormalizer = require('./recordNormalizer');
+
+/**
+ * Analyzes the series of a complete Runkeeper fitness activity:
+ *  distance: [{timestamp, distance}, ...] - cumulative distance in meters
+ *  heart_rate: [{timestamp, heart_rate}, ...] - beats per minute
+ *  path: [{timestamp, altitude, ...}, ...] - altitude in meters
+ * Timestamps are seconds since the start of the activity.
+ * See https://runkeeper.com/developer/healthgraph/fitness-activities for more information.
+ */
+
+var METERS_PER_MILE = 1609.344;
+
+// distances of the best efforts in meters
+var bestEffortDistances = {
+	'1k': 1000,
+	'5k': 5000,
+	'10k': 10000
+};
+
+// default lower boundaries of heart rate zones 1 - 5, in percent of the heart rate reserve (or of the maximum heart rate
+// if the resting heart rate is unknown)
+var DEFAULT_ZONES = [50, 60, 70, 80, 90];
+
+// minimum change of altitude in meters that counts as elevation gain or loss; smaller changes are GPS noise
+var ELEVATION_THRESHOLD = 3;
+
+/**
+ * Rounds a number to two decimals.
+ */
+var round = function(value) {
+	return Math.round(value * 100) / 100;
+};
+
+/**
+ * Returns the samples of a series that have a numeric value, ordered by timestamp.
+ * @param series - [{timestamp, <field>}, ...]
+ * @param field - name of the sample value
+ */
+var getSamples = function(series, field) {
+	return _.sortBy(_.filter(series, function(sample) {
+		return (typeof sample.timestamp === 'number') && (typeof sample[field] === 'number');
+	}), 'timestamp');
+};
+
+/**
+ * Returns the time (seconds since the start) at which a distance was reached, interpolating between the sample at
+ * index and the previous sample.
+ * @param samples - distance samples
+ * @param index - index of the first sample that reached the distance
+ * @param distance - distance in meters
+ */
+var interpolateTime = function(samples, index, distance) {
+	var sample = samples[index];
+	if((index === 0) || (sample.distance === samples[index - 1].distance)) {
+		return sample.timestamp;
+	}
+	var previous = samples[index - 1];
+	var fraction = (distance - previous.distance) / (sample.distance - previous.distance);
+	return previous.timestamp + (fraction * (sample.timestamp - previous.timestamp));
+};
+
+/**
+ * Creates a function that returns the time (seconds since the start) at which a distance was reached. The distances
+ * that are looked up must not decrease: the samples are scanned once for all lookups.
+ * @param samples - distance samples
+ * @returns function(distance) - returns the time or null if the distance was not reached
+ */
+var createTimeAtDistance = function(samples) {
+	var index = 0;
+	return function(distance) {
+		while((index < samples.length) && (samples[index].distance < distance)) {
+			index++;
+		}
+		return (index < samples.length) ? interpolateTime(samples, index, distance) : null;
+	};
+};
+
+/**
+ * Computes the splits of an activity. The last split is partial unless the total distance is a multiple of the split length.
+ * @param samples - distance samples
+ * @param splitLength - split length in meters
+ * @returns [{split, distance, duration, pace}, ...] - distance in meters, duration in seconds, pace in minutes per split length
+ */
+var getSplits = function(samples, splitLength) {
+	var splits = [];
+	if(samples.length < 2) {
+		return splits;
+	}
+	var totalDistance = _.last(samples).distance;
+	var getTimeAtDistance = createTimeAtDistance(samples);
+	var startTime = samples[0].timestamp;
+	var startDistance = samples[0].distance;
+	for(var split = 1; startDistance < totalDistance; split++) {
+		var endDistance = Math.min(split * splitLength, totalDistance);
+		var endTime = getTimeAtDistance(endDistance);
+		if(endTime === null) {
+			break;
+		}
+		var distance = endDistance - startDistance;
+		var duration = endTime - startTime;
+		splits.push({
+			split: split,
+			distance: round(distance),
+			duration: round(duration),
+			pace: (distance > 0) ? round((duration / 60) / (distance / splitLength)) : null
+		});
+		startTime = endTime;
+		startDistance = endDistance;
+	}
+	return splits;
+};
+
+/**
+ * Computes the shortest time in which a distance was covered during an activity.
+ * Each distance sample is used as the end of a candidate effort; the start is interpolated. The start moves forward
+ * with the end (sliding window), so the samples are scanned twice.
+ * @param samples - distance samples
+ * @param distance - effort distance in meters
+ * @returns the time in seconds or null if the activity is shorter than the distance
+ */
+var getBestEffort = function(samples, distance) {
+	var best = null;
+	var getStartTime = createTimeAtDistance(samples);
+	_.forEach(samples, function(sample) {
+		if(sample.distance < distance + samples[0].distance) {
+			return;
+		}
+		var time = sample.timestamp - getStartTime(sample.distance - distance);
+		if((best === null) || (time < best)) {
+			best = time;
+		}
+	});
+	return (best === null) ? null : round(best);
+};
+
+/**
+ * Computes the elevation gain and loss along the path of an activity. GPS altitudes fluctuate by a few meters, so a
+ * change is only counted once the altitude moved at least ELEVATION_THRESHOLD meters away from the last counted
+ * altitude (hysteresis).
+ * @param path - path of the activity
+ * @returns {gain, loss} in meters or null if the path has no altitudes
+ */
+var getElevation = function(path) {
+	var samples = getSamples(path, 'altitude');
+	if(samples.length < 2) {
+		return null;
+	}
+	var gain = 0;
+	var loss = 0;
+	var reference = samples[0].altitude;
+	for(var i = 1; i < samples.length; i++) {
+		var delta = samples[i].altitude - reference;
+		if(Math.abs(delta) < ELEVATION_THRESHOLD) {
+			continue;
+		}
+		if(delta > 0) {
+			gain += delta;
+		}
+		else {
+			loss -= delta;
+		}
+		reference = samples[i].altitude;
+	}
+	return {gain: round(gain), loss: round(loss)};
+};
+
+/**
+ * Returns the age of the user in years at a given time.
+ * @param birthday - Runkeeper date, e.g. 'Sat, 1 Jan 1980 00:00:00'
+ * @param time - ms since the epoch
+ * @returns the age or null if the birthday is unknown
+ */
+var getAge = function(birthday, time) {
+	var birth = recordNormalizer.parseLocalTime(birthday);
+	if(isNaN(birth) || isNaN(time)) {
+		return null;
+	}
+	var birthDate = new Date(birth);
+	var date = new Date(time);
+	var age = date.getUTCFullYear() - birthDate.getUTCFullYear();
+	if((date.getUTCMonth() < birthDate.getUTCMonth()) ||
+		((date.getUTCMonth() === birthDate.getUTCMonth()) && (date.getUTCDate() < birthDate.getUTCDate()))) {
+		age--;
+	}
+	return age;
+};
+
+/**
+ * Returns the heart rate settings of a pipe, configured in the pipe configuration document:
+ *  pipe.heartRate = { max: <bpm>, resting: <bpm>, zones: [<lower boundary of zone 1 in percent>, ...] }
+ * @param pipe - data pipe configuration
+ * @returns {max, resting, zones, error} - see getHeartRateLimits; error describes an invalid configuration
+ */
+var getHeartRateSettings = function(pipe) {
+	var settings = _.assign({}, pipe.heartRate);
+	if(_.isNil(settings.zones)) {
+		return settings;
+	}
+	var valid = _.isArray(settings.zones) && (settings.zones.length > 0) && _.every(settings.zones, function(boundary, index) {
+		return (typeof boundary === 'number') && isFinite(boundary) && ((index === 0) || (boundary > settings.zones[index - 1]));
+	});
+	if(! valid) {
+		settings.error = 'Invalid heart rate settings: zones must be a list of ascending numbers (lower boundaries in percent), but is ' + JSON.stringify(settings.zones) + '.';
+	}
+	return settings;
+};
+
+/**
+ * Determines the heart rate limits for an activity.
+ * @param activity - Runkeeper fitness activity
+ * @param settings - {max, resting, zones, birthday}; if max is not set, it is estimated from the age of the user (220 - age)
+ * @returns {max, resting, max_source, zones: [{zone, min_bpm, max_bpm}, ...]} or null if the maximum heart rate is unknown
+ */
+var getHeartRateLimits = function(activity, settings) {
+	var max = Number(settings.max) || null;
+	var source = 'configuration';
+	if(! max) {
+		var age = getAge(settings.birthday, recordNormalizer.parseLocalTime(activity.start_time));
+		if(age === null) {
+			return null;
+		}
+		max = 220 - age;
+		source = 'age';
+	}
+	var resting = Number(settings.resting) || null;
+	var toBpm = function(percent) {
+		return Math.round(resting ? resting + ((percent / 100) * (max - resting)) : (percent / 100) * max);
+	};
+	var boundaries = settings.zones || DEFAULT_ZONES;
+	return {
+		max: max,
+		resting: resting,
+		max_source: source,
+		zones: _.map(boundaries, function(percent, index) {
+			return {
+				zone: index + 1,
+				min_bpm: toBpm(percent),
+				max_bpm: (index + 1 < boundaries.length) ? toBpm(boundaries[index + 1]) : null
+			};
+		})
+	};
+};
+
+/**
+ * Computes the time-weighted average and the maximum heart rate. Each sample accounts for the time until the next sample.
+ * @param samples - heart rate samples
+ * @returns {average, maximum}
+ */
+var getHeartRateStats = function(samples) {
+	var weightedSum = 0;
+	var totalSeconds = 0;
+	for(var i = 0; i < samples.length - 1; i++) {
+		var seconds = samples[i + 1].timestamp - samples[i].timestamp;
+		weightedSum += samples[i].heart_rate * seconds;
+		totalSeconds += seconds;
+	}
+	return {
+		average: (totalSeconds > 0) ? Math.round(weightedSum / totalSeconds) : samples[0].heart_rate,
+		maximum: _.max(_.map(samples, 'heart_rate'))
+	};
+};
+
+/**
+ * Computes the time spent in each heart rate zone. Each sample accounts for the time until the next sample.
+ * Time below zone 1 is reported as zone 0.
+ * @param samples - heart rate samples
+ * @param limits - heart rate limits, see getHeartRateLimits
+ * @returns [{zone, min_bpm, max_bpm, seconds}, ...]
+ */
+var getHeartRateZones = function(samples, limits) {
+	var zones = [{zone: 0, min_bpm: null, max_bpm: limits.zones[0].min_bpm, seconds: 0}].concat(_.map(limits.zones, function(zone) {
+		return _.assign({seconds: 0}, zone);
+	}));
+	_.forEach(_.initial(samples), function(sample, index) {
+		var zone = _.findLast(zones, function(zone) {
+			return (zone.min_bpm === null) || (sample.heart_rate >= zone.min_bpm);
+		});
+		zone.seconds += samples[index + 1].timestamp - sample.timestamp;
+	});
+	_.forEach(zones, function(zone) {
+		zone.seconds = round(zone.seconds);
+	});
+	return zones;
+};
+
+/**
+ * Analyzes a fitness activity.
+ * @param activity - complete Runkeeper fitness activity
+ * @param [heartRateSettings] - {max, resting, zones, birthday}; see getHeartRateLimits
+ * @returns analysis record:
+ *  {uri, type, start_time, utc_offset, duration, total_distance,
+ *   splits_km, splits_mi: see getSplits,
+ *   best_efforts: {1k, 5k, 10k} - seconds,
+ *   elevation_gain, elevation_loss - meters,
+ *   heart_rate: {average, maximum, [max_hr, resting_hr, max_hr_source, zones]} - null if no heart rate was recorded}
+ */
+var analyze = function(activity, heartRateSettings) {
+	var record = _.pick(activity, ['uri', 'type', 'start_time', 'utc_offset', 'duration', 'total_distance']);
+	var distanceSamples = getSamples(activity.distance, 'distance');
+	record.splits_km = getSplits(distanceSamples, 1000);
+	record.splits_mi = getSplits(distanceSamples, METERS_PER_MILE);
+	record.best_efforts = _.mapValues(bestEffortDistances, function(distance) {
+		return getBestEffort(distanceSamples, distance);
+	});
+
+	var elevation = getElevation(activity.path);
+	record.elevation_gain = elevation && elevation.gain;
+	record.elevation_loss = elevation && elevation.loss;
+
+	var heartRateSamples = getSamples(activity.heart_rate, 'heart_rate');
+	var limits = getHeartRateLimits(activity, heartRateSettings || {});
+	record.heart_rate = null;
+	if(heartRateSamples.length > 0) {
+		record.heart_rate = getHeartRateStats(heartRateSamples);
+		// zones require the maximum heart rate of the user
+		if(limits) {
+			_.assign(record.heart_rate, {
+				max_hr: limits.max,
+				resting_hr: limits.resting,
+				max_hr_source: limits.max_source,
+				zones: getHeartRateZones(heartRateSamples, limits)
+			});
+		}
+	}
+	return record;
+};
+
+module.exports = {
+	analyze: analyze,
+	getHeartRateSettings: getHeartRateSettings
+};
@@ -0,0 +1,316 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var _ = require('lodash');
+
+var recordNormalizer = require('./recordNormalizer');
+
+/**
+ * Detects fitness activities that were recorded more than once, e.g. by a watch and by the Runkeeper app. Activities
+ * overlap if they have the same type, start within a few minutes and their durations and distances are within a
+ * tolerance. Of each group of overlapping activities, the copy from the preferred source is retained. Activities are
+ * also compared with the activities that earlier runs stored, so a copy that is uploaded after its original was loaded
+ * is detected as well (see mergeStored).
+ * Deduplication is configured in the pipe configuration document:
+ *  pipe.deduplication = {
+ *    action: 'mark' | 'drop',          (duplicates reference the retained activity in property duplicate_of or are not loaded)
+ *    sourcePriority: [ <source>, ... ], (values of property source, preferred first; other sources are retained last)
+ *    startTimeTolerance: <seconds>,     (default: 300)
+ *    durationTolerance: <percent>,      (default: 10)
+ *    distanceTolerance: <percent>       (default: 10)
+ *  }
+ */
+
+var defaultSettings = {
+	action: 'mark',
+	sourcePriority: [],
+	startTimeTolerance: 300,
+	durationTolerance: 10,
+	distanceTolerance: 10
+};
+
+/**
+ * Returns the deduplication settings of a pipe.
+ * @param pipe - data pipe configuration
+ * @returns settings, see defaultSettings, or null if activities are not deduplicated; property error describes an
+ *  invalid configuration
+ */
+var getSettings = function(pipe) {
+	if(! pipe.deduplication) {
+		return null;
+	}
+	var settings = _.assign({}, defaultSettings, _.omitBy(pipe.deduplication, _.isNil));
+	if(['mark', 'drop'].indexOf(settings.action) === -1) {
+		settings.error = 'Invalid deduplication settings: action must be mark or drop, but is ' + settings.action + '.';
+	}
+	if(! _.isArray(settings.sourcePriority)) {
+		settings.error = 'Invalid deduplication settings: sourcePriority must be a list of sources.';
+	}
+	_.forEach(['startTimeTolerance', 'durationTolerance', 'distanceTolerance'], function(option) {
+		var value = Number(settings[option]);
+		if(isNaN(value) || (value < 0)) {
+			settings.error = 'Invalid deduplication settings: ' + option + ' must be a number that is not negative, but is ' + settings[option] + '.';
+			return;
+		}
+		settings[option] = value;
+	});
+	return settings;
+};
+
+/**
+ * Returns the start time of an activity in milliseconds (local time, see recordNormalizer.parseLocalTime).
+ * @param activity - fitness activity feed item
+ * @returns the start time or NaN if the activity has no valid start time
+ */
+var getStartTime = function(activity) {
+	return recordNormalizer.parseLocalTime(activity.start_time);
+};
+
+/**
+ * Returns true if two values differ by at most a percentage of the greater value. Missing values count as 0.
+ */
+var withinTolerance = function(value1, value2, percent) {
+	var number1 = Number(value1) || 0;
+	var number2 = Number(value2) || 0;
+	return Math.abs(number1 - number2) <= Math.max(number1, number2) * percent / 100;
+};
+
+/**
+ * Returns true if two activities, whose start times were already parsed (see getStartTime), are copies of the same workout.
+ * @param settings - deduplication settings
+ */
+var overlapsAt = function(settings, activity1, startTime1, activity2, startTime2) {
+	return (activity1.type === activity2.type) &&
+		(! isNaN(startTime1)) && (! isNaN(startTime2)) &&
+		(Math.abs(startTime1 - startTime2) <= settings.startTimeTolerance * 1000) &&
+		withinTolerance(activity1.duration, activity2.duration, settings.durationTolerance) &&
+		withinTolerance(activity1.total_distance, activity2.total_distance, settings.distanceTolerance);
+};
+
+/**
+ * Returns true if two activities are copies of the same workout.
+ * @param settings - deduplication settings
+ */
+var overlaps = function(settings, activity1, activity2) {
+	return overlapsAt(settings, activity1, getStartTime(activity1), activity2, getStartTime(activity2));
+};
+
+/**
+ * Returns the rank of an activity within its group; the activity with the lowest rank is retained. Activities are
+ * ranked by the priority of their source, then activities with a GPS path before activities without.
+ * @param settings - deduplication settings
+ * @param activity - fitness activity feed item
+ */
+var getRank = function(settings, activity) {
+	var priority = settings.sourcePriority.indexOf(activity.source);
+	if(priority === -1) {
+		priority = settings.sourcePriority.length;
+	}
+	return priority * 2 + ((activity.has_path === true) ? 0 : 1);
+};
+
+/**
+ * Groups overlapping activities and chooses the activity of each group that is retained. An activity belongs to a group
+ * if it overlaps any activity of the group. Activities that don't overlap other activities form a group of their own.
+ * The activities are sorted by start time, so each activity is only compared with the activities that started at most
+ * startTimeTolerance seconds earlier (sliding window).
+ * @param settings - deduplication settings
+ * @param activities - fitness activity feed items
+ * @returns groups in the order of their first activity: [{retained: <activity>, duplicates: [<activity>, ...]}, ...]
+ */
+var findDuplicates = function(settings, activities) {
+	var tolerance = settings.startTimeTolerance * 1000;
+	var entries = _.map(activities, function(activity, index) {
+		return {activity: activity, index: index, startTime: getStartTime(activity)};
+	});
+	// groups are joined by linking the index of an activity to the index of another activity of the same group;
+	// the root of a group is the index of its first activity
+	var links = _.range(activities.length);
+	var findRoot = function(index) {
+		while(links[index] !== index) {
+			links[index] = links[links[index]];
+			index = links[index];
+		}
+		return index;
+	};
+	var join = function(entry1, entry2) {
+		var root1 = findRoot(entry1.index);
+		var root2 = findRoot(entry2.index);
+		links[Math.max(root1, root2)] = Math.min(root1, root2);
+	};
+	var sorted = _.sortBy(_.reject(entries, function(entry) {
+		return isNaN(entry.startTime);
+	}), 'startTime');
+	var windowStart = 0;
+	_.forEach(sorted, function(entry, position) {
+		while(entry.startTime - sorted[windowStart].startTime > tolerance) {
+			windowStart++;
+		}
+		for(var neighbour = windowStart; neighbour < position; neighbour++) {
+			var other = sorted[neighbour];
+			if(overlapsAt(settings, other.activity, other.startTime, entry.activity, entry.startTime)) {
+				join(other, entry);
+			}
+		}
+	});
+	// the members of each group in the order of the activities
+	var groups = [];
+	var groupsByRoot = {};
+	_.forEach(entries, function(entry) {
+		var root = findRoot(entry.index);
+		if(! groupsByRoot[root]) {
+			groupsByRoot[root] = [];
+			groups.push(groupsByRoot[root]);
+		}
+		groupsByRoot[root].push(entry.activity);
+	});
+	return _.map(groups, function(members) {
+		// sortBy is stable: of activities with the same rank, the first one is retained
+		var ranked = _.sortBy(members, function(activity) {
+			return getRank(settings, activity);
+		});
+		return {retained: ranked[0], duplicates: ranked.slice(1)};
+	});
+};
+
+/**
+ * Splits the groups of overlapping activities of a feed page into the groups that are complete and the activities
+ * that may still overlap activities of the next page. The feed lists the newest activities first, so a group is held
+ * back if one of its activities started at most startTimeTolerance seconds after the oldest activity of the page.
+ * @param settings - deduplication settings
+ * @param activities - fitness activity feed items: the items held back from the previous page followed by the items of the page
+ * @param lastPage - true if the page is the last page of the feed; no activities are held back
+ * @returns {groups, held} - groups: the complete groups, see findDuplicates; held: the activities that are held back,
+ *  in the order of the activities
+ */
+var splitGroups = function(settings, activities, lastPage) {
+	var groups = findDuplicates(settings, activities);
+	if(lastPage) {
+		return {groups: groups, held: []};
+	}
+	var oldest = _.min(_.reject(_.map(activities, getStartTime), isNaN));
+	var heldGroups = _.filter(groups, function(group) {
+		return _.some([group.retained].concat(group.duplicates), function(activity) {
+			return getStartTime(activity) - oldest <= settings.startTimeTolerance * 1000;
+		});
+	});
+	var held = _.flatMap(heldGroups, function(group) {
+		return [group.retained].concat(group.duplicates);
+	});
+	return {
+		groups: _.difference(groups, heldGroups),
+		held: _.filter(activities, function(activity) {
+			return _.includes(held, activity);
+		})
+	};
+};
+
+/**
+ * View of the fitness activity staging database that indexes the stored activities by account and start time, see
+ * stagingDb.queryView. Keys: [<account_id or null>, <start time in ms, see getStartTime>]
+ */
+var storedView = {
+	design: 'activity_deduplication',
+	name: 'by_account_and_start_time',
+	map: 'function(doc) { if(typeof doc.start_time === "string") { var time = Date.parse(doc.start_time + " GMT"); ' +
+		'if(! isNaN(time)) { emit([doc.account_id || null, time], null); } } }'
+};
+
+/**
+ * Returns the range of keys of storedView that contains the stored activities that may overlap activities.
+ * @param settings - deduplication settings
+ * @param activities - fitness activity feed items
+ * @param accountId - property account_id of the activities of the account; null for single-account pipes
+ * @returns {startKey, endKey} or null if no activity has a valid start time
+ */
+var getStoredRange = function(settings, activities, accountId) {
+	var startTimes = _.reject(_.map(activities, getStartTime), isNaN);
+	if(startTimes.length === 0) {
+		return null;
+	}
+	var tolerance = settings.startTimeTolerance * 1000;
+	return {
+		startKey: [accountId, _.min(startTimes) - tolerance],
+		endKey: [accountId, _.max(startTimes) + tolerance]
+	};
+};
+
+// fields of the stored activities that are compared with new activities
+var storedFields = ['_id', 'uri', 'type', 'start_time', 'duration', 'total_distance', 'source', 'has_path', 'duplicate_of', 'account_id'];
+
+/**
+ * Returns the fields of a stored activity that are required to compare it with new activities.
+ * @param document - fitness activity document of the staging database
+ */
+var toStoredActivity = function(document) {
+	return _.pick(document, storedFields);
+};
+
+/**
+ * Adds the stored activities that overlap an activity of a group to the group and chooses the activity that is
+ * retained again. Of activities with the same rank, a stored activity is retained.
+ * @param settings - deduplication settings
+ * @param group - group of overlapping activities, see findDuplicates
+ * @param stored - activities that earlier runs stored, see toStoredActivity; activities of the group are ignored
+ * @returns {retained, duplicates, stored} - stored: the stored activities of the group
+ */
+var mergeStored = function(settings, group, stored) {
+	var members = [group.retained].concat(group.duplicates);
+	var uris = _.map(members, 'uri');
+	var candidates = _.filter(stored, function(activity) {
+		return (! _.includes(uris, activity.uri)) && _.some(members, function(member) {
+			return overlaps(settings, member, activity);
+		});
+	});
+	if(candidates.length === 0) {
+		return _.assign({stored: []}, group);
+	}
+	var ranked = _.sortBy(candidates.concat(members), function(activity) {
+		return getRank(settings, activity);
+	});
+	return {retained: ranked[0], duplicates: ranked.slice(1), stored: candidates};
+};
+
+/**
+ * Applies the configured action to the duplicates of a group: duplicates are marked with the uri of the retained
+ * activity (property duplicate_of) or dropped.
+ * @param settings - deduplication settings
+ * @param group - group of overlapping activities, see findDuplicates
+ * @returns the activities of the group that are loaded
+ */
+var applyAction = function(settings, group) {
+	if(settings.action === 'drop') {
+		return [group.retained];
+	}
+	_.forEach(group.duplicates, function(duplicate) {
+		duplicate.duplicate_of = group.retained.uri;
+	});
+	return [group.retained].concat(group.duplicates);
+};
+
+module.exports = {
+	getSettings: getSettings,
+	getStartTime: getStartTime,
+	findDuplicates: findDuplicates,
+	splitGroups: splitGroups,
+	storedView: storedView,
+	getStoredRange: getStoredRange,
+	toStoredActivity: toStoredActivity,
+	mergeStored: mergeStored,
+	applyAction: applyAction
+};
@@ -0,0 +1,572 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Registry of the Runkeeper resources and the data sets of the connector: label, description, the Runkeeper resource
+ * they are loaded from and a JSON schema (draft-04) of their records. The registry drives the discovery of the resource
+ * URIs, the data set list and fetching; adding a Health Graph resource only requires adding its data set.
+ * See https://runkeeper.com/developer/healthgraph/overview for the fields of the Runkeeper resources.
+ */
+
+var SCHEMA_VERSION = 'http://json-schema.org/draft-04/schema#';
+
+var string = function(description) {
+	return {type: 'string', description: description};
+};
+
+var number = function(description) {
+	return {type: 'number', description: description};
+};
+
+var integer = function(description) {
+	return {type: 'integer', description: description};
+};
+
+var boolean = function(description) {
+	return {type: 'boolean', description: description};
+};
+
+var array = function(items, description) {
+	return {type: 'array', items: items, description: description};
+};
+
+var object = function(properties, description) {
+	return {type: 'object', properties: properties, description: description};
+};
+
+var nullable = function(property) {
+	return _.assign({}, property, {type: [property.type, 'null']});
+};
+
+var localTime = function(description) {
+	return string(description + ', local time of the user, e.g. Tue, 22 Mar 2016 06:34:36');
+};
+
+var uri = string('Runkeeper URI of the item; the document id is derived from it');
+
+// fields of the fitness activity feed items
+var fitnessActivityFields = {
+	uri: uri,
+	type: string('Activity type, e.g. Running, Cycling, Walking'),
+	start_time: localTime('Start time'),
+	utc_offset: number('UTC offset of the user in hours'),
+	total_distance: number('Distance in meters'),
+	duration: number('Duration in seconds'),
+	total_calories: number('Calories burned'),
+	source: string('Application or device that recorded the activity'),
+	entry_mode: string('API or Web'),
+	has_path: boolean('True if the activity has a GPS path'),
+	tracking_mode: string('outdoor or indoor')
+};
+
+// additional fields of complete fitness activities (property activityDetails)
+var fitnessActivityDetailFields = {
+	path: array(object({
+		timestamp: number('Seconds since the start'),
+		latitude: number('Latitude in degrees'),
+		longitude: number('Longitude in degrees'),
+		altitude: number('Altitude in meters'),
+		type: string('start, end, gps, pause, resume or manual')
+	}), 'GPS path'),
+	heart_rate: array(object({timestamp: number('Seconds since the start'), heart_rate: number('Beats per minute')}), 'Heart rate samples'),
+	distance: array(object({timestamp: number('Seconds since the start'), distance: number('Cumulative distance in meters')}), 'Distance samples'),
+	calories: array(object({timestamp: number('Seconds since the start'), calories: number('Cumulative calories')}), 'Calorie samples'),
+	climb: number('Elevation climbed in meters'),
+	average_heart_rate: number('Average heart rate in beats per minute'),
+	equipment: string('Equipment used, e.g. None, Treadmill'),
+	notes: string('Notes of the user'),
+	is_live: boolean('True if the activity is tracked live'),
+	share: string('Visibility of the activity'),
+	images: array(object({uri: string('URI of the image'), timestamp: number('Seconds since the start')}), 'Images of the activity')
+};
+
+// fields of measurement feed items
+var measurementFields = function(fields) {
+	return _.assign({uri: uri, timestamp: localTime('Time of the measurement'), source: string('Application or device that recorded the measurement')}, fields);
+};
+
+// fields that are added if the records are normalized (property normalizeRecords), by data set
+var normalizedFields = {
+	timestamps: {
+		start_time_local: string('Start time (ISO-8601, with UTC offset)'),
+		start_time_utc: string('Start time (ISO-8601, UTC)'),
+		timestamp_local: string('Time (ISO-8601, with UTC offset)'),
+		timestamp_utc: string('Time (ISO-8601, UTC)')
+	},
+	distance: {
+		total_distance_km: number('Distance in kilometers'),
+		total_distance_mi: number('Distance in miles'),
+		duration_minutes: number('Duration in minutes'),
+		speed_kmh: number('Average speed in km/h'),
+		speed_mph: number('Average speed in mph'),
+		pace_min_per_km: number('Average pace in minutes per kilometer'),
+		pace_min_per_mi: number('Average pace in minutes per mile')
+	},
+	weight: {
+		weight_kg: number('Weight in kilograms'),
+		weight_lb: number('Weight in pounds'),
+		bmi: number('Body mass index (requires property heightCm)')
+	}
+};
+
+var routeProperties = _.pick(fitnessActivityFields, ['uri', 'type', 'start_time', 'utc_offset', 'duration', 'total_distance', 'total_calories', 'source']);
+routeProperties = _.assign(routeProperties, _.pick(fitnessActivityDetailFields, ['equipment', 'notes']));
+
+var routeAttachmentFields = function(format, contentType) {
+	return _.assign({
+		format: string('Export format, ' + format),
+		_attachments: object({}, 'Attachment route.' + format + ' (' + contentType + ')')
+	}, routeProperties);
+};
+
+// fields of the profile of a user
+var profileFields = {
+	name: string('Name of the user'),
+	location: string('Location of the user'),
+	athlete_type: string('e.g. Runner, Cyclist'),
+	gender: string('M or F'),
+	birthday: localTime('Birthday'),
+	elite: string('true if the user has an Elite membership'),
+	profile: string('URL of the profile page'),
+	small_picture: string('URL of the small profile picture'),
+	normal_picture: string('URL of the profile picture'),
+	medium_picture: string('URL of the medium profile picture'),
+	large_picture: string('URL of the large profile picture')
+};
+
+// fields of the team feed items
+var friendFields = {
+	uri: string('Runkeeper URI of the friend, /team/<user id>'),
+	userID: integer('Runkeeper user id'),
+	name: string('Name of the friend'),
+	profile: string('URL of the profile page'),
+	url: string('URL of the profile page'),
+	status: string('Status of the connection')
+};
+
+var summaryFields = {
+	period: string('week or month'),
+	period_start: string('First day of the period (YYYY-MM-DD); weeks start on Monday'),
+	period_end: string('Last day of the period (YYYY-MM-DD)'),
+	type: string('Activity type or All'),
+	activity_count: integer('Number of activities'),
+	total_distance: number('Distance in meters'),
+	total_distance_km: number('Distance in kilometers'),
+	total_duration: number('Duration in seconds'),
+	total_calories: number('Calories burned'),
+	training_load_7d: number('Activity minutes in the 7 days up to the end of the period'),
+	training_load_28d: number('Activity minutes in the 28 days up to the end of the period'),
+	acute_chronic_ratio: nullable(number('7-day load compared to the average weekly load of the last 28 days'))
+};
+
+var split = object({
+	split: integer('Number of the split'),
+	distance: number('Distance in meters'),
+	duration: number('Duration in seconds'),
+	pace: nullable(number('Pace in minutes per split length'))
+});
+
+/**
+ * Data sets, in the order they are listed.
+ *  uriKey: key of the Runkeeper resource in the reply of the user resource; the data set is only offered if the
+ *   account exposes the resource. Data sets without uriKey are always offered.
+ *  defaultUri, mediaType, paged: describe the resource. They are set on the data set that registers the resource,
+ *   which contains the items of a paged feed or the reply of a single resource; the other data sets of the resource
+ *   are derived from its items.
+ *  detailMediaType: media type of the complete items of a feed; they are fetched in detailed mode and by derived
+ *   data sets that require them
+ *  changeLogKey: key of the resource in the change log; the data set is loaded incrementally (only items that were
+ *   added or modified since the last run are fetched) and items that were deleted are removed
+ *   See https://runkeeper.com/developer/healthgraph/change-log
+ *  dateRange: true if the feed can be restricted to the date range that is configured in the pipe
+ *  fetch: how the records are fetched if the data set doesn't contain the items of its resource (the default):
+ *   personalRecords (history of the personal records, see personalRecords), summary (training summaries of the
+ *   period summaryPeriod, see trainingSummary) or writeBack (see writeBack)
+ *  derivation: how the records of a derived data set are created from the items of its resource: analysis (see
+ *   activityAnalysis), routeExport (in format routeFormat, see routeExport), comments, friendProfiles or friendActivities
+ *  countItems: true if a derived data set contains one record per item of the feed; used to count the records
+ *  detailFields, normalizedFields: fields that are added if activity details are fetched or records are normalized
+ *  deduplicated: true if the activities of the data set are deduplicated, if configured (see activityDeduplication)
+ */
+var dataSets = [
+	{
+		name: 'settings', label: 'Settings', uriKey: 'settings',
+		defaultUri: '/settings', mediaType: 'application/vnd.com.runkeeper.Settings+json', paged: false,
+		description: 'Preferences of the user: units, sharing settings and connected services',
+		fields: {
+			distance_units: string('km or mi'),
+			weight_units: string('kg or lb'),
+			height_units: string('cm or in'),
+			first_day_of_week: integer('0 = Sunday'),
+			share_fitness_activities: string('Visibility of new fitness activities'),
+			share_map: string('Visibility of activity maps'),
+			share_background_activities: string('Visibility of background activities'),
+			facebook_connected: boolean('True if Facebook is connected'),
+			twitter_connected: boolean('True if Twitter is connected'),
+			foursquare_connected: boolean('True if Foursquare is connected'),
+			birthday: localTime('Birthday'),
+			gender: string('M or F'),
+			height: number('Height in centimeters'),
+			weight: number('Weight in kilograms'),
+			power_units: string('Unit of power')
+		}
+	},
+	{
+		name: 'records', label: 'Records', uriKey: 'records',
+		defaultUri: '/records', mediaType: 'application/vnd.com.runkeeper.Records+json', paged: false,
+		fetch: 'personalRecords',
+		description: 'History of the personal bests (longest activity, week and month per activity type); a record is added each time a best improves',
+		fields: {
+			activity_type: string('Activity type, e.g. Running'),
+			stat_type: string('BEST_ACTIVITY, BEST_WEEK or BEST_MONTH'),
+			value: number('Distance in meters'),
+			value_km: number('Distance in kilometers'),
+			date: nullable(localTime('Date of the best')),
+			previous_value: nullable(number('Previous best in meters')),
+			improvement: nullable(number('Improvement in meters')),
+			recorded_at: string('Time the improvement was detected (ISO-8601)')
+		}
+	},
+	{
+		name: 'profile', label: 'Profile', uriKey: 'profile',
+		defaultUri: '/profile', mediaType: 'application/vnd.com.runkeeper.Profile+json', paged: false,
+		description: 'Public profile of the user: name, location, athlete type and profile pictures',
+		fields: profileFields
+	},
+	{
+		name: 'change_log', label: 'Change Log', uriKey: 'change_log',
+		defaultUri: '/changeLog', mediaType: 'application/vnd.com.runkeeper.ChangeLog+json', paged: false,
+		description: 'URIs of the items that were added or deleted, by resource',
+		fields: _.zipObject(['fitness_activities', 'strength_training_activities', 'background_activities', 'weight', 'sleep', 'nutrition', 'general_measurements', 'diabetes'], _.times(8, function() {
+			return object({added: array(string('URI')), deleted: array(string('URI'))});
+		}))
+	},
+	{
+		name: 'strength_training_activities', label: 'Strength Training Activities', uriKey: 'strength_training_activities',
+		defaultUri: '/strengthTrainingActivities', mediaType: 'application/vnd.com.runkeeper.StrengthTrainingActivityFeed+json', paged: true,
+		detailMediaType: 'application/vnd.com.runkeeper.StrengthTrainingActivity+json',
+		changeLogKey: 'strength_training_activities', dateRange: true,
+		description: 'Strength training sessions with their start time; complete activities include the exercises and sets',
+		fields: {uri: uri, start_time: localTime('Start time'), source: string('Application or device that recorded the activity')},
+		detailFields: {
+			notes: string('Notes of the user'),
+			exercises: array(object({
+				primary_type: string('Exercise, e.g. Bench Press'),
+				primary_muscle_group: string('Muscle group'),
+				sets: array(object({weight: number('Weight in kilograms'), repetitions: integer('Repetitions'), notes: string('Notes')}))
+			}), 'Exercises')
+		},
+		normalizedFields: normalizedFields.timestamps
+	},
+	{
+		name: 'weight_measurements', label: 'Weight Measurements', uriKey: 'weight',
+		defaultUri: '/weight', mediaType: 'application/vnd.com.runkeeper.WeightSetFeed+json', paged: true,
+		changeLogKey: 'weight', dateRange: true,
+		description: 'Weight and body composition measurements',
+		fields: measurementFields({
+			weight: number('Weight in kilograms'),
+			free_mass: number('Fat-free mass in kilograms'),
+			fat_percent: number('Body fat in percent'),
+			mass_weight: number('Muscle mass in kilograms'),
+			bmi: number('Body mass index')
+		}),
+		normalizedFields: _.assign({}, normalizedFields.timestamps, normalizedFields.weight)
+	},
+	{
+		name: 'fitness_activities', label: 'Fitness Activities', uriKey: 'fitness_activities',
+		defaultUri: '/fitnessActivities', mediaType: 'application/vnd.com.runkeeper.FitnessActivityFeed+json', paged: true,
+		detailMediaType: 'application/vnd.com.runkeeper.FitnessActivity+json',
+		changeLogKey: 'fitness_activities', dateRange: true,
+		description: 'Runs, rides, walks and other workouts with type, distance, duration and calories; complete activities include the GPS path and heart rate',
+		fields: fitnessActivityFields,
+		detailFields: fitnessActivityDetailFields,
+		normalizedFields: _.assign({}, normalizedFields.timestamps, normalizedFields.distance),
+		deduplicated: true
+	},
+	{
+		name: 'background_activities', label: 'Background Activities', uriKey: 'background_activities',
+		defaultUri: '/backgroundActivities', mediaType: 'application/vnd.com.runkeeper.BackgroundActivityFeed+json', paged: true,
+		changeLogKey: 'background_activities', dateRange: true,
+		description: 'Daily steps and calories recorded in the background, e.g. by a pedometer',
+		fields: measurementFields({calories_burned: number('Calories burned'), steps: integer('Number of steps')}),
+		normalizedFields: normalizedFields.timestamps
+	},
+	{
+		name: 'friends', label: 'Friends', uriKey: 'team',
+		defaultUri: '/team', mediaType: 'application/vnd.com.runkeeper.TeamFeed+json', paged: true,
+		description: 'Runkeeper users the user is connected with',
+		fields: friendFields
+	},
+	{
+		name: 'friend_profiles', label: 'Friend Profiles', uriKey: 'team',
+		derivation: 'friendProfiles', countItems: true,
+		description: 'Profiles of the Runkeeper users the user is connected with: location, athlete type and profile pictures, if the friend shares them',
+		fields: _.assign({}, friendFields, _.pick(profileFields, ['location', 'athlete_type', 'gender', 'elite', 'small_picture', 'normal_picture', 'medium_picture', 'large_picture']), {
+			shares_profile: boolean('True if the friend shares the profile; otherwise the record only contains the fields of data set friends')
+		})
+	},
+	{
+		name: 'friend_activities', label: 'Friend Activities', uriKey: 'team',
+		derivation: 'friendActivities',
+		description: 'Recent fitness activities of the friends who share their activities with the user',
+		fields: _.assign({}, fitnessActivityFields, {
+			user_id: integer('Runkeeper user id of the friend (or its pseudonym); matches userID of data sets friends and friend_profiles')
+		}),
+		normalizedFields: _.assign({}, normalizedFields.timestamps, normalizedFields.distance)
+	},
+	{
+		name: 'sleep_measurements', label: 'Sleep Measurements', uriKey: 'sleep',
+		defaultUri: '/sleep', mediaType: 'application/vnd.com.runkeeper.SleepSetFeed+json', paged: true,
+		changeLogKey: 'sleep', dateRange: true,
+		description: 'Sleep duration and sleep phases',
+		fields: measurementFields({
+			total_sleep: number('Total sleep in minutes'),
+			deep: number('Deep sleep in minutes'),
+			rem: number('REM sleep in minutes'),
+			light: number('Light sleep in minutes'),
+			awake: number('Time awake in minutes'),
+			times_woken: integer('Number of times woken')
+		}),
+		normalizedFields: normalizedFields.timestamps
+	},
+	{
+		name: 'nutritional_measurements', label: 'Nutritional Measurements', uriKey: 'nutrition',
+		defaultUri: '/nutrition', mediaType: 'application/vnd.com.runkeeper.NutritionSetFeed+json', paged: true,
+		changeLogKey: 'nutrition', dateRange: true,
+		description: 'Meals with calories and nutrients',
+		fields: measurementFields({
+			meal: string('Breakfast, Lunch, Dinner or Snack'),
+			calories: number('Calories'),
+			carbohydrates: number('Carbohydrates in grams'),
+			fat: number('Fat in grams'),
+			fiber: number('Fiber in grams'),
+			protein: number('Protein in grams'),
+			sodium: number('Sodium in milligrams'),
+			water: number('Water in fluid ounces')
+		}),
+		normalizedFields: normalizedFields.timestamps
+	},
+	{
+		name: 'general_measurements', label: 'General Measurements', uriKey: 'general_measurements',
+		defaultUri: '/generalMeasurements', mediaType: 'application/vnd.com.runkeeper.GeneralMeasurementSetFeed+json', paged: true,
+		changeLogKey: 'general_measurements', dateRange: true,
+		description: 'Blood pressure, cholesterol and other health measurements',
+		fields: measurementFields({
+			systolic: number('Systolic blood pressure in mmHg'),
+			diastolic: number('Diastolic blood pressure in mmHg'),
+			resting_heartrate: number('Resting heart rate in beats per minute'),
+			total_cholesterol: number('Total cholesterol in mg/dL'),
+			hdl: number('HDL cholesterol in mg/dL'),
+			ldl: number('LDL cholesterol in mg/dL'),
+			triglycerides: number('Triglycerides in mg/dL'),
+			vitamin_d: number('Vitamin D in ng/mL'),
+			hscrp: number('High-sensitivity C-reactive protein in mg/L'),
+			crp: number('C-reactive protein in mg/L'),
+			tsh: number('Thyroid-stimulating hormone in mU/L'),
+			uric_acid: number('Uric acid in mg/dL'),
+			fasting_plasma_glucose_test: number('Fasting plasma glucose in mg/dL')
+		}),
+		normalizedFields: normalizedFields.timestamps
+	},
+	{
+		name: 'diabetes_measurements', label: 'Diabetes Measurements', uriKey: 'diabetes',
+		defaultUri: '/diabetes', mediaType: 'application/vnd.com.runkeeper.DiabetesFeed+json', paged: true,
+		changeLogKey: 'diabetes', dateRange: true,
+		description: 'Blood glucose, HbA1c and insulin measurements',
+		fields: measurementFields({
+			fasting_plasma_glucose_test: number('Fasting plasma glucose in mg/dL'),
+			oral_glucose_tolerance_test: number('Oral glucose tolerance test in mg/dL'),
+			random_plasma_glucose_test: number('Random plasma glucose in mg/dL'),
+			hemoglobin_a1c: number('HbA1c in percent'),
+			insulin: number('Insulin in U'),
+			c_peptide: number('C-peptide in ng/mL'),
+			triglyceride: number('Triglycerides in mg/dL')
+		}),
+		normalizedFields: normalizedFields.timestamps
+	},
+	{
+		name: 'fitness_activity_gpx', label: 'Fitness Activity Routes (GPX)', uriKey: 'fitness_activities',
+		derivation: 'routeExport', routeFormat: 'gpx', countItems: true,
+		changeLogKey: 'fitness_activities', dateRange: true,
+		description: 'GPS track of each fitness activity, attached as GPX document',
+		fields: routeAttachmentFields('gpx', 'application/gpx+xml')
+	},
+	{
+		name: 'fitness_activity_tcx', label: 'Fitness Activity Routes (TCX)', uriKey: 'fitness_activities',
+		derivation: 'routeExport', routeFormat: 'tcx', countItems: true,
+		changeLogKey: 'fitness_activities', dateRange: true,
+		description: 'GPS track and heart rate of each fitness activity, attached as TCX document',
+		fields: routeAttachmentFields('tcx', 'application/vnd.garmin.tcx+xml')
+	},
+	{
+		name: 'fitness_activity_geojson', label: 'Fitness Activity Routes (GeoJSON)', uriKey: 'fitness_activities',
+		derivation: 'routeExport', routeFormat: 'geojson', countItems: true,
+		changeLogKey: 'fitness_activities', dateRange: true,
+		description: 'GPS track of each fitness activity as GeoJSON LineString Feature',
+		fields: {
+			type: string('Feature'),
+			geometry: object({
+				type: string('LineString'),
+				coordinates: array(array(number()), 'Positions [longitude, latitude, altitude]')
+			}),
+			properties: object(_.assign({start_time_utc: string('Start time (ISO-8601, UTC)')}, routeProperties))
+		}
+	},
+	{
+		name: 'activity_analysis', label: 'Fitness Activity Analysis', uriKey: 'fitness_activities',
+		derivation: 'analysis', countItems: true,
+		changeLogKey: 'fitness_activities', dateRange: true,
+		description: 'Splits, heart rate zones, elevation gain and best efforts of each fitness activity',
+		fields: _.assign(_.pick(fitnessActivityFields, ['uri', 'type', 'start_time', 'utc_offset', 'duration', 'total_distance']), {
+			splits_km: array(split, 'Kilometer splits'),
+			splits_mi: array(split, 'Mile splits'),
+			best_efforts: object({
+				'1k': nullable(number('Fastest kilometer in seconds')),
+				'5k': nullable(number('Fastest 5 km in seconds')),
+				'10k': nullable(number('Fastest 10 km in seconds'))
+			}),
+			elevation_gain: nullable(number('Elevation gain in meters')),
+			elevation_loss: nullable(number('Elevation loss in meters')),
+			heart_rate: nullable(object({
+				average: number('Average heart rate in beats per minute'),
+				maximum: number('Maximum heart rate in beats per minute'),
+				max_hr: number('Maximum heart rate of the user'),
+				resting_hr: nullable(number('Resting heart rate of the user')),
+				max_hr_source: string('configuration or age'),
+				zones: array(object({
+					zone: integer('Zone 0 (below zone 1) to 5'),
+					min_bpm: nullable(number('Lower boundary')),
+					max_bpm: nullable(number('Upper boundary')),
+					seconds: number('Time in the zone')
+				}))
+			}))
+		})
+	},
+	{
+		name: 'activity_comments', label: 'Fitness Activity Comments', uriKey: 'fitness_activities',
+		derivation: 'comments',
+		changeLogKey: 'fitness_activities', dateRange: true,
+		description: 'Comments on the fitness activities of the user, linked to the activity by its uri',
+		fields: {
+			activity_uri: string('Runkeeper URI of the activity; matches uri of data set fitness_activities'),
+			activity_type: string('Activity type, e.g. Running'),
+			activity_start_time: localTime('Start time of the activity'),
+			position: integer('Position of the comment in the thread, starting at 0'),
+			timestamp: localTime('Time of the comment'),
+			name: string('Name of the commenter'),
+			profile: string('URL of the profile page of the commenter'),
+			comment: string('Text of the comment')
+		}
+	},
+	{
+		name: 'weekly_summary', label: 'Weekly Training Summary', uriKey: 'fitness_activities',
+		fetch: 'summary', summaryPeriod: 'week', dateRange: true,
+		description: 'Distance, duration, calories, activity count and training load of the fitness activities per week and activity type',
+		fields: summaryFields
+	},
+	{
+		name: 'monthly_summary', label: 'Monthly Training Summary', uriKey: 'fitness_activities',
+		fetch: 'summary', summaryPeriod: 'month', dateRange: true,
+		description: 'Distance, duration, calories, activity count and training load of the fitness activities per month and activity type',
+		fields: summaryFields
+	},
+	{
+		name: 'write_back', label: 'Write-back to Runkeeper',
+		fetch: 'writeBack',
+		description: 'Writes the documents of the databases configured in property writeBack to Runkeeper and reports the result of each document',
+		fields: {
+			data_set: string('Runkeeper data set the document was written to'),
+			source_db: string('Database that contains the document'),
+			source_id: string('Id of the document'),
+			status: string('created, duplicate, invalid or failed'),
+			runkeeper_uri: string('URI of the created or matching Runkeeper item'),
+			error: string('Reason why the document was not written'),
+			status_code: integer('HTTP status of the failed request'),
+			written_at: string('Time the document was processed (ISO-8601)')
+		}
+	}
+];
+
+// data sets that register a Runkeeper resource
+var resources = _.filter(dataSets, 'mediaType');
+
+/**
+ * Returns the data set with the given name.
+ * @param name - name of the data set
+ * @returns the entry of dataSets or undefined if the data set doesn't exist
+ */
+var getDataSet = function(name) {
+	return _.find(dataSets, {name: name});
+};
+
+/**
+ * Returns the Runkeeper resource with the given key.
+ * @param uriKey - key of the resource in the reply of the user resource, e.g. fitness_activities
+ * @returns the entry of dataSets that registers the resource: {uriKey, defaultUri, mediaType, paged, label, ...}
+ */
+var getResource = function(uriKey) {
+	return _.find(resources, {uriKey: uriKey});
+};
+
+/**
+ * Returns the default URIs of the Runkeeper resources. The URIs can change and must be queried using the user resource.
+ * @returns {<uri key>: <default URI>}
+ */
+var getDefaultUris = function() {
+	return _.zipObject(_.map(resources, 'uriKey'), _.map(resources, 'defaultUri'));
+};
+
+/**
+ * Returns the JSON schema of the records of a data set.
+ * @param dataSet - entry of dataSets
+ * @param options - {detailed, normalized, multiAccount, markDuplicates}: the pipe fetches complete activities,
+ *  normalizes records, collects the data of several accounts or marks duplicate activities
+ */
+var getSchema = function(dataSet, options) {
+	var properties = _.assign({}, dataSet.fields);
+	if(options.detailed) {
+		_.assign(properties, dataSet.detailFields);
+	}
+	if(options.normalized) {
+		_.assign(properties, dataSet.normalizedFields);
+	}
+	if(options.multiAccount) {
+		properties.account_id = string('Runkeeper user id (or its pseudonym) of the account the record belongs to');
+	}
+	if(options.markDuplicates && dataSet.deduplicated) {
+		properties.duplicate_of = string('Runkeeper URI of the retained copy if the activity was recorded more than once');
+	}
+	return {
+		$schema: SCHEMA_VERSION,
+		title: dataSet.label,
+		description: dataSet.description,
+		type: 'object',
+		properties: properties
+	};
+};
+
+module.exports = {
+	dataSets: dataSets,
+	resources: resources,
+	getDataSet: getDataSet,
+	getResource: getResource,
+	getDefaultUris: getDefaultUris,
+	getSchema: getSchema
+};
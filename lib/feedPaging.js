@@ -0,0 +1,177 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var stream = require('stream');
+var util = require('util');
+
+/**
+ * Pages through Health Graph feeds with bounded memory. The pages of a feed are read from a stream that only requests
+ * the next page when the connector has processed the previous pages: at most prefetchPages pages are buffered ahead of
+ * the page that is being processed. Processing ends when the records of the page were written to Cloudant, so paging
+ * slows down while Cloudant throttles writes. A limiter bounds the number of feeds that are paged at the same time.
+ * See https://runkeeper.com/developer/healthgraph/overview for more information about paging.
+ */
+
+/**
+ * Readable stream (object mode) of the pages of a Health Graph feed, linked using 'next'. Each page is an object:
+ *  {uri, items, next, size, bytes, ms} - uri: URI of the page, next: URI of the next page or null, size: number of items
+ *  of the feed as reported by Runkeeper (null if unknown), bytes: size of the reply, ms: duration of the request (including retries)
+ * The stream ends after the last page or if a reply contains no items.
+ * @param client - HealthGraphClient
+ * @param mediaType - media type of the feed
+ * @param uri - URI of the first page
+ * @param [prefetchPages] - number of pages that are fetched ahead of the consumer (default: 1)
+ */
+function FeedStream(client, mediaType, uri, prefetchPages) {
+	stream.Readable.call(this, {objectMode: true, highWaterMark: prefetchPages || 1});
+	this.client = client;
+	this.mediaType = mediaType;
+	this.nextUri = uri;
+}
+
+util.inherits(FeedStream, stream.Readable);
+
+/**
+ * Fetches the next page. Invoked by the stream when its buffer holds less than prefetchPages pages; it is not invoked
+ * again until the page was pushed.
+ */
+FeedStream.prototype._read = function() {
+	var feed = this;
+	if(! feed.nextUri) {
+		return feed.push(null);
+	}
+	var uri = feed.nextUri;
+	var startTime = Date.now();
+	feed.client.apiCall('GET', feed.mediaType, uri, function(err, reply, bytes) {
+		if(feed.destroyed) {
+			return;
+		}
+		if(err) {
+			return feed.emit('error', err);
+		}
+		if((! reply) || (! reply.items)) {
+			feed.nextUri = null;
+			return feed.push(null);
+		}
+		feed.nextUri = reply.next || null;
+		feed.push({
+			uri: uri,
+			items: reply.items,
+			next: feed.nextUri,
+			size: (typeof reply.size === 'number') ? reply.size : null,
+			bytes: bytes || 0,
+			ms: Date.now() - startTime
+		});
+	});
+};
+
+/**
+ * Releases the client and stops paging when the stream is destroyed.
+ * @param err - the error that caused the stream to be destroyed, if any
+ * @param callback(err)
+ */
+FeedStream.prototype._destroy = function(err, callback) {
+	this.nextUri = null;
+	this.client = null;
+	callback(err);
+};
+
+/**
+ * Fetches the pages of a feed and hands them to a handler, one page at a time. The next pages are only requested
+ * while the handler keeps up (backpressure): a page that was fetched ahead waits in the stream's buffer until the
+ * handler invoked the callback for the previous page. Once paging stops, the stream and the pages it buffered are
+ * released.
+ * @param client - HealthGraphClient
+ * @param mediaType - media type of the feed
+ * @param uri - URI of the first page
+ * @param prefetchPages - number of pages that are fetched ahead of the handler
+ * @param handlePage(page, callback(err)) - processes a page, see FeedStream; paging stops if it returns an error
+ * @param callback(err, requestFailed) - invoked after the last page was processed; requestFailed is true if a page
+ *  could not be fetched, false if the handler returned the error
+ */
+var fetchFeed = function(client, mediaType, uri, prefetchPages, handlePage, callback) {
+	var pages = new FeedStream(client, mediaType, uri, prefetchPages);
+	var writer = new stream.Writable({objectMode: true, highWaterMark: 1});
+	var finished = false;
+	var finish = function(err, requestFailed) {
+		if(finished) {
+			return;
+		}
+		finished = true;
+		pages.unpipe(writer);
+		pages.destroy();
+		writer.destroy();
+		callback(err, requestFailed);
+	};
+	writer._write = function(page, encoding, pageProcessed) {
+		handlePage(page, function(err) {
+			if(err) {
+				return finish(err, false);
+			}
+			pageProcessed();
+		});
+	};
+	pages.on('error', function(err) {
+		finish(err, true);
+	});
+	writer.on('finish', function() {
+		finish(null, false);
+	});
+	pages.pipe(writer);
+};
+
+/**
+ * Limits the number of feeds that are paged at the same time, e.g. by the data sets of a pipe run that loads all data
+ * sets. Feeds that exceed the limit wait until another feed was completely fetched.
+ * @param parallelism - maximum number of feeds that are paged at the same time
+ */
+function FeedLimiter(parallelism) {
+	this.parallelism = parallelism;
+	this.active = 0;
+	this.waiting = [];
+}
+
+/**
+ * Waits until a feed may be paged.
+ * @param callback() - invoked when the feed may be paged; release must be called after the feed was fetched
+ */
+FeedLimiter.prototype.acquire = function(callback) {
+	if(this.active < this.parallelism) {
+		this.active++;
+		return callback();
+	}
+	this.waiting.push(callback);
+};
+
+/**
+ * Releases the slot of a feed that was completely fetched (or failed) and starts the next waiting feed.
+ */
+FeedLimiter.prototype.release = function() {
+	var next = this.waiting.shift();
+	if(next) {
+		// the slot is handed over to the waiting feed
+		return setImmediate(next);
+	}
+	this.active--;
+};
+
+module.exports = {
+	FeedStream: FeedStream,
+	FeedLimiter: FeedLimiter,
+	fetchFeed: fetchFeed
+};
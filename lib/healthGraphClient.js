@@ -0,0 +1,274 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var request = require('request');
+var _ = require('lodash');
+
+var defaultOptions = {
+	client_id : null,
+	client_secret : null,
+	access_token : null,
+	access_token_url : 'https://runkeeper.com/apps/token',
+	api_url : 'https://api.runkeeper.com',
+	max_retries : 5,              // number of times a request is retried after a transient failure
+	retry_delay : 1000,           // initial retry delay in ms; doubled for each retry
+	max_retry_delay : 60000,      // upper limit for the retry delay in ms
+	requests_per_minute : 100,    // request budget shared by all requests that are sent by this client
+	request_budget : null,        // RequestBudget shared with other clients; replaces requests_per_minute if set
+	onRetry : null                // function(info) invoked before a request is retried; info: {uri, attempt, delay, reason}
+};
+
+/**
+ * Number of requests that may be sent per minute. A budget can be shared by several clients, e.g. the clients of the
+ * accounts of a pipe run.
+ * @param requestsPerMinute - number of requests per minute
+ */
+function RequestBudget(requestsPerMinute) {
+	this.requestsPerMinute = requestsPerMinute;
+	// earliest time (ms) at which the next request may be sent
+	this.nextRequestTime = 0;
+}
+
+/**
+ * Reserves the next slot in the request budget.
+ * @returns number of ms to wait before the request may be sent
+ */
+RequestBudget.prototype.reserveRequestSlot = function() {
+	var now = Date.now();
+	var requestTime = Math.max(now, this.nextRequestTime);
+	this.nextRequestTime = requestTime + (60000 / this.requestsPerMinute);
+	return requestTime - now;
+};
+
+/**
+ * Client for the Runkeeper Health Graph API. All requests that are sent by a client share a request budget
+ * (requests_per_minute or the shared request_budget). Requests that fail with a transient error (network error, HTTP 429 or 5xx) are retried with
+ * exponential backoff and jitter, honoring the Retry-After header sent by Runkeeper (see sendRequest).
+ * See https://runkeeper.com/developer/healthgraph/overview for more information.
+ * @param options - see defaultOptions
+ */
+function HealthGraphClient(options) {
+	_.assign(this, defaultOptions, _.omitBy(options, _.isNil));
+	this.request_budget = this.request_budget || new RequestBudget(this.requests_per_minute);
+	// number of retried requests
+	this.retryCount = 0;
+}
+
+/**
+ * Reserves the next slot in the request budget.
+ * @returns number of ms to wait before the request may be sent
+ */
+HealthGraphClient.prototype.reserveRequestSlot = function() {
+	return this.request_budget.reserveRequestSlot();
+};
+
+/**
+ * Computes the delay before a failed request is retried. A Retry-After header (seconds or HTTP date) takes precedence,
+ * otherwise the delay grows exponentially with the number of attempts and is randomized ('full jitter').
+ * @param attempt - number of the attempt that failed (starting at 0)
+ * @param response - HTTP response, if one was received
+ * @returns delay in ms
+ */
+HealthGraphClient.prototype.getRetryDelay = function(attempt, response) {
+	var retryAfter = response && response.headers && response.headers['retry-after'];
+	if(retryAfter) {
+		var seconds = Number(retryAfter);
+		var delay = isNaN(seconds) ? (Date.parse(retryAfter) - Date.now()) : seconds * 1000;
+		if(! isNaN(delay)) {
+			return Math.min(Math.max(delay, 0), this.max_retry_delay);
+		}
+	}
+	var maxDelay = Math.min(this.retry_delay * Math.pow(2, attempt), this.max_retry_delay);
+	return Math.floor(Math.random() * maxDelay);
+};
+
+/**
+ * Sends a request to the Health Graph API within the request budget, retrying transient failures.
+ * @param requestDetails - request options
+ * @param uri - URI of the resource, relative to the API URL (used for reporting retries)
+ * @param retryServerErrors - true if the request may be retried after a network error or HTTP 5xx status. Requests that
+ *  create items are only retried after HTTP 429, because Runkeeper may have processed them.
+ * @param callback(err, response, body)
+ */
+HealthGraphClient.prototype.sendRequest = function(requestDetails, uri, retryServerErrors, callback) {
+	var client = this;
+
+	var sendAttempt = function(attempt) {
+		setTimeout(function() {
+			request(requestDetails, function(err, response, body) {
+				var reason = null;
+				if(err) {
+					reason = retryServerErrors ? (err.message || String(err)) : null;
+				}
+				else if((response.statusCode === 429) || (retryServerErrors && (response.statusCode >= 500))) {
+					reason = 'HTTP ' + response.statusCode;
+				}
+				if(reason && (attempt < client.max_retries)) {
+					var delay = client.getRetryDelay(attempt, response);
+					client.retryCount++;
+					if(client.onRetry) {
+						client.onRetry({uri: uri, attempt: attempt + 1, delay: delay, reason: reason});
+					}
+					return setTimeout(function() {
+						sendAttempt(attempt + 1);
+					}, delay);
+				}
+				return callback(err, response, body);
+			});
+		}, client.reserveRequestSlot());
+	};
+
+	sendAttempt(0);
+};
+
+/**
+ * Sends a request to the Health Graph API.
+ * @param method - HTTP method, defaults to GET
+ * @param mediaType - media type of the requested resource
+ * @param uri - URI of the resource, relative to the API URL
+ * @param callback(err, reply, bytes) - err has properties statusCode and runkeeperBody if Runkeeper replied with an
+ *  error status; bytes: size of the reply body
+ */
+HealthGraphClient.prototype.apiCall = function(method, mediaType, uri, callback) {
+	var client = this;
+	var requestDetails = {
+		method: method || 'GET',
+		headers: {
+			'Accept': mediaType,
+			'Authorization': 'Bearer ' + client.access_token
+		},
+		uri: client.api_url + uri
+	};
+	client.sendRequest(requestDetails, uri, true, function(err, response, body) {
+		client.handleResponse(err, response, body, callback);
+	});
+};
+
+/**
+ * Creates an item (e.g. a fitness activity or weight measurement) by posting it to a Health Graph feed.
+ * See https://runkeeper.com/developer/healthgraph/fitness-activities for more information.
+ * @param mediaType - media type of the new item, e.g. application/vnd.com.runkeeper.NewFitnessActivity+json
+ * @param uri - URI of the feed, relative to the API URL
+ * @param item - the new item
+ * @param callback(err, location) - location: URI of the created item, as returned by Runkeeper
+ */
+HealthGraphClient.prototype.createItem = function(mediaType, uri, item, callback) {
+	var client = this;
+	var requestDetails = {
+		method: 'POST',
+		headers: {
+			'Content-Type': mediaType,
+			'Authorization': 'Bearer ' + client.access_token
+		},
+		uri: client.api_url + uri,
+		body: JSON.stringify(item)
+	};
+	client.sendRequest(requestDetails, uri, false, function(err, response, body) {
+		client.handleResponse(err, response, body, function(err) {
+			if(err) {
+				return callback(err);
+			}
+			var location = response.headers.location || null;
+			// the location may be an absolute URL; Health Graph URIs are relative to the API URL
+			if(location && (location.indexOf(client.api_url) === 0)) {
+				location = location.substring(client.api_url.length);
+			}
+			return callback(null, location);
+		});
+	});
+};
+
+/**
+ * Converts a Health Graph API response to the (err, reply) callback parameters.
+ * @param err - request error
+ * @param response - HTTP response
+ * @param body - response body
+ * @param callback(err, reply, bytes) - bytes: size of the response body
+ */
+HealthGraphClient.prototype.handleResponse = function(err, response, body, callback) {
+	if(err) {
+		return callback(err);
+	}
+	if(response.statusCode >= 400) {
+		err = new Error('Runkeeper request failed with HTTP status ' + response.statusCode + ' ' + (response.statusMessage || ''));
+		err.statusCode = response.statusCode;
+		err.statusMessage = response.statusMessage;
+		err.runkeeperBody = body;
+		return callback(err);
+	}
+	if(! body) {
+		return callback(null, null, 0);
+	}
+	var parsed;
+	try {
+		parsed = JSON.parse(body);
+	}
+	catch(e) {
+		err = new Error('Body reply is not a valid JSON string.');
+		err.statusCode = response.statusCode;
+		err.statusMessage = response.statusMessage;
+		err.runkeeperBody = body;
+		return callback(err);
+	}
+	return callback(null, parsed, Buffer.byteLength(body));
+};
+
+/**
+ * Fetches the user resource, which contains the URIs of all other resources.
+ * See https://runkeeper.com/developer/healthgraph/users for more information.
+ * @param callback(err, reply)
+ */
+HealthGraphClient.prototype.user = function(callback) {
+	this.apiCall('GET', 'application/vnd.com.runkeeper.User+json', '/user', callback);
+};
+
+/**
+ * Requests a new access token using a refresh token.
+ * See https://runkeeper.com/developer/healthgraph/registration-authorization for more information.
+ * @param refreshToken - the refresh token that was issued with the current access token
+ * @param callback(err, tokens) - tokens: {access_token, [refresh_token]}
+ */
+HealthGraphClient.prototype.refreshAccessToken = function(refreshToken, callback) {
+	var client = this;
+	var requestDetails = {
+		method: 'POST',
+		uri: client.access_token_url,
+		form: {
+			grant_type: 'refresh_token',
+			refresh_token: refreshToken,
+			client_id: client.client_id,
+			client_secret: client.client_secret
+		}
+	};
+	request(requestDetails, function(err, response, body) {
+		client.handleResponse(err, response, body, function(err, tokens) {
+			if(err) {
+				return callback(err);
+			}
+			if((! tokens) || (! tokens.access_token)) {
+				return callback(new Error('Runkeeper did not issue an access token.'));
+			}
+			client.access_token = tokens.access_token;
+			return callback(null, tokens);
+		});
+	});
+};
+
+HealthGraphClient.RequestBudget = RequestBudget;
+
+module.exports = HealthGraphClient;
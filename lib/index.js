@@ -16,55 +16,369 @@
 
 'use strict';
 
+var crypto = require('crypto');
 var util = require('util');
+var querystring = require('querystring');
+var _ = require('lodash');
 
 var pipesSDK = require('simple-data-pipe-sdk');
 var connectorExt = pipesSDK.connectorExt;
+var pipesDb = pipesSDK.pipesDb;
 
 var bluemixHelperConfig = require.main.require('bluemix-helper-config');
 var global = bluemixHelperConfig.global;
+var configManager = bluemixHelperConfig.configManager;
 
-var runkeeper = require('runkeeper-js');
+var HealthGraphClient = require('./healthGraphClient');
+var pipeState = require('./pipeState');
+var stagingDb = require('./stagingDb');
+var runStats = require('./runStats');
+var recordNormalizer = require('./recordNormalizer');
+var routeExport = require('./routeExport');
+var writeBack = require('./writeBack');
+var trainingSummary = require('./trainingSummary');
+var activityAnalysis = require('./activityAnalysis');
+var personalRecords = require('./personalRecords');
+var privacy = require('./privacy');
+var dataSetCatalog = require('./dataSetCatalog');
+var recordValidator = require('./recordValidator');
+var feedPaging = require('./feedPaging');
+var activityDeduplication = require('./activityDeduplication');
+var webhook = require('./webhook');
 
 // Runkeeper client options.
-// Client ID/Secret and AccessToken will be set by the data pipe.
-// See https://github.com/mko/runkeeper-js for more information.
+// Client ID/Secret and AccessToken will be set for each pipe run.
+// The API URL, the URL that access tokens are renewed at and the request budget of a pipe run can be changed using the
+// RUNKEEPER_API_URL, RUNKEEPER_TOKEN_URL and RUNKEEPER_REQUESTS_PER_MINUTE environment variables; the budget can also
+// be set for a pipe (property requestsPerMinute).
 var runkeeperClientOptions = {
 	client_id : '', /* will be set by sdp */
 	client_secret : '', /* will be set by sdp */
 	auth_url : 'https://runkeeper.com/apps/authorize',
-	access_token_url : 'https://runkeeper.com/apps/token',
-	redirect_uri : '',
+	access_token_url : configManager.get('RUNKEEPER_TOKEN_URL') || 'https://runkeeper.com/apps/token',
 	access_token : '', /* will be set by sdp */
-	api_domain : 'api.runkeeper.com'
+	api_url : configManager.get('RUNKEEPER_API_URL') || 'https://api.runkeeper.com',
+	requests_per_minute : Number(configManager.get('RUNKEEPER_REQUESTS_PER_MINUTE')) || 100
 };
 
-// Default Runkeeper URIs - these can change and must be queried using the Runkeeper user API.
-// See https://runkeeper.com/developer/healthgraph/overview for more information.
-var runkeeperUris = {
-	settings: '/settings',
-	records: '/records',
-	profile: '/profile',
-	change_log: '/changeLog',
-	strength_training_activities: '/strengthTrainingActivities',
-	weight: '/weight',
-	fitness_activities: '/fitnessActivities',
-	background_activities: '/backgroundActivities',
-	team: '/team',
-	sleep: '/sleep',
-	nutrition: '/nutrition',
-	general_measurements: '/generalMeasurements',
-	diabetes: '/diabetes'
-};
-
-// Wrapper to make Runkeeper API calls using OAuth2.0.
-// See https://github.com/mko/runkeeper-js for more information.
-var runkeeperClient = new runkeeper.HealthGraph(runkeeperClientOptions);
-
 // Passport strategy for Runkeeper.
 // See https://github.com/jaredhanson/passport-runkeeper for more information.
 var dataSourcePassportStrategy = require('passport-runkeeper').Strategy;
 
+// Media types of the social resources: the comment threads of activities and the documents of friends (team members).
+// See https://runkeeper.com/developer/healthgraph/comment-threads and https://runkeeper.com/developer/healthgraph/friends
+var socialMediaTypes = {
+	commentThread: 'application/vnd.com.runkeeper.CommentThread+json',
+	member: 'application/vnd.com.runkeeper.Member+json'
+};
+
+// Resources of a friend that are listed in the member document; they are not stored in the friend's profile record
+// because they contain the friend's user id.
+var memberResourceKeys = ['fitness_activities'];
+
+// Records that fail validation are stored in the database of this data set (see quarantineRecords). It is not listed
+// in the data set list: the database is written while the other data sets are fetched.
+var QUARANTINE_DATA_SET = 'quarantine';
+
+// passed to the callback of the push function of a preview once enough records were pushed; stops paging (see addPreviewLimit)
+var PREVIEW_COMPLETE = {previewComplete: true};
+
+/**
+ * Returns true if a Runkeeper request failed because the access token is invalid or was revoked.
+ * @param err - error returned by the Runkeeper client
+ */
+var isAuthorizationError = function(err) {
+	return !! (err && ((err.statusCode === 401) || (err.statusCode === 403)));
+};
+
+/**
+ * Returns first failure data capture information for a failed Runkeeper request. Neither the reply, which may contain
+ * personal data, nor the client parameters, which contain the OAuth credentials, are included.
+ * @param requestName - describes the request, e.g. settings
+ * @param err - error returned by the Runkeeper client
+ */
+var getFfdcInfo = function(requestName, err) {
+	return 'FFDC: Runkeeper ' + requestName + ' request failed. HTTP status: ' + ((err && err.statusCode) || 'none') + '.';
+};
+
+/**
+ * Returns the message that asks the user to re-authorize a pipe or an account of a multi-account pipe.
+ * @param pipe - data pipe configuration
+ * @param accountId - Runkeeper user id of the account, as it may be logged (see privacy.redactUserId); null for
+ *  single-account pipes
+ * @param reason - describes why the pipe is no longer authorized
+ */
+var getReauthorizationMessage = function(pipe, accountId, reason) {
+	if(accountId !== null) {
+		return 'Runkeeper access of account ' + accountId + ' of data pipe ' + pipe.name + ' is no longer authorized (' + reason + '). The account is skipped until it is re-authorized on the Connect page.';
+	}
+	return 'Runkeeper access of data pipe ' + pipe.name + ' is no longer authorized (' + reason + '). Re-authorize the data pipe on the Connect page.';
+};
+
+/**
+ * Returns true if the pipe is configured to discard the staging databases and reload all data during each run.
+ * @param pipe - data pipe configuration
+ */
+var isFullReload = function(pipe) {
+	return pipe.fullReload === true;
+};
+
+/**
+ * Returns true if the pipe is a preview copy of a data pipe configuration (see previewDataSets). Previews fetch samples
+ * of the data sets without writing to the staging databases or updating the state of the pipe.
+ * @param pipe - data pipe configuration
+ */
+var isPreview = function(pipe) {
+	return !! pipe.preview;
+};
+
+/**
+ * Adds the properties that the SDK pipeline sets on the records it stores (pt_type: the name of the data set) to
+ * records that the connector saves in a staging database itself, see createRecordWriter.
+ * @param dataSetName - name of the data set
+ * @param records - array of records
+ * @returns the records
+ */
+var addPipelineProperties = function(dataSetName, records) {
+	_.forEach(records, function(record) {
+		record.pt_type = dataSetName;
+	});
+	return records;
+};
+
+/**
+ * Returns true if the pipe is a copy of a data pipe configuration that fetches data sets after a notification (see
+ * createWebhookHandler).
+ * @param pipe - data pipe configuration
+ */
+var isSync = function(pipe) {
+	return !! pipe.sync;
+};
+
+/**
+ * Returns true if the pipe is configured to fetch the complete activity documents (path, heart rate, exercises, ...)
+ * instead of the feed summaries.
+ * @param pipe - data pipe configuration
+ */
+var isDetailed = function(pipe) {
+	return pipe.activityDetails === true;
+};
+
+/**
+ * Returns true if the pipe collects the data of several Runkeeper accounts, e.g. the members of a running club.
+ * @param pipe - data pipe configuration
+ */
+var isMultiAccount = function(pipe) {
+	return pipe.multiAccount === true;
+};
+
+/**
+ * Returns the Runkeeper user ids of the accounts of a pipe: the ids of the authorized accounts of a multi-account
+ * pipe or [null] for a single-account pipe.
+ * @param pipe - data pipe configuration
+ */
+var getAccountIds = function(pipe) {
+	if(! isMultiAccount(pipe)) {
+		return [null];
+	}
+	return _.map(pipe.accounts, 'id');
+};
+
+/**
+ * Returns true if a notification about a Runkeeper user concerns a pipe: the user authorized the pipe (single-account
+ * pipes) or is one of its authorized accounts (multi-account pipes).
+ * @param pipe - data pipe configuration
+ * @param userId - Runkeeper user id from the notification
+ */
+var isNotified = function(pipe, userId) {
+	if(isMultiAccount(pipe)) {
+		return _.some(pipe.accounts, function(account) {
+			return (account.id === userId) && account.oAuth && (! account.oAuth.reauthorizationRequired);
+		});
+	}
+	return (!! pipe.oAuth) && (pipe.oAuth.userId === userId) && (! pipe.oAuth.reauthorizationRequired);
+};
+
+/**
+ * Returns the stored state (OAuth information, high-water marks, checkpoints) of an account. Single-account pipes store
+ * the state in the pipe configuration document, multi-account pipes in property accounts:
+ *  pipe.accounts = [ { id: '<Runkeeper user id>', oAuth: {...}, highWaterMarks: {...}, checkpoints: {...} }, ... ]
+ * @param pipe - data pipe configuration
+ * @param accountId - Runkeeper user id of the account; null for single-account pipes
+ * @returns the state or undefined if the account was removed from the pipe
+ */
+var getAccountState = function(pipe, accountId) {
+	if(accountId === null) {
+		return pipe;
+	}
+	return _.find(pipe.accounts, {id: accountId});
+};
+
+/**
+ * Persists a change to the stored state of an account, see getAccountState and pipeState.updatePipe.
+ * @param pipe - data pipe configuration (in-memory copy)
+ * @param accountId - Runkeeper user id of the account; null for single-account pipes
+ * @param update - function(state) that modifies the account state in place
+ * @param callback(err) - invoked after the change was saved
+ */
+var updateAccountState = function(pipe, accountId, update, callback) {
+	pipeState.updatePipe(pipe, function(pipe) {
+		var state = getAccountState(pipe, accountId);
+		if(state) {
+			update(state);
+		}
+	}, callback);
+};
+
+/**
+ * Returns the time of the last successful load of a data set (ISO-8601) or null if the data set was never loaded.
+ * @param state - account state, see getAccountState
+ * @param dataSetName - name of the data set
+ */
+var getHighWaterMark = function(state, dataSetName) {
+	return (state.highWaterMarks && state.highWaterMarks[dataSetName]) || null;
+};
+
+/**
+ * Returns the checkpoint of a data set whose last fetch was interrupted or null.
+ * @param state - account state, see getAccountState
+ * @param dataSetName - name of the data set
+ * @returns {uri, syncStartTime} - uri of the next feed page to fetch and start time of the interrupted run
+ */
+var getCheckpoint = function(state, dataSetName) {
+	return (state.checkpoints && state.checkpoints[dataSetName]) || null;
+};
+
+/**
+ * Converts a timestamp to the date format used by Health Graph query parameters (YYYY-MM-DD).
+ * Health Graph dates are local to the user; the date is moved back by one day to cover all time zones.
+ * @param timestamp - ISO-8601 timestamp
+ */
+var toHealthGraphDate = function(timestamp) {
+	var date = new Date(timestamp);
+	date.setUTCDate(date.getUTCDate() - 1);
+	return date.toISOString().substring(0, 10);
+};
+
+/**
+ * Returns the date range (Health Graph dates, YYYY-MM-DD) that the activity and measurement feeds are restricted to.
+ * The range is configured in the pipe configuration document:
+ *  pipe.dateRange = { noEarlierThan: 'YYYY-MM-DD', noLaterThan: 'YYYY-MM-DD', lastDays: N }
+ * If lastDays is set, the range starts N days before the current date and noEarlierThan is ignored.
+ * @param pipe - data pipe configuration
+ * @returns {noEarlierThan, noLaterThan, error} - unset boundaries are null; error describes an invalid configuration
+ */
+var getDateRange = function(pipe) {
+	var config = pipe.dateRange || {};
+	var dateRange = {
+		noEarlierThan: config.noEarlierThan || null,
+		noLaterThan: config.noLaterThan || null
+	};
+	if(config.lastDays) {
+		var lastDays = parseInt(config.lastDays, 10);
+		if(isNaN(lastDays) || (lastDays < 1)) {
+			dateRange.error = 'Invalid date range: lastDays must be a positive number, but is ' + config.lastDays + '.';
+			return dateRange;
+		}
+		var start = new Date();
+		start.setUTCDate(start.getUTCDate() - lastDays);
+		dateRange.noEarlierThan = start.toISOString().substring(0, 10);
+	}
+	_.forEach(['noEarlierThan', 'noLaterThan'], function(boundary) {
+		if(dateRange[boundary] && ! /^\d{4}-\d{2}-\d{2}$/.test(dateRange[boundary])) {
+			dateRange.error = 'Invalid date range: ' + boundary + ' must be a date (YYYY-MM-DD), but is ' + dateRange[boundary] + '.';
+		}
+	});
+	return dateRange;
+};
+
+// Default paging options, see getPagingOptions
+var defaultPagingOptions = {
+	pageSize: null,    // number of items per feed page; Runkeeper's default if not set
+	prefetchPages: 1,  // number of pages that are fetched ahead of the page that is being processed
+	parallelism: 2     // number of feeds that are paged at the same time during a pipe run
+};
+
+/**
+ * Returns the paging options of a pipe, configured in the pipe configuration document:
+ *  pipe.paging = { pageSize: N, prefetchPages: N, parallelism: N }
+ * See defaultPagingOptions for the meaning and default of each option.
+ * @param pipe - data pipe configuration
+ * @returns {pageSize, prefetchPages, parallelism, error} - error describes an invalid configuration
+ */
+var getPagingOptions = function(pipe) {
+	var paging = _.assign({}, defaultPagingOptions, _.omitBy(pipe.paging, _.isNil));
+	_.forEach(_.keys(defaultPagingOptions), function(option) {
+		if(paging[option] === null) {
+			return;
+		}
+		var value = Number(paging[option]);
+		var valid = (value >= 1) && (Math.floor(value) === value);
+		if(! valid) {
+			paging.error = 'Invalid paging options: ' + option + ' must be a positive integer, but is ' + paging[option] + '.';
+			return;
+		}
+		paging[option] = value;
+	});
+	return paging;
+};
+
+/**
+ * Appends query parameters to a Runkeeper URI.
+ * @param uri - Runkeeper URI, which may already contain query parameters
+ * @param params - query parameters; parameters without a value are ignored
+ */
+var addQueryParameters = function(uri, params) {
+	var query = querystring.stringify(_.omitBy(params, _.isNil));
+	if(! query) {
+		return uri;
+	}
+	return uri + (uri.indexOf('?') === -1 ? '?' : '&') + query;
+};
+
+/**
+ * Derives a stable Cloudant document id for a record from its Runkeeper uri, e.g. /fitnessActivities/123 -> fitnessActivities-123.
+ * Resources without a uri are identified by data set name.
+ * @param dataSetName - name of the data set the record belongs to
+ * @param record - record fetched from Runkeeper
+ * @returns the document id or undefined if the record has no identity (a new document is created)
+ */
+var getDocumentId = function(dataSetName, record) {
+	var uri = record.uri || record.url;
+	if(uri) {
+		return uri.replace(/^\//, '').replace(/\//g, '-');
+	}
+	if((dataSetName === 'settings') || (dataSetName === 'profile')) {
+		return dataSetName;
+	}
+	return undefined;
+};
+
+/**
+ * Derives a stable document id for a comment on a fitness activity. Comments have no uri of their own; they are
+ * identified by the activity, the time they were posted and their author, so the ids of the other comments of the
+ * thread don't change when a comment is deleted. The time and the author's profile URL or name are hashed with the
+ * privacy secret (see privacy.getIdentifier), so the author cannot be recovered from the id.
+ * @param activity - the commented fitness activity
+ * @param comment - comment of the activity's comment thread
+ * @param privacySettings - privacy settings of the pipe run
+ * @returns the document id, e.g. fitnessActivities-123-comment-0123456789abcdef
+ */
+var getCommentId = function(activity, comment, privacySettings) {
+	var key = privacy.getIdentifier(privacySettings, String(comment.timestamp) + '\n' + (comment.profile || comment.name || ''));
+	return getDocumentId('activity_comments', activity) + '-comment-' + key;
+};
+
+/**
+ * Returns the document id of a record of an account. The records of all accounts of a multi-account pipe are stored
+ * in the same databases; their document ids are prefixed with the (pseudonymized) account id.
+ * @param account - Runkeeper account of the pipe run
+ * @param id - document id derived from the record, see getDocumentId
+ */
+var getAccountDocumentId = function(account, id) {
+	return (account.tag && id) ? account.tag + '-' + id : id;
+};
+
 /**
  * Connector that retrieves JSON records from Runkeeper and stores them in Cloudant.
  */
@@ -76,7 +390,7 @@ function oAuthRunkeeperConnector( parentDirPath ){
 	};
 
 	var connectorOptions = {
-		recreateTargetDb: true, // if set (default: false) all data currently stored in the staging database is removed prior to data load
+		recreateTargetDb: false, // keep false (default: false); the options are shared by all pipes, full reloads clear the staging databases of their own run (see fetchRecords)
 		useCustomTables: true   // keep true (default: false)
 	};						
 
@@ -90,6 +404,87 @@ function oAuthRunkeeperConnector( parentDirPath ){
 	// writes to the application's global log file
 	var globalLog = this.globalLog;
 
+	var connector = this;
+
+	// privacy settings and Runkeeper accounts of each pipe run in progress, keyed by pipe id
+	var runContexts = {};
+
+	// time in ms after which the run context of a pipe whose data sets are not fetched is released, if the data pipe
+	// doesn't call runFinished; can be changed using the RUNKEEPER_RUN_IDLE_TIMEOUT environment variable
+	var RUN_CONTEXT_IDLE_TIMEOUT = Number(configManager.get('RUNKEEPER_RUN_IDLE_TIMEOUT')) || 10 * 60 * 1000;
+
+	/**
+	 * Returns the privacy settings and the Runkeeper accounts of the pipe run in progress, as initialized by doConnectStep.
+	 * Each account has its own Runkeeper client and resource URIs.
+	 * @param pipe - data pipe configuration
+	 * @returns {privacy: {...}, deduplication: {...}, accounts: [{id, tag, client: HealthGraphClient, uris: {...}, privacy: {...}, paging: {...}, feedLimiter}, ...], holds}
+	 *  deduplication: settings of the deduplication of activities or null (see activityDeduplication), id: Runkeeper user id (null for single-account pipes), tag: account id that records are tagged with,
+	 *  paging: paging options (see getPagingOptions), feedLimiter: limits the feeds of the run that are paged at once,
+	 *  holds: number of uses of the run context, e.g. data sets that are being fetched (see holdRunContext)
+	 */
+	var getRunContext = function(pipe) {
+		return runContexts[getRunKey(pipe)];
+	};
+
+	/**
+	 * Releases a run context after a delay, unless it is used again (see holdRunContext) in the meantime.
+	 * @param runKey - key of the run context, see getRunKey
+	 * @param runContext - the run context
+	 * @param delay - delay in ms
+	 */
+	var scheduleRelease = function(runKey, runContext, delay) {
+		clearTimeout(runContext.releaseTimer);
+		runContext.releaseTimer = setTimeout(function() {
+			if((runContexts[runKey] === runContext) && (runContext.holds === 0)) {
+				delete runContexts[runKey];
+			}
+		}, delay);
+		// a pending release doesn't keep the application running
+		runContext.releaseTimer.unref();
+	};
+
+	/**
+	 * Marks the run context of a pipe as used, e.g. while a data set is fetched. Run contexts are released when the run
+	 * finishes (see runFinished), so all data sets of the run share the clients and the request budget, even if the
+	 * data pipe fetches them one after the other. If the data pipe doesn't call runFinished, a run context that is no
+	 * longer used is released after RUN_CONTEXT_IDLE_TIMEOUT.
+	 * @param pipe - data pipe configuration
+	 * @returns the run context or undefined if the pipe is not connected (or its run context was released)
+	 */
+	var holdRunContext = function(pipe) {
+		var runContext = getRunContext(pipe);
+		if(runContext) {
+			runContext.holds++;
+			clearTimeout(runContext.releaseTimer);
+		}
+		return runContext;
+	};
+
+	/**
+	 * Ends a use of a run context, see holdRunContext. A run context that is no longer used is released after
+	 * RUN_CONTEXT_IDLE_TIMEOUT, unless the run finishes or a data set is fetched in the meantime.
+	 * @param pipe - data pipe configuration
+	 * @param runContext - the run context that was returned by holdRunContext
+	 */
+	var unholdRunContext = function(pipe, runContext) {
+		runContext.holds--;
+		if(runContext.holds === 0) {
+			scheduleRelease(getRunKey(pipe), runContext, RUN_CONTEXT_IDLE_TIMEOUT);
+		}
+	};
+
+	/**
+	 * Returns the key of the run context of a pipe run. Previews and syncs have their own run contexts, so they don't
+	 * interfere with a run of the same pipe that is in progress.
+	 * @param pipe - data pipe configuration
+	 */
+	var getRunKey = function(pipe) {
+		if(isPreview(pipe)) {
+			return 'preview-' + pipe.preview.id;
+		}
+		return isSync(pipe) ? 'sync-' + pipe.sync.id : pipe._id;
+	};
+
 	/**
 	 * Define the passport strategy to use for oAuth authentication with the data source
 	 * @param pipe - data pipe configuration, containing the user-provided oAuth client id and client secret
@@ -104,7 +499,8 @@ function oAuthRunkeeperConnector( parentDirPath ){
 		  },
 		  function(accessToken, refreshToken, profile, done) {					 // Passport verify callback; customize signature as needed
 
-		  	globalLog.debug('User was authenticated successfully. Profile information: ' + util.inspect(profile,3));
+		  	// the profile and the tokens are not logged
+		  	globalLog.debug('User was authenticated successfully.');
 
 			  process.nextTick(function () {
 
@@ -124,16 +520,43 @@ function oAuthRunkeeperConnector( parentDirPath ){
 	/**
 	 * passportAuthCallbackPostProcessing: post processing for OAuth authentication protocol
 	 * Stores accessToken + refreshToken and retrieves list of available 'tables' (Runkeeper resources) that can be moved by the pipe
+	 * Multi-account pipes store the tokens of each user that authorizes the pipe in property accounts (see getAccountState).
 	 * @param profile - the output generated by the passport verify callback
 	 * @param pipe - data pipe configuration
 	 * @param callback(err, pipe ) error information in case of a problem or the updated pipe
 	 */
 	this.passportAuthCallbackPostProcessing = function(profile, pipe, callback) {
 
-		pipe.oAuth = {
+		// replacing the OAuth information also clears a pending re-authorization request (see doConnectStep)
+		var oAuth = {
 			accessToken : profile.oauth_access_token,
 			refreshToken: profile.oauth_refresh_token
 		};
+		if(isMultiAccount(pipe)) {
+			if(! profile.id) {
+				var message = 'The Runkeeper user id is missing. The account could not be added to data pipe configuration ' + pipe._id + '.';
+				globalLog.error(message);
+				return callback(message, pipe);
+			}
+			// the Runkeeper user id identifies the account; a user who authorizes again replaces the tokens of the account
+			var accountId = String(profile.id);
+			pipe.accounts = pipe.accounts || [];
+			var account = _.find(pipe.accounts, {id: accountId});
+			if(! account) {
+				account = {id: accountId};
+				pipe.accounts.push(account);
+			}
+			account.oAuth = oAuth;
+			account.authorizedAt = new Date().toISOString();
+			globalLog.debug('Runkeeper account ' + privacy.redactUserId(privacy.getSettings(pipe), accountId) + ' was authorized for data pipe configuration ' + pipe._id + '.');
+		}
+		else {
+			if(profile.id) {
+				// identifies the pipe in notifications (see createWebhookHandler)
+				oAuth.userId = String(profile.id);
+			}
+			pipe.oAuth = oAuth;
+		}
 
 		// Fetch list of data sets that the user can choose from; the list is displayed in the Web UI in the 'Filter Data' panel.
 		// Attach data set list to the pipe configuration
@@ -142,8 +565,7 @@ function oAuthRunkeeperConnector( parentDirPath ){
 		    	globalLog.error('OAuth post processing failed. The Runkeeper data set list could not be created for data pipe configuration ' + pipe._id + ': ' + err);
 		    }	
 		    else {
-			    globalLog.debug('OAuth post processing completed. Data pipe configuration was updated: ');
-			    globalLog.debug(' ' + util.inspect(pipe,3));
+			    globalLog.debug('OAuth post processing completed. Data pipe configuration ' + pipe._id + ' was updated.');
 		    }	
 
 			return callback(err, pipe);
@@ -153,51 +575,144 @@ function oAuthRunkeeperConnector( parentDirPath ){
 
 	/**
 	 * Returns the list of Runkeeper resources available to the data pipe.
+	 * The list is computed from the resources that the authorized account(s) expose. Each data set has a description,
+	 * a JSON schema of its records (property schema) and, for feeds, the approximate number of records
+	 * (property approximateRecordCount). See dataSetCatalog for details.
 	 * @param {Object} pipe - Data pipe configuration
 	 * @param {callback} done - invoke after processing is complete or has resulted in an error; parameters (err, updated_pipe)
 	 * @return list of data sets (also referred to as tables for legacy reasons) from which the user can choose from
 	 */
 	this.getRunkeeperDataSetList = function(pipe, done) {
 
-		var dataSets = [];
-		dataSets.push({name:'settings', label:'Settings', description : ''});
-		dataSets.push({name:'records', label:'Records', description : ''});
-		dataSets.push({name:'profile', label:'Profile', description : ''});
-		dataSets.push({name:'change_log', label:'Change Log', description : ''});
-		dataSets.push({name:'strength_training_activities', label:'Strength Training Activities', description : ''});
-		dataSets.push({name:'weight_measurements', label:'Weight Measurements', description : ''});
-		dataSets.push({name:'fitness_activities', label:'Fitness Activities', description : ''});
-		dataSets.push({name:'background_activities', label:'Background Activities', description : ''});
-		dataSets.push({name:'friends', label:'Friends', description : ''});
-		dataSets.push({name:'sleep_measurements', label:'Sleep Measurements', description : ''});
-		dataSets.push({name:'nutritional_measurements', label:'Nutritional Measurements', description : ''});
-		dataSets.push({name:'general_measurements', label:'General Measurements', description : ''});
-		dataSets.push({name:'diabetes_measurements', label:'Diabetes Measurements', description : ''});
-		// Provide the user with the option to load all data sets concurrently
-		// by defining a single data set that contains only property 'labelPlural'
-		dataSets.push({labelPlural:'All data sets'});
-
-		// In the UI the user gets to choose from: 
-		//  -> All data sets
-		//  -> sample data set 1
-		//  -> ...
-
-		// sort data set list (if present, the ALL_DATA option should be displayed first)
-		// attach data set list to data pipe configuration document
-		pipe.tables =  dataSets.sort(function (dataSet1, dataSet2) {
-			if(! dataSet1.name)	{ // ALL_DATA (only property labelPlural is defined)
-				return -1;
-			}
-			if(! dataSet2.name) {// ALL_DATA (only property labelPlural is defined)
-				return 1;
-			}
-			return dataSet1.label.localeCompare(dataSet2.label);
-		});
+		discoverResources(pipe, function(resources) {
+			var privacySettings = privacy.getSettings(pipe);
+			var schemaOptions = {
+				detailed: isDetailed(pipe),
+				normalized: pipe.normalizeRecords === true,
+				multiAccount: isMultiAccount(pipe),
+				markDuplicates: _.get(activityDeduplication.getSettings(pipe), 'action') === 'mark'
+			};
+			var dataSets = [];
+			_.forEach(dataSetCatalog.dataSets, function(definition) {
+				// data sets whose resource the account doesn't expose and data sets that are excluded by the privacy
+				// settings are not offered
+				if((resources && definition.uriKey && (! resources.uris[definition.uriKey])) || privacy.isExcluded(privacySettings, definition.name)) {
+					return;
+				}
+				var dataSet = {
+					name: definition.name,
+					label: definition.label,
+					description: definition.description,
+					// the activity and measurement feeds can be restricted to the date range that is configured in the pipe
+					dateRange: definition.dateRange === true,
+					schema: dataSetCatalog.getSchema(definition, schemaOptions)
+				};
+				if(resources && (definition.paged || definition.countItems) && _.has(resources.sizes, definition.uriKey)) {
+					dataSet.approximateRecordCount = resources.sizes[definition.uriKey];
+				}
+				dataSets.push(dataSet);
+			});
+			pipe.dateRange = _.assign({noEarlierThan: null, noLaterThan: null, lastDays: null}, pipe.dateRange);
+
+			// Provide the user with the option to load all data sets concurrently
+			// by defining a single data set that contains only property 'labelPlural'
+			dataSets.push({labelPlural:'All data sets'});
+
+			// In the UI the user gets to choose from: 
+			//  -> All data sets
+			//  -> sample data set 1
+			//  -> ...
+
+			// sort data set list (if present, the ALL_DATA option should be displayed first)
+			// attach data set list to data pipe configuration document
+			pipe.tables =  dataSets.sort(function (dataSet1, dataSet2) {
+				if(! dataSet1.name)	{ // ALL_DATA (only property labelPlural is defined)
+					return -1;
+				}
+				if(! dataSet2.name) {// ALL_DATA (only property labelPlural is defined)
+					return 1;
+				}
+				return dataSet1.label.localeCompare(dataSet2.label);
+			});
 
-		return done(null, pipe);
+			return done(null, pipe);
+		});
 
 	}; // getTables
 
+	/**
+	 * Asks Runkeeper which resources the accounts of a pipe expose and how many items their feeds contain.
+	 * If the pipe is not authorized yet or Runkeeper cannot be reached, no resources are returned and all data sets
+	 * are listed.
+	 * @param pipe - data pipe configuration
+	 * @param callback(resources) - resources: {uris: {<uri key>: true}, sizes: {<uri key>: <number of items>}} or null;
+	 *  the uri keys are the keys of the user resource. Sizes are summed across the accounts of multi-account pipes.
+	 */
+	var discoverResources = function(pipe, callback) {
+		var accessTokens = isMultiAccount(pipe) ? _.map(_.reject(pipe.accounts, 'oAuth.reauthorizationRequired'), 'oAuth.accessToken') : [pipe.oAuth && (! pipe.oAuth.reauthorizationRequired) && pipe.oAuth.accessToken];
+		accessTokens = _.compact(accessTokens);
+		if(accessTokens.length === 0) {
+			return callback(null);
+		}
+		var resources = {uris: {}, sizes: {}};
+		var discoverNext = function(index) {
+			if(index >= accessTokens.length) {
+				return callback(resources);
+			}
+			discoverAccountResources(pipe, accessTokens[index], resources, function(err) {
+				if(err) {
+					globalLog.warn('The Runkeeper resources of data pipe configuration ' + pipe._id + ' could not be discovered. All data sets are listed: ' + err);
+					return callback(null);
+				}
+				discoverNext(index + 1);
+			});
+		};
+		discoverNext(0);
+	};
+
+	/**
+	 * Adds the resources of an account and the sizes of its feeds to the discovered resources.
+	 * The size of a feed is read from its first page, which is requested with a page size of 1.
+	 * @param pipe - data pipe configuration
+	 * @param accessToken - access token of the account
+	 * @param resources - discovered resources, see discoverResources
+	 * @param callback(err)
+	 */
+	var discoverAccountResources = function(pipe, accessToken, resources, callback) {
+		var client = new HealthGraphClient(_.assign({}, runkeeperClientOptions, {
+			client_id: pipe.clientId,
+			client_secret: pipe.clientSecret,
+			access_token: accessToken
+		}));
+		client.user(function(err, reply) {
+			if(err) {
+				return callback(err);
+			}
+			_.forEach(reply, function(value, key) {
+				if(value) {
+					resources.uris[key] = true;
+				}
+			});
+			var feeds = _.filter(dataSetCatalog.resources, function(resource) {
+				return resource.paged && reply[resource.uriKey];
+			});
+			var countNext = function(index) {
+				if(index >= feeds.length) {
+					return callback();
+				}
+				var feed = feeds[index];
+				client.apiCall('GET', feed.mediaType, addQueryParameters(reply[feed.uriKey], {pageSize: 1}), function(err, page) {
+					if(err) {
+						return callback(err);
+					}
+					resources.sizes[feed.uriKey] = (resources.sizes[feed.uriKey] || 0) + ((page && page.size) || 0);
+					countNext(index + 1);
+				});
+			};
+			countNext(0);
+		});
+	};
+
 
 	/*
 	 * ---------------------------------------------------------------------------------------
@@ -220,596 +735,2015 @@ function oAuthRunkeeperConnector( parentDirPath ){
 	this.doConnectStep = function(done, pipeRunStep, pipeRunStats, pipeRunLog, pipe, pipeRunner) {
 		// initialize the runkeeper client
 		if(pipe) {
-			runkeeperClient.client_id = pipe.clientId;
-			runkeeperClient.client_secret = pipe.clientSecret;
-			runkeeperClient.access_token = pipe.oAuth.accessToken;
-			// call runkeeperClient.user to retrieve the URIs for all functions
-			// these URIs can change and applications are required to use the URIs returned from this call
-			// see https://runkeeper.com/developer/healthgraph/overview for more information
-			pipeRunLog.info('Fetching Runkeeper URIs.');
-			runkeeperClient.user(function(err, reply) {
-				if(err) {
-					pipeRunLog.error('Error fetching user from Runkeeper: ' + err);
-					pipeRunLog.error('FFDC: Runkeeper client params: ');
-					pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-					pipeRunLog.error('FFDC: Runkeeper reply for user request: ');
-					pipeRunLog.error(' ' + util.inspect(reply,3));
-					done(err);
-				}
-				else {
-					if (reply) {
-						if (reply.settings) {
-							runkeeperUris.settings = reply.settings;
-						}
-						if (reply.records) {
-							runkeeperUris.records = reply.records;
-						}
-						if (reply.profile) {
-							runkeeperUris.profile = reply.profile;
-						}
-						if (reply.change_log) {
-							runkeeperUris.change_log = reply.change_log;
-						}
-						if (reply.strength_training_activities) {
-							runkeeperUris.strength_training_activities = reply.strength_training_activities;
-						}
-						if (reply.weight) {
-							runkeeperUris.weight = reply.weight;
-						}
-						if (reply.fitness_activities) {
-							runkeeperUris.fitness_activities = reply.fitness_activities;
-						}
-						if (reply.background_activities) {
-							runkeeperUris.background_activities = reply.background_activities;
-						}
-						if (reply.team) {
-							runkeeperUris.team = reply.team;
-						}
-						if (reply.sleep) {
-							runkeeperUris.sleep = reply.sleep;
-						}
-						if (reply.nutrition) {
-							runkeeperUris.nutrition = reply.nutrition;
-						}
-						if (reply.general_measurements) {
-							runkeeperUris.general_measurements = reply.general_measurements;
+			// don't call Runkeeper if a previous run found that the user revoked access; the flag is cleared when
+			// the pipe is re-authorized (see passportAuthCallbackPostProcessing)
+			if((! isMultiAccount(pipe)) && pipe.oAuth && pipe.oAuth.reauthorizationRequired) {
+				var message = getReauthorizationMessage(pipe, null, pipe.oAuth.authorizationError);
+				pipeRunLog.error(message);
+				return done(message);
+			}
+			var privacySettings = privacy.getSettings(pipe);
+			if(privacySettings.error) {
+				pipeRunLog.error(privacySettings.error);
+				return done(privacySettings.error);
+			}
+			var paging = getPagingOptions(pipe);
+			if(paging.error) {
+				pipeRunLog.error(paging.error);
+				return done(paging.error);
+			}
+			var deduplication = activityDeduplication.getSettings(pipe);
+			if(deduplication && deduplication.error) {
+				pipeRunLog.error(deduplication.error);
+				return done(deduplication.error);
+			}
+			var heartRateSettings = activityAnalysis.getHeartRateSettings(pipe);
+			if(heartRateSettings.error) {
+				pipeRunLog.error(heartRateSettings.error);
+				return done(heartRateSettings.error);
+			}
+			// all data sets and accounts of the run share the limit of feeds that are paged at the same time and the
+			// request budget
+			var feedLimiter = new feedPaging.FeedLimiter(paging.parallelism);
+			var requestBudget = new HealthGraphClient.RequestBudget(Number(pipe.requestsPerMinute) || runkeeperClientOptions.requests_per_minute);
+			if(isPreview(pipe) && pipe.preview.maxRecords) {
+				// previews of the first N items don't request larger pages
+				paging = _.assign({}, paging, {pageSize: Math.min(paging.pageSize || Infinity, pipe.preview.maxRecords)});
+			}
+
+			var accountIds = getAccountIds(pipe);
+			if(accountIds.length === 0) {
+				var noAccounts = 'No Runkeeper accounts are authorized for multi-account data pipe ' + pipe.name + '. Authorize accounts on the Connect page.';
+				pipeRunLog.error(noAccounts);
+				return done(noAccounts);
+			}
+			var accounts = [];
+			var connectNextAccount = function(index) {
+				if(index < accountIds.length) {
+					var accountId = accountIds[index];
+					var state = getAccountState(pipe, accountId);
+					// accounts of multi-account pipes that must be re-authorized are skipped; the other accounts are loaded
+					if((accountId !== null) && state.oAuth.reauthorizationRequired) {
+						pipeRunLog.warn(getReauthorizationMessage(pipe, privacy.redactUserId(privacySettings, accountId), state.oAuth.authorizationError));
+						runStats.incrementRun(pipeRunStats, 'skippedAccounts');
+						return connectNextAccount(index + 1);
+					}
+					return connectAccount(pipe, accountId, privacySettings, requestBudget, pipeRunStats, pipeRunLog, function(err, account) {
+						if(err && (accountId !== null) && state.oAuth.reauthorizationRequired) {
+							runStats.incrementRun(pipeRunStats, 'skippedAccounts');
+							return connectNextAccount(index + 1);
 						}
-						if (reply.diabetes) {
-							runkeeperUris.diabetes = reply.diabetes;
+						if(err) {
+							return done(err);
 						}
-					}
-					done();
+						accounts.push(account);
+						connectNextAccount(index + 1);
+					});
+				}
+				if(accounts.length === 0) {
+					var noAuthorizedAccounts = 'None of the Runkeeper accounts of data pipe ' + pipe.name + ' is authorized. Re-authorize the accounts on the Connect page.';
+					pipeRunLog.error(noAuthorizedAccounts);
+					return done(noAuthorizedAccounts);
 				}
+				// the account id that records are tagged with is pseudonymized like the user ids in the records
+				_.forEach(accounts, function(account) {
+					account.tag = (account.id === null) ? null : privacy.pseudonymizeUserId(privacySettings, account.id);
+					account.paging = paging;
+					account.feedLimiter = feedLimiter;
+				});
+				var runContext = runContexts[getRunKey(pipe)] = {
+					privacy: privacySettings,
+					deduplication: deduplication,
+					accounts: accounts,
+					holds: 0
+				};
+				scheduleRelease(getRunKey(pipe), runContext, RUN_CONTEXT_IDLE_TIMEOUT);
+				runStats.incrementRun(pipeRunStats, 'accounts', accounts.length);
+				done();
+			};
+			// the secret is initialized first: account ids are pseudonymized in the log messages of the connection
+			initializeSecret(pipe, privacySettings, pipeRunLog, function(err) {
+				if(err) {
+					return done(err);
+				}
+				connectNextAccount(0);
 			});
 		}
 		else {
-			runkeeperClient = null;
 			done();
 		}
 	}; // doConnectStep
 
 	/**
-	 * Fetch Runkeeper data to store in Cloudant.
-	 * @param dataSet - dataSet.name contains the data set name that was (directly or indirectly) selected by the user
-	 * @param done(err) - callback funtion to be invoked after processing is complete (or a fatal error has been encountered)
+	 * Saves the Runkeeper user id of a single-account pipe that was authorized before the user id was stored (see
+	 * passportAuthCallbackPostProcessing), so that notifications about the user reach the pipe (see isNotified).
 	 * @param pipe - data pipe configuration
+	 * @param user - reply of the user resource
 	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param callback() - invoked after the user id was saved; a failure is logged and retried during the next run
 	 */
-	this.fetchRecords = function(dataSet, pushRecordFn, done, pipeRunStep, pipeRunStats, pipeRunLog, pipe, pipeRunner) {
-
-		// The data set is typically selected by the user in the 'Filter Data' panel during the pipe configuration step
-		// dataSet: {name: 'data set name'}. However, if you enabled the ALL option (see get Tables) and it was selected, 
-		// the fetchRecords function is invoked asynchronously once for each data set.
-
-		// Bunyan logging - https://github.com/trentm/node-bunyan
-		// The log file is attached to the pipe run document, which is stored in the Cloudant repository database named pipes_db.
-		// To enable debug logging, set environment variable DEBUG to '*'' or 'to sdp-pipe-run' (without the quotes).
-		pipeRunLog.info('Fetching data set ' + dataSet.name + ' from runkeeper.');
-
-		// call the appropriate function to retrieve data from Runkeeper
-		// the called function will call done when complete
-		switch(dataSet.name) {
-			case 'settings' :
-				getSettings(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			case 'records' :
-				getRecords(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			case 'profile' :
-				getProfile(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			case 'change_log' :
-				getChangeLog(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			case 'strength_training_activities' :
-				getStrengthTrainingActivities(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			case 'weight_measurements' :
-				getWeightMeasurements(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			case 'fitness_activities' :
-				getFitnessActivities(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			case 'background_activities' :
-				getBackgroundActivities(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			case 'friends' :
-				getFriends(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			case 'sleep_measurements' :
-				getSleepMeasurements(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			case 'nutritional_measurements' :
-				getNutritionalMeasurements(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			case 'general_measurements' :
-				getGeneralMeasurements(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			case 'diabetes_measurements' :
-				getDiabetesMeasurements(pushRecordFn, pipeRunLog, pipe, done);
-				break;
-			default:
-				pipeRunLog.error('This runkeeper connector cannot process data set ' + dataSet.name);
-				done();
+	var saveUserId = function(pipe, user, pipeRunLog, callback) {
+		if(isMultiAccount(pipe) || isPreview(pipe) || (! pipe.oAuth) || pipe.oAuth.userId || _.isNil(user && user.userID)) {
+			return callback();
 		}
-
-	}; // fetchRecords
-
-	/**
-	 * Prefix Cloudant databases with connector id.
-	 */
-	this.getTablePrefix = function() {
-		// The prefix is used to generate names for the Cloudant staging databases that hold your data. The recommended
-		// value is the connector ID to assure uniqueness.
-		return connectorInfo.id;
+		updateAccountState(pipe, null, function(state) {
+			state.oAuth.userId = String(user.userID);
+		}, function(err) {
+			if(err) {
+				pipeRunLog.warn('The Runkeeper user id of the data pipe could not be saved. Notifications are ignored until it is saved: ' + err);
+			}
+			callback();
+		});
 	};
 
 	/**
-	 * Fetch the user's settings from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/settings} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
-	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * Creates the Runkeeper client of an account and fetches the URIs of the account's resources.
 	 * @param pipe - data pipe configuration
-	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
+	 * @param accountId - Runkeeper user id of the account; null for single-account pipes
+	 * @param privacySettings - privacy settings of the pipe run
+	 * @param requestBudget - request budget of the pipe run, shared by the clients of all accounts
+	 * @param pipeRunStats - maintains pipe run stats such as startTime, # of records processed, etc
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param callback(err, account) - account: {id, client, uris, privacy}
 	 */
-	var getSettings = function(pushRecordFn, pipeRunLog, pipe, done) {
-		pipeRunLog.info('Fetching settings.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.Settings+json', runkeeperUris.settings, function(err, reply) {
+	var connectAccount = function(pipe, accountId, privacySettings, requestBudget, pipeRunStats, pipeRunLog, callback) {
+		var state = getAccountState(pipe, accountId);
+		// each account uses its own client and URIs, allowing pipes for different Runkeeper users to run concurrently
+		// all data sets and accounts of the run share the request budget; retried requests are logged and counted
+		var account = {
+			id: accountId,
+			client: new HealthGraphClient(_.assign({}, runkeeperClientOptions, {
+				client_id: pipe.clientId,
+				client_secret: pipe.clientSecret,
+				access_token: state.oAuth.accessToken,
+				request_budget: requestBudget,
+				onRetry: function(info) {
+					pipeRunLog.warn('Retrying Runkeeper request ' + privacy.redactUri(privacySettings, info.uri) + ' in ' + info.delay + ' ms (attempt ' + info.attempt + ', ' + info.reason + ').');
+					runStats.incrementRun(pipeRunStats, 'retries');
+				}
+			})),
+			// default URIs; these can change and are replaced by the URIs returned by the user resource
+			uris: dataSetCatalog.getDefaultUris(),
+			privacy: privacySettings
+		};
+		// call the Runkeeper user API to retrieve the URIs for all functions
+		// these URIs can change and applications are required to use the URIs returned from this call
+		// see https://runkeeper.com/developer/healthgraph/overview for more information
+		pipeRunLog.info('Fetching Runkeeper URIs' + ((accountId === null) ? '' : ' of account ' + privacy.redactUserId(privacySettings, accountId)) + '.');
+		var processUser = function(err, reply) {
+			if(isAuthorizationError(err)) {
+				return requireReauthorization(pipe, accountId, privacySettings, pipeRunLog, 'access was denied after the access token was renewed', callback);
+			}
 			if(err) {
-				pipeRunLog.error('Error fetching settings from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for settings request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
+				pipeRunLog.error('Error fetching user from Runkeeper: ' + err);
+				pipeRunLog.error(getFfdcInfo('user', err));
+				callback(err);
 			}
 			else {
-				if (reply) {
-					pipeRunLog.info('Fetched settings.');
-					pushRecordFn(reply);
-				}
-				done();
+				_.forEach(dataSetCatalog.resources, function(resource) {
+					if(reply && reply[resource.uriKey]) {
+						account.uris[resource.uriKey] = reply[resource.uriKey];
+					}
+				});
+				saveUserId(pipe, reply, pipeRunLog, function() {
+					callback(null, account);
+				});
 			}
-		});
-	};
+		};
+		account.client.user(function(err, reply) {
+			// the access token was revoked or has expired; try to renew it once
+			if(isAuthorizationError(err)) {
+				return renewAccessToken(account.client, pipe, accountId, privacySettings, pipeRunLog, function(err) {
+					if(err) {
+						return callback(err);
+					}
+					account.client.user(processUser);
+				});
+			}
+			processUser(err, reply);
+		});
+	};
 
 	/**
-	 * Fetch the user's personal records from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/records} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
-	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * Invoked after a data pipe run has finished. Releases the Runkeeper clients of the pipe run, unless they were
+	 * already released because the run was idle (see holdRunContext).
 	 * @param pipe - data pipe configuration
-	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
 	 */
-	var getRecords = function(pushRecordFn, pipeRunLog, pipe, done) {
-		pipeRunLog.info('Fetching records.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.Records+json', runkeeperUris.records, function(err, reply) {
+	this.runFinished = function(pipe) {
+		var runContext = pipe && getRunContext(pipe);
+		if(runContext) {
+			clearTimeout(runContext.releaseTimer);
+			delete runContexts[getRunKey(pipe)];
+		}
+	};
+
+	// number of previews that were started; identifies the run context of a preview
+	var previewCount = 0;
+
+	/**
+	 * Previews data sets, e.g. to show sample records in the 'Filter Data' panel before the pipe is run. The pipe is
+	 * connected (see doConnectStep) and the first page, or the first maxRecords items, of each data set is fetched
+	 * (see fetchRecords) for each account. Nothing is written to the staging databases and the state of the pipe
+	 * (high-water marks, checkpoints) is not changed. Data set write_back, which writes to Runkeeper, is not previewed.
+	 * @param pipe - data pipe configuration
+	 * @param options - {dataSets: [<data set name>, ...], maxRecords: N}; all data sets that read from Runkeeper are
+	 *  previewed if dataSets is not set, the items of the first page if maxRecords is not set
+	 * @param done(err, preview) - err is set if the options are invalid or the pipe could not be connected
+	 *  preview: {dataSets: [{name, label, sampleRecords, approximateRecordCount, invalidRecords, errors, warnings}, ...]}
+	 *  approximateRecordCount: number of items of the feed as reported by Runkeeper; null if the data set is no feed
+	 */
+	this.previewDataSets = function(pipe, options, done) {
+		options = options || {};
+		var maxRecords = _.isNil(options.maxRecords) ? null : Number(options.maxRecords);
+		if((maxRecords !== null) && ((maxRecords < 1) || (Math.floor(maxRecords) !== maxRecords))) {
+			return done('Invalid preview options: maxRecords must be a positive integer, but is ' + options.maxRecords + '.');
+		}
+		previewCount++;
+		var previewPipe = _.assign({}, pipe, {preview: {id: previewCount, maxRecords: maxRecords}});
+		var pipeRunStats = {};
+		// the errors and warnings of the data set that is previewed
+		var current = null;
+		var pipeRunLog = {
+			debug: function(message) {
+				globalLog.debug(message);
+			},
+			info: function(message) {
+				globalLog.debug(message);
+			},
+			warn: function(message) {
+				globalLog.warn(message);
+				if(current) {
+					current.warnings.push(String(message));
+				}
+			},
+			error: function(message) {
+				globalLog.error(message);
+				if(current) {
+					current.errors.push(String(message));
+				}
+			}
+		};
+		connector.doConnectStep(function(err) {
 			if(err) {
-				pipeRunLog.error('Error fetching records from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for records request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
+				connector.runFinished(previewPipe);
+				return done(err);
 			}
-			else {
-				if (reply) {
-					pipeRunLog.info('Fetched ' + reply.length + ' records.');
-					pushRecordFn(reply);
+			// the data sets are previewed one after the other using the same run context
+			holdRunContext(previewPipe);
+			var dataSetNames = options.dataSets || _.map(_.reject(dataSetCatalog.dataSets, {name: 'write_back'}), 'name');
+			var results = [];
+			var previewNext = function(index) {
+				if(index >= dataSetNames.length) {
+					connector.runFinished(previewPipe);
+					return done(null, {dataSets: results});
 				}
-				done();
+				var definition = dataSetCatalog.getDataSet(dataSetNames[index]) || {};
+				current = {
+					name: dataSetNames[index],
+					label: definition.label || dataSetNames[index],
+					sampleRecords: [],
+					approximateRecordCount: null,
+					invalidRecords: 0,
+					errors: [],
+					warnings: []
+				};
+				connector.fetchRecords({name: current.name}, function(records) {
+					current.sampleRecords = current.sampleRecords.concat(records);
+				}, function(err) {
+					if(err && (current.errors.length === 0)) {
+						current.errors.push(String(err));
+					}
+					var stats = runStats.getDataSetStats(pipeRunStats, current.name);
+					if((definition.paged || definition.countItems) && _.has(stats, 'feedSize')) {
+						current.approximateRecordCount = stats.feedSize;
+					}
+					current.invalidRecords = stats.invalidRecords || 0;
+					results.push(current);
+					previewNext(index + 1);
+				}, null, pipeRunStats, pipeRunLog, previewPipe, null);
+			};
+			previewNext(0);
+		}, null, pipeRunStats, pipeRunLog, previewPipe, null);
+	};
+
+	// number of syncs that were started; identifies the run context of a sync
+	var syncCount = 0;
+
+	// syncs in progress, keyed by pipe id and account id
+	var syncsInProgress = {};
+
+	// number of times a notification is scheduled again if the data pipe configuration cannot be loaded
+	var MAX_NOTIFICATION_RETRIES = 5;
+
+	/**
+	 * Creates the HTTP endpoint that receives notifications that the data of a Runkeeper user changed (see webhook).
+	 * The handler can be mounted on an express application or used with http.createServer. It verifies the signature
+	 * (or the shared secret) of each notification and maps it to the pipes that load the user's data. Once no further
+	 * notifications arrived for the debounce delay, the data set of the resource is fetched for the user's account of
+	 * each pipe (see syncDataSets). Notifications are answered before the data set is fetched:
+	 *  202 - accepted; the reply lists the affected pipes and the data set: {pipes: [<pipe id>, ...], dataSet}
+	 *  400 - invalid notification, 401 - invalid signature, 405 - not a POST request, 500 - the pipes could not be listed
+	 * @param [options] - {secret, delay, listPipes}
+	 *  secret: webhook secret (default: environment variable RUNKEEPER_WEBHOOK_SECRET); all notifications are rejected
+	 *   if no secret is configured
+	 *  delay: debounce delay in ms (default: environment variable RUNKEEPER_WEBHOOK_DELAY or 30000)
+	 *  listPipes(callback(err, pipes)): lists the data pipe configurations (default: pipesDb.listPipes)
+	 * @returns function(req, res)
+	 */
+	this.createWebhookHandler = function(options) {
+		options = _.assign({
+			secret: configManager.get('RUNKEEPER_WEBHOOK_SECRET'),
+			delay: Number(configManager.get('RUNKEEPER_WEBHOOK_DELAY')) || 30000,
+			listPipes: function(callback) {
+				pipesDb.listPipes(callback);
 			}
+		}, _.omitBy(options, _.isNil));
+		var debouncer = new webhook.Debouncer(options.delay, function(key, targets) {
+			syncNotified(debouncer, key, targets);
 		});
+		var reply = function(res, statusCode, body) {
+			res.writeHead(statusCode, {'Content-Type': 'application/json'});
+			res.end(JSON.stringify(body));
+		};
+		return function(req, res) {
+			if(req.method !== 'POST') {
+				return reply(res, 405, {error: 'Notifications must be posted.'});
+			}
+			webhook.readBody(req, function(err, body) {
+				if(err) {
+					return reply(res, 400, {error: String(err)});
+				}
+				if(! webhook.verify(options.secret, req.headers, body)) {
+					globalLog.warn('A Runkeeper notification was rejected: the signature is invalid' + (options.secret ? '.' : ' (no webhook secret is configured).'));
+					return reply(res, 401, {error: 'Invalid signature.'});
+				}
+				var notification = webhook.parseNotification(body);
+				if(notification.error) {
+					return reply(res, 400, {error: notification.error});
+				}
+				var resource = dataSetCatalog.getResource(notification.resource);
+				if(! resource) {
+					return reply(res, 400, {error: 'Unknown Runkeeper resource ' + notification.resource + '.'});
+				}
+				options.listPipes(function(err, pipes) {
+					if(err) {
+						globalLog.error('The data pipes affected by a Runkeeper notification could not be listed: ' + err);
+						return reply(res, 500, {error: 'The data pipes could not be listed.'});
+					}
+					var affected = _.filter(pipes, function(pipe) {
+						return (pipe.connectorId === connectorInfo.id) && isNotified(pipe, notification.userId) &&
+							(! privacy.isExcluded(privacy.getSettings(pipe), resource.name));
+					});
+					_.forEach(affected, function(pipe) {
+						var accountId = isMultiAccount(pipe) ? notification.userId : null;
+						debouncer.schedule(pipe._id + '/' + accountId, {pipeId: pipe._id, accountId: accountId, dataSetName: resource.name});
+					});
+					globalLog.debug('Runkeeper notification for resource ' + resource.uriKey + ' affects ' + affected.length + ' data pipe(s).');
+					reply(res, 202, {pipes: _.map(affected, '_id'), dataSet: resource.name});
+				});
+			});
+		};
 	};
 
 	/**
-	 * Fetch the user's profile from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/profile} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
-	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * Returns true if a run of a pipe is in progress: the pipe was connected and its run context was not released yet.
+	 * The run context is released when the run finishes (see runFinished), or after RUN_CONTEXT_IDLE_TIMEOUT if no
+	 * data set is fetched and the data pipe doesn't call runFinished.
 	 * @param pipe - data pipe configuration
-	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
 	 */
-	var getProfile = function(pushRecordFn, pipeRunLog, pipe, done) {
-		pipeRunLog.info('Fetching profile.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.Profile+json', runkeeperUris.profile, function(err, reply) {
+	var isRunning = function(pipe) {
+		return !! getRunContext(pipe);
+	};
+
+	/**
+	 * Runs the sync of an account after notifications arrived. The sync is postponed if the pipe or the account is
+	 * being loaded, and retried up to MAX_NOTIFICATION_RETRIES times if the pipe cannot be loaded.
+	 * @param debouncer - the debouncer that scheduled the sync
+	 * @param key - key of the account: <pipe id>/<account id>
+	 * @param targets - the notified data sets: [{pipeId, accountId, dataSetName, [retries]}, ...]
+	 */
+	var syncNotified = function(debouncer, key, targets) {
+		var postpone = function() {
+			_.forEach(targets, function(target) {
+				debouncer.schedule(key, target);
+			});
+		};
+		if(syncsInProgress[key]) {
+			return postpone();
+		}
+		pipesDb.getPipe(targets[0].pipeId, function(err, pipe) {
 			if(err) {
-				pipeRunLog.error('Error fetching profile from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for profile request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
-			}
-			else {
-				if (reply) {
-					pipeRunLog.info('Fetched profile.');
-					pushRecordFn(reply);
+				var retries = _.max(_.map(targets, 'retries')) || 0;
+				if(retries >= MAX_NOTIFICATION_RETRIES) {
+					return globalLog.error('Data pipe configuration ' + targets[0].pipeId + ' could not be loaded for a Runkeeper notification. The notification is dropped: ' + err);
 				}
-				done();
+				globalLog.error('Data pipe configuration ' + targets[0].pipeId + ' could not be loaded for a Runkeeper notification. The notification is processed later: ' + err);
+				return _.forEach(targets, function(target) {
+					debouncer.schedule(key, _.assign({}, target, {retries: retries + 1}));
+				});
+			}
+			if(isRunning(pipe)) {
+				globalLog.debug('Data pipe ' + pipe.name + ' is running. The Runkeeper notification is processed later.');
+				return postpone();
 			}
+			syncsInProgress[key] = true;
+			syncDataSets(pipe, targets[0].accountId, _.uniq(_.map(targets, 'dataSetName')), function() {
+				delete syncsInProgress[key];
+			});
 		});
 	};
 
 	/**
-	 * Fetch the user's change log from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/change-log} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
-	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * Fetches data sets for one account of a pipe and saves the records in the staging databases. The sync is an
+	 * incremental run of the pipe (see doConnectStep and fetchRecords) that is restricted to the data sets and the
+	 * account: only items that were added or modified since the last run are fetched. The records are saved in the
+	 * staging databases like the records of a pipe run (see createRecordWriter); the high-water mark of a data set is
+	 * only advanced if all its records were saved. A data set that fails doesn't stop the sync of the other data sets.
 	 * @param pipe - data pipe configuration
-	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
+	 * @param accountId - Runkeeper user id of the account; null for single-account pipes
+	 * @param dataSetNames - names of the data sets
+	 * @param callback(err) - err lists the errors of all data sets that failed
 	 */
-	var getChangeLog = function(pushRecordFn, pipeRunLog, pipe, done) {
-		pipeRunLog.info('Fetching change log.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.ChangeLog+json', runkeeperUris.change_log, function(err, reply) {
+	var syncDataSets = function(pipe, accountId, dataSetNames, callback) {
+		syncCount++;
+		var syncPipe = _.assign({}, pipe, {fullReload: false, sync: {id: syncCount}});
+		if(accountId !== null) {
+			syncPipe.accounts = _.filter(pipe.accounts, {id: accountId});
+		}
+		var pipeRunStats = {};
+		var errors = [];
+		var finish = function(err) {
+			connector.runFinished(syncPipe);
 			if(err) {
-				pipeRunLog.error('Error fetching change log from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for change log request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
+				globalLog.error('Data pipe ' + pipe.name + ' could not fetch the notified data set(s) ' + dataSetNames.join(', ') + ': ' + err);
 			}
-			else {
-				if (reply) {
-					pipeRunLog.info('Fetched change log.');
-					pushRecordFn(reply);
+			callback(err);
+		};
+		connector.doConnectStep(function(err) {
+			if(err) {
+				return finish(err);
+			}
+			// the data sets are fetched one after the other using the same run context
+			holdRunContext(syncPipe);
+			var syncNext = function(index) {
+				if(index >= dataSetNames.length) {
+					return finish((errors.length > 0) ? errors.join(' ') : null);
 				}
+				var dataSet = {name: dataSetNames[index]};
+				connector.fetchRecords(dataSet, _.noop, function(err) {
+					if(err) {
+						globalLog.error('Data pipe ' + pipe.name + ' could not fetch the notified data set ' + dataSet.name + ': ' + err);
+						errors.push(dataSet.name + ': ' + err);
+						return syncNext(index + 1);
+					}
+					var savedRecords = runStats.getDataSetStats(pipeRunStats, dataSet.name).savedRecords || 0;
+					if(savedRecords > 0) {
+						globalLog.info('Data pipe ' + pipe.name + ' fetched ' + savedRecords + ' record(s) of data set ' + dataSet.name + ' after a Runkeeper notification.');
+					}
+					syncNext(index + 1);
+				}, null, pipeRunStats, globalLog, syncPipe, null);
+			};
+			syncNext(0);
+		}, null, pipeRunStats, globalLog, syncPipe, null);
+	};
+
+	/**
+	 * Renews the access token of an account using the stored refresh token and saves the new token(s) in the pipe.
+	 * If the token cannot be renewed the account is marked as requiring re-authorization.
+	 * @param client - the Runkeeper client of the account
+	 * @param pipe - data pipe configuration
+	 * @param accountId - Runkeeper user id of the account; null for single-account pipes
+	 * @param privacySettings - privacy settings of the pipe run
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param callback(err) - err is set if the token could not be renewed
+	 */
+	var renewAccessToken = function(client, pipe, accountId, privacySettings, pipeRunLog, callback) {
+		var oAuth = getAccountState(pipe, accountId).oAuth;
+		if(! oAuth.refreshToken) {
+			return requireReauthorization(pipe, accountId, privacySettings, pipeRunLog, 'access was denied and no refresh token is available', callback);
+		}
+		pipeRunLog.info('Runkeeper denied access. Renewing the access token.');
+		client.refreshAccessToken(oAuth.refreshToken, function(err, tokens) {
+			if(err) {
+				return requireReauthorization(pipe, accountId, privacySettings, pipeRunLog, 'access was denied and the access token could not be renewed: ' + err, callback);
 			}
-			done();
+			updateAccountState(pipe, accountId, function(state) {
+				state.oAuth.accessToken = tokens.access_token;
+				if(tokens.refresh_token) {
+					state.oAuth.refreshToken = tokens.refresh_token;
+				}
+			}, function(err) {
+				if(err) {
+					// the renewed token can still be used during this run
+					pipeRunLog.warn('The renewed Runkeeper access token could not be saved: ' + err);
+				}
+				pipeRunLog.info('The Runkeeper access token was renewed.');
+				callback();
+			});
 		});
 	};
 
 	/**
-	 * Fetch the user's strength training activities from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/strength-training} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
+	 * Generates and saves the secret that is used to hash personal information, if the privacy settings require
+	 * hashing and the pipe has no secret yet. The secret must be saved: pseudonyms change if the secret changes.
+	 * @param pipe - data pipe configuration
+	 * @param privacySettings - privacy settings of the pipe run; the secret is assigned
 	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param callback(err) - err is set if the secret could not be saved
+	 */
+	var initializeSecret = function(pipe, privacySettings, pipeRunLog, callback) {
+		if((! privacy.requiresSecret(privacySettings)) || privacySettings.secret) {
+			return callback();
+		}
+		var secret = privacy.generateSecret();
+		if(isPreview(pipe)) {
+			// previews don't store records, so their pseudonyms don't need to match those of later runs
+			privacySettings.secret = secret;
+			return callback();
+		}
+		pipeRunLog.info('Generating the secret that is used to hash personal information.');
+		pipeState.updatePipe(pipe, function(pipe) {
+			pipe.privacy = pipe.privacy || {};
+			pipe.privacy.secret = pipe.privacy.secret || secret;
+		}, function(err) {
+			if(err) {
+				pipeRunLog.error('The secret that is used to hash personal information could not be saved: ' + err);
+				return callback(err);
+			}
+			privacySettings.secret = pipe.privacy.secret;
+			callback();
+		});
+	};
+
+	/**
+	 * Marks a pipe or an account of a multi-account pipe as requiring re-authorization, which prevents subsequent
+	 * runs from calling Runkeeper with its access token.
 	 * @param pipe - data pipe configuration
-	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
-	 * @param [uri] - optional URI, used for paging. if not specified the default URI will be used
+	 * @param accountId - Runkeeper user id of the account; null for single-account pipes
+	 * @param privacySettings - privacy settings of the pipe run
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param reason - describes why the pipe is no longer authorized
+	 * @param callback(err) - invoked with an error message that asks the user to re-authorize the pipe
 	 */
-	var getStrengthTrainingActivities = function(pushRecordFn, pipeRunLog, pipe, done, uri) {
-		pipeRunLog.info('Fetching strength training activities.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.StrengthTrainingActivityFeed+json', (uri||runkeeperUris.strength_training_activities), function(err, reply) {
+	var requireReauthorization = function(pipe, accountId, privacySettings, pipeRunLog, reason, callback) {
+		var message = getReauthorizationMessage(pipe, (accountId === null) ? null : privacy.redactUserId(privacySettings, accountId), reason);
+		pipeRunLog.error(message);
+		updateAccountState(pipe, accountId, function(state) {
+			state.oAuth.reauthorizationRequired = true;
+			state.oAuth.authorizationError = reason;
+		}, function(err) {
 			if(err) {
-				pipeRunLog.error('Error fetching strength training activities from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for strength training activities request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
+				pipeRunLog.error('The data pipe could not be marked as requiring re-authorization: ' + err);
 			}
-			else {
-				var complete = true;
-				if (reply && reply.items) {
-					pipeRunLog.info('Fetched ' + reply.items.length + ' strength training activity(s).');
-					pushRecordFn(reply.items);
-					if (reply.next) {
-						complete = false;
-						getStrengthTrainingActivities(pushRecordFn, pipeRunLog, pipe, done, reply.next);
-					}
+			callback(message);
+		});
+	};
+
+	/**
+	 * Fetch Runkeeper data to store in Cloudant.
+	 * @param dataSet - dataSet.name contains the data set name that was (directly or indirectly) selected by the user
+	 * @param done(err) - callback funtion to be invoked after processing is complete (or a fatal error has been encountered)
+	 * @param pipe - data pipe configuration
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 */
+	this.fetchRecords = function(dataSet, pushRecordFn, done, pipeRunStep, pipeRunStats, pipeRunLog, pipe, pipeRunner) {
+
+		// The data set is typically selected by the user in the 'Filter Data' panel during the pipe configuration step
+		// dataSet: {name: 'data set name'}. However, if you enabled the ALL option (see get Tables) and it was selected, 
+		// the fetchRecords function is invoked asynchronously once for each data set.
+
+		// Bunyan logging - https://github.com/trentm/node-bunyan
+		// The log file is attached to the pipe run document, which is stored in the Cloudant repository database named pipes_db.
+		// To enable debug logging, set environment variable DEBUG to '*'' or 'to sdp-pipe-run' (without the quotes).
+		pipeRunLog.info('Fetching data set ' + dataSet.name + ' from runkeeper.');
+
+		// the run context is released when the run finishes or was idle (see holdRunContext). If the data pipe fetches a
+		// data set after that, the pipe is connected again.
+		var runContext = holdRunContext(pipe);
+		if(! runContext) {
+			pipeRunLog.info('Connecting to Runkeeper again to fetch data set ' + dataSet.name + '.');
+			return connector.doConnectStep(function(err) {
+				if(err) {
+					return done(err);
 				}
-				if (complete) {
-					done();
+				connector.fetchRecords(dataSet, pushRecordFn, done, pipeRunStep, pipeRunStats, pipeRunLog, pipe, pipeRunner);
+			}, pipeRunStep, pipeRunStats, pipeRunLog, pipe, pipeRunner);
+		}
+		var finish = function(err) {
+			unholdRunContext(pipe, runContext);
+			done(err);
+		};
+
+		if(privacy.isExcluded(runContext.privacy, dataSet.name)) {
+			pipeRunLog.info('Data set ' + dataSet.name + ' is excluded by the privacy settings and is not loaded.');
+			return finish();
+		}
+		if(isPreview(pipe) && (dataSet.name === 'write_back')) {
+			pipeRunLog.warn('Data set write_back writes documents to Runkeeper and is not previewed.');
+			return finish();
+		}
+		var dateRange = _.get(dataSetCatalog.getDataSet(dataSet.name), 'dateRange') ? getDateRange(pipe) : {};
+		if(dateRange.error) {
+			pipeRunLog.error(dateRange.error);
+			return finish(dateRange.error);
+		}
+		if(dateRange.noEarlierThan || dateRange.noLaterThan) {
+			pipeRunLog.info('Fetching items of data set ' + dataSet.name + ' between ' + (dateRange.noEarlierThan || 'the first item') + ' and ' + (dateRange.noLaterThan || 'today') + '.');
+		}
+
+		// the data set is fetched for one account after the other
+		var fetchNextAccount = function(index) {
+			if(index >= runContext.accounts.length) {
+				return finish();
+			}
+			fetchAccountRecords(dataSet, runContext.accounts[index], dateRange, pushRecordFn, pipeRunStats, pipeRunLog, pipe, function(err) {
+				if(err) {
+					return finish(err);
 				}
+				fetchNextAccount(index + 1);
+			});
+		};
+
+		// full reloads replace all documents of the data set. The staging database is cleared for this run only, because
+		// connector option recreateTargetDb is shared by the pipes that run at the same time. Previews don't write to
+		// the staging databases and syncs only fetch the notified changes.
+		if(isPreview(pipe) || isSync(pipe) || (! isFullReload(pipe))) {
+			return fetchNextAccount(0);
+		}
+		stagingDb.clearDocuments(connector.getCloudantDbName(pipe, dataSet), function(err, deletedCount) {
+			if(err) {
+				pipeRunLog.error('Error clearing the staging database of data set ' + dataSet.name + ': ' + err);
+				return finish(err);
 			}
+			pipeRunLog.info('Removed ' + deletedCount + ' record(s) from data set ' + dataSet.name + ' before the full reload.');
+			clearQuarantine(dataSet, pipe, pipeRunLog, function(err) {
+				if(err) {
+					return finish(err);
+				}
+				fetchNextAccount(0);
+			});
 		});
-	};
+
+	}; // fetchRecords
 
 	/**
-	 * Fetch the user's weight measurements from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/weight-sets} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
+	 * Fetches a data set for one Runkeeper account of the pipe run.
+	 * @param dataSet - the data set that is being fetched
+	 * @param account - Runkeeper account of the pipe run
+	 * @param dateRange - date range that the activity and measurement feeds are restricted to, see getDateRange
+	 * @param pushRecordFn - function provided by the data pipe to push records through the pipeline
+	 * @param pipeRunStats - maintains pipe run stats such as startTime, # of records processed, etc
 	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
 	 * @param pipe - data pipe configuration
 	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
-	 * @param [uri] - optional URI, used for paging. if not specified the default URI will be used
 	 */
-	var getWeightMeasurements = function(pushRecordFn, pipeRunLog, pipe, done, uri) {
-		pipeRunLog.info('Fetching weight measurements.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.WeightSetFeed+json', (uri||runkeeperUris.weight), function(err, reply) {
+	var fetchAccountRecords = function(dataSet, account, dateRange, pushRecordFn, pipeRunStats, pipeRunLog, pipe, done) {
+		if(account.tag) {
+			pipeRunLog.info('Fetching data set ' + dataSet.name + ' of account ' + account.tag + '.');
+		}
+
+		// unless a full reload was requested, only items that were added or modified since the last successful run
+		// are fetched; they replace the matching documents (identified by their Runkeeper uri) in the staging database
+		// previews always fetch the first page and don't read or update the staging databases and the account state
+		var preview = isPreview(pipe);
+		var state = getAccountState(pipe, account.id);
+		var incremental = (! preview) && (! isFullReload(pipe));
+		var syncStartTime = new Date().toISOString();
+		var definition = dataSetCatalog.getDataSet(dataSet.name) || {};
+		var highWaterMark = incremental ? getHighWaterMark(state, dataSet.name) : null;
+		var modifiedSince = (highWaterMark && (definition.changeLogKey || dataSet.name === 'change_log')) ? toHealthGraphDate(highWaterMark) : null;
+		var pushRecords = createRecordWriter(dataSet, pushRecordFn, pipe, account, pipeRunStats, pipeRunLog);
+		if(dataSet.name === 'change_log') {
+			pushRecords = addChangeLogId(pushRecords, modifiedSince);
+		}
+		if(pipe.normalizeRecords === true) {
+			pushRecords = addNormalization(pushRecords, pipe);
+		}
+		if(isDetailed(pipe) && definition.detailMediaType) {
+			pushRecords = addActivityDetails(pushRecords, definition.detailMediaType, pipeRunLog, account);
+		}
+		// derived data sets replace the items of their resource by the records they derive from them
+		var activityMediaType = dataSetCatalog.getResource('fitness_activities').detailMediaType;
+		switch(definition.derivation) {
+			case 'analysis' :
+				// the analysis requires the series of the complete activity documents
+				pushRecords = addActivityAnalysis(pushRecords, pipeRunLog, pipe, account);
+				pushRecords = addActivityDetails(pushRecords, activityMediaType, pipeRunLog, account);
+				break;
+			case 'routeExport' :
+				pushRecords = addRouteExport(pushRecords, dataSet, definition.routeFormat, pipeRunLog, account);
+				break;
+			case 'comments' :
+				// the comment thread is linked in the complete activity document
+				pushRecords = addActivityComments(pushRecords, dataSet, incremental, pipe, pipeRunStats, pipeRunLog, account);
+				pushRecords = addActivityDetails(pushRecords, activityMediaType, pipeRunLog, account);
+				break;
+			case 'friendProfiles' :
+				pushRecords = addFriendProfiles(pushRecords, pipeRunLog, account);
+				break;
+			case 'friendActivities' :
+				pushRecords = addFriendActivities(pushRecords, pipeRunLog, account);
+				break;
+		}
+
+		// if a previous run was interrupted, resume paging where it stopped (the staging database still contains the
+		// items of the pages that were pushed). Full reloads clear the staging database and always start from page one.
+		var checkpoint = incremental ? getCheckpoint(state, dataSet.name) : null;
+		if(checkpoint) {
+			pipeRunLog.info('Resuming data set ' + dataSet.name + ' from ' + privacy.redactUri(account.privacy, checkpoint.uri) + '.');
+			// items that were modified after the interrupted run started are listed on the pages that were already fetched
+			syncStartTime = checkpoint.syncStartTime;
+		}
+		if(preview) {
+			pushRecords = addPreviewLimit(pushRecords, pipe.preview.maxRecords);
+		}
+		else {
+			pushRecords = addCheckpoints(pushRecords, dataSet, pipe, account, syncStartTime, pipeRunLog);
+		}
+		// duplicates are detected on the feed items, before the complete activities are fetched
+		var deduplication = getRunContext(pipe).deduplication;
+		if(deduplication && definition.deduplicated) {
+			pushRecords = addDeduplication(pushRecords, deduplication, dataSet, incremental ? connector.getCloudantDbName(pipe, dataSet) : null, account, pipeRunStats, pipeRunLog);
+		}
+
+		// feeds that support it are restricted to items that were modified since the high-water mark
+		// and to the configured date range
+		var firstPageUri = function(resource) {
+			if(checkpoint) {
+				return checkpoint.uri;
+			}
+			return addQueryParameters(account.uris[resource.uriKey], {
+				pageSize: resource.paged ? account.paging.pageSize : null,
+				modifiedNoEarlierThan: modifiedSince,
+				noEarlierThan: dateRange.noEarlierThan,
+				noLaterThan: dateRange.noLaterThan
+			});
+		};
+
+		// throughput of the data set: pages and records fetched from Runkeeper, bytes received and time spent on requests
+		// the size of the feed (summed across accounts) is taken from the first page
+		var firstPage = true;
+		var recordPage = function(page) {
+			if(firstPage && (typeof page.size === 'number')) {
+				runStats.increment(pipeRunStats, dataSet.name, 'feedSize', page.size);
+			}
+			firstPage = false;
+			runStats.increment(pipeRunStats, dataSet.name, 'pages');
+			runStats.increment(pipeRunStats, dataSet.name, 'fetchedRecords', page.items.length);
+			runStats.increment(pipeRunStats, dataSet.name, 'fetchedBytes', page.bytes);
+			runStats.increment(pipeRunStats, dataSet.name, 'fetchMs', page.ms);
+		};
+
+		// advance the high-water mark and clear the checkpoint after the data set was loaded successfully
+		var fetchComplete = function(err) {
+			if(preview) {
+				return done((err === PREVIEW_COMPLETE) ? null : err);
+			}
 			if(err) {
-				pipeRunLog.error('Error fetching weight measurements from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for weight measurements request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
+				return done(err);
 			}
-			else {
-				var complete = true;
-				if (reply && reply.items) {
-					pipeRunLog.info('Fetched ' + reply.items.length + ' weight measurement(s).');
-					pushRecordFn(reply.items);
-					if (reply.next) {
-						complete = false;
-						getWeightMeasurements(pushRecordFn, pipeRunLog, pipe, done, reply.next);
-					}
+			updateAccountState(pipe, account.id, function(state) {
+				state.highWaterMarks = state.highWaterMarks || {};
+				state.highWaterMarks[dataSet.name] = syncStartTime;
+				if(state.checkpoints) {
+					delete state.checkpoints[dataSet.name];
 				}
-				if (complete) {
-					done();
+			}, function(err) {
+				if(err) {
+					// the data was loaded; the next run will fetch some items again
+					pipeRunLog.warn('The high-water mark for data set ' + dataSet.name + ' could not be saved: ' + err);
 				}
+				done();
+			});
+		};
+
+		var fetchDataSet = function() {
+			// data sets that are computed or combine several sources are fetched by their own function; all other data
+			// sets contain the items (or the reply) of the Runkeeper resource they are registered with, possibly
+			// transformed by the wrappers of the push function
+			// the called function will call fetchComplete when complete
+			switch(definition.fetch) {
+				case 'personalRecords' :
+					// the history of the personal records is kept in the account state; the history of pipes that were
+					// loaded before is read from the staging database, unless it was cleared
+					getRecords(pushRecords, pipeRunLog, pipe, account, fetchComplete, incremental ? connector.getCloudantDbName(pipe, dataSet) : null, recordPage);
+					break;
+				case 'summary' :
+					computeSummary(pushRecords, dataSet, dateRange, pipeRunLog, pipe, account, function(err, summarized) {
+						if(err || (! summarized)) {
+							return fetchComplete(err);
+						}
+						removeStaleSummaries(dataSet, summarized, pipe, account, pipeRunStats, pipeRunLog, fetchComplete);
+					}, recordPage);
+					break;
+				case 'writeBack' :
+					writeBackDocuments(pushRecords, pipeRunStats, pipeRunLog, pipe, account, fetchComplete);
+					break;
+				default:
+					if(! definition.uriKey) {
+						pipeRunLog.error('This runkeeper connector cannot process data set ' + dataSet.name);
+						return fetchComplete();
+					}
+					var resource = dataSetCatalog.getResource(definition.uriKey);
+					fetchResource(resource, pushRecords, pipeRunLog, account, fetchComplete, firstPageUri(resource), recordPage);
 			}
+		};
+
+		// remove items that were deleted in Runkeeper and skip the fetch if the change log lists no new or modified items
+		getChangesSince(dataSet.name, modifiedSince, pipeRunLog, account, function(err, changes) {
+			if(err) {
+				return done(err);
+			}
+			removeDeletedRecords(dataSet, changes, pipe, account, pipeRunStats, pipeRunLog, function(err) {
+				if(err) {
+					return done(err);
+				}
+				if(changes && (_.size(changes.added) === 0) && (! checkpoint)) {
+					pipeRunLog.info('The change log lists no new or modified items for data set ' + dataSet.name + ' since ' + modifiedSince + '.');
+					return fetchComplete();
+				}
+				fetchDataSet();
+			});
 		});
 	};
 
 	/**
-	 * Fetch the user's fitness activities from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/fitness-activities} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
-	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * Prefix Cloudant databases with connector id.
+	 */
+	this.getTablePrefix = function() {
+		// The prefix is used to generate names for the Cloudant staging databases that hold your data. The recommended
+		// value is the connector ID to assure uniqueness.
+		return connectorInfo.id;
+	};
+
+	/**
+	 * Creates the function that is used by the fetch functions to push records through the pipeline. The records are
+	 * saved in the staging database of the data set by the connector, with the properties that the pipeline sets (see
+	 * addPipelineProperties), and the callback is only invoked once Cloudant acknowledged the write. Paging thus waits
+	 * for Cloudant (see fetchResource), which bounds the memory used for a data set and slows down paging while Cloudant
+	 * throttles writes. Previews don't write: their records are handed to pushRecordFn.
+	 * Personal information is removed or pseudonymized as configured in the privacy settings. Records are then assigned
+	 * a document id that is derived from their (pseudonymized) Runkeeper uri, unless they already have one (records
+	 * that are computed by the connector). The records of multi-account pipes are tagged with the account (property
+	 * account_id). Records that violate a validation rule of the data set are stored in the quarantine database instead
+	 * (see quarantineRecords). Documents that are already stored in the staging database are replaced.
+	 * The numbers of valid, invalid and saved records are recorded in the run statistics 'validRecords', 'invalidRecords'
+	 * and 'savedRecords' of the data set.
+	 * @param dataSet - the data set that is being fetched
+	 * @param pushRecordFn - function provided by the data pipe to push records through the pipeline (previews only)
 	 * @param pipe - data pipe configuration
-	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
-	 * @param [uri] - optional URI, used for paging. if not specified the default URI will be used
+	 * @param account - Runkeeper account of the pipe run
+	 * @param pipeRunStats - maintains pipe run stats such as startTime, # of records processed, etc
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @returns function(records, callback(err), [nextPageUri], [pageUri]) - pageUri: URI of the feed page that contains the records
 	 */
-	var getFitnessActivities = function(pushRecordFn, pipeRunLog, pipe, done, uri) {
-		pipeRunLog.info('Fetching fitness activities.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.FitnessActivityFeed+json', (uri||runkeeperUris.fitness_activities), function(err, reply) {
-			if(err) {
-				pipeRunLog.error('Error fetching fitness activities from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for fitness activities request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
+	var createRecordWriter = function(dataSet, pushRecordFn, pipe, account, pipeRunStats, pipeRunLog) {
+		var dbName = connector.getCloudantDbName(pipe, dataSet);
+		var writeRecords = function(records, callback) {
+			if(isPreview(pipe)) {
+				pushRecordFn(records);
+				return callback();
 			}
-			else {
-				var complete = true;
-				if (reply && reply.items) {
-					pipeRunLog.info('Fetched ' + reply.items.length + ' fitness activity(s).');
-					pushRecordFn(reply.items);
-					if (reply.next) {
-						complete = false;
-						getFitnessActivities(pushRecordFn, pipeRunLog, pipe, done, reply.next);
-					}
+			var documents = addPipelineProperties(dataSet.name, [].concat(records));
+			stagingDb.saveDocuments(dbName, documents, function(err) {
+				if(err) {
+					pipeRunLog.error('Error saving the records of data set ' + dataSet.name + ': ' + err);
+					return callback(err);
 				}
-				if (complete) {
-					done();
+				runStats.increment(pipeRunStats, dataSet.name, 'savedRecords', documents.length);
+				callback();
+			});
+		};
+		return function(records, callback, nextPageUri, pageUri) {
+			var recordList = [].concat(records);
+			_.forEach(recordList, function(record) {
+				privacy.redactRecord(account.privacy, record);
+				var id = getAccountDocumentId(account, record._id || getDocumentId(dataSet.name, record));
+				if(account.tag) {
+					record.account_id = account.tag;
 				}
+				if(id) {
+					record._id = id;
+				}
+			});
+			if(! recordValidator.hasRules(dataSet.name)) {
+				return writeRecords(records, callback);
 			}
-		});
+			var invalid = [];
+			var valid = _.filter(recordList, function(record) {
+				var failures = recordValidator.validate(dataSet.name, record);
+				if(failures.length > 0) {
+					invalid.push({record: record, failures: failures});
+				}
+				return failures.length === 0;
+			});
+			runStats.increment(pipeRunStats, dataSet.name, 'validRecords', valid.length);
+			runStats.increment(pipeRunStats, dataSet.name, 'invalidRecords', invalid.length);
+			quarantineRecords(dataSet, invalid, pageUri, pipe, pipeRunLog, function(err) {
+				if(err) {
+					return callback(err);
+				}
+				if(valid.length === 0) {
+					return callback();
+				}
+				writeRecords((invalid.length > 0) ? valid : records, callback);
+			});
+		};
 	};
 
 	/**
-	 * Fetch the user's background activities from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/background-activity-sets} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
+	 * Removes the quarantined documents of a data set (see quarantineRecords) before the data set is reloaded, so the
+	 * quarantine database only lists the records of the current data that failed validation.
+	 * @param dataSet - the data set that is being fetched
+	 * @param pipe - data pipe configuration
 	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param callback(err)
+	 */
+	var clearQuarantine = function(dataSet, pipe, pipeRunLog, callback) {
+		var dbName = connector.getCloudantDbName(pipe, {name: QUARANTINE_DATA_SET});
+		var failed = function(err) {
+			pipeRunLog.error('Error removing the quarantined records of data set ' + dataSet.name + ' from database ' + dbName + ': ' + err);
+			callback(err);
+		};
+		stagingDb.listDocumentIds(dbName, dataSet.name + '-', function(err, ids) {
+			if(err) {
+				return failed(err);
+			}
+			if(ids.length === 0) {
+				return callback();
+			}
+			stagingDb.deleteDocuments(dbName, ids, function(err, deletedCount) {
+				if(err) {
+					return failed(err);
+				}
+				pipeRunLog.info('Removed ' + deletedCount + ' quarantined record(s) of data set ' + dataSet.name + ' before the full reload.');
+				callback();
+			});
+		});
+	};
+
+	/**
+	 * Stores records that violate a validation rule in the quarantine database of the pipe, along with the violated
+	 * rules and the URI of the feed page that contained them. Quarantined documents are identified by data set and
+	 * record id, so an item that is fetched again replaces its quarantined document. Records without an id get a
+	 * random id. The ids start with the data set name, see clearQuarantine.
+	 * @param dataSet - the data set that is being fetched
+	 * @param invalid - [{record, failures}, ...]; failures: violated rules, see recordValidator.validate
+	 * @param pageUri - URI of the feed page that contained the records; null if unknown
 	 * @param pipe - data pipe configuration
-	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
-	 * @param [uri] - optional URI, used for paging. if not specified the default URI will be used
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param callback(err)
 	 */
-	var getBackgroundActivities = function(pushRecordFn, pipeRunLog, pipe, done, uri) {
-		pipeRunLog.info('Fetching background activities.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.BackgroundActivityFeed+json', (uri||runkeeperUris.background_activities), function(err, reply) {
+	var quarantineRecords = function(dataSet, invalid, pageUri, pipe, pipeRunLog, callback) {
+		if(invalid.length === 0) {
+			return callback();
+		}
+		var quarantinedAt = new Date().toISOString();
+		var documents = _.map(invalid, function(entry) {
+			return _.omitBy({
+				_id: dataSet.name + '-' + (entry.record._id || 'unidentified-' + crypto.randomBytes(8).toString('hex')),
+				data_set: dataSet.name,
+				account_id: entry.record.account_id,
+				source_uri: pageUri || null,
+				failures: entry.failures,
+				record: _.omit(entry.record, ['_id', '_rev']),
+				quarantined_at: quarantinedAt
+			}, _.isUndefined);
+		});
+		var failureMessages = _.uniq(_.flatMap(invalid, function(entry) {
+			return _.map(entry.failures, 'message');
+		})).join(', ');
+		if(isPreview(pipe)) {
+			pipeRunLog.warn(invalid.length + ' record(s) of data set ' + dataSet.name + ' failed validation: ' + failureMessages + '.');
+			return callback();
+		}
+		var dbName = connector.getCloudantDbName(pipe, {name: QUARANTINE_DATA_SET});
+		pipeRunLog.warn(invalid.length + ' record(s) of data set ' + dataSet.name + ' failed validation and were stored in database ' + dbName + ': ' + failureMessages + '.');
+		stagingDb.saveDocuments(dbName, documents, function(err) {
 			if(err) {
-				pipeRunLog.error('Error fetching background activities from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for background activities request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
+				pipeRunLog.error('Error storing invalid records in database ' + dbName + ': ' + err);
 			}
-			else {
-				var complete = true;
-				if (reply && reply.items) {
-					pipeRunLog.info('Fetched ' + reply.items.length + ' background activity(s).');
-					pushRecordFn(reply.items);
-					if (reply.next) {
-						complete = false;
-						getBackgroundActivities(pushRecordFn, pipeRunLog, pipe, done, reply.next);
+			callback(err);
+		});
+	};
+
+	/**
+	 * Wraps a record push function: the change log record is identified by the date that it lists the changes since,
+	 * so the record of a run replaces the record of an earlier run with the same high-water mark date and the data set
+	 * doesn't grow with each run. The change log of a full reload is identified by the data set name.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param modifiedSince - Health Graph date (YYYY-MM-DD) of the high-water mark; null for full reloads
+	 * @returns function(records, callback(err), [nextPageUri], [pageUri])
+	 */
+	var addChangeLogId = function(pushRecords, modifiedSince) {
+		return function(records, callback, nextPageUri, pageUri) {
+			_.forEach([].concat(records), function(record) {
+				record._id = modifiedSince ? 'change_log-' + modifiedSince : 'change_log';
+			});
+			pushRecords(records, callback, nextPageUri, pageUri);
+		};
+	};
+
+	/**
+	 * Wraps a record push function: records are normalized (ISO-8601 timestamps, derived fields in common units)
+	 * before they are pushed. See recordNormalizer for details.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param pipe - data pipe configuration; property heightCm is used to calculate the BMI of weight measurements
+	 * @returns function(records, callback(err))
+	 */
+	var addNormalization = function(pushRecords, pipe) {
+		return function(records, callback, nextPageUri, pageUri) {
+			_.forEach([].concat(records), function(record) {
+				recordNormalizer.normalize(record, {heightCm: pipe.heightCm});
+			});
+			pushRecords(records, callback, nextPageUri, pageUri);
+		};
+	};
+
+	/**
+	 * Wraps a record push function: fitness activities that were recorded more than once are marked or dropped, see
+	 * activityDeduplication. The feed is sorted by start time (newest first), so the copies of the oldest activities
+	 * of a page may be listed on the next page: these activities are held back and pushed with the next page. While
+	 * activities are held back, the URI of the page that listed them is passed as next page URI, so an interrupted run
+	 * resumes from that page.
+	 * During incremental loads, the activities are also compared with the activities that earlier runs stored in the
+	 * staging database: a new copy of a stored activity is marked or dropped, and a stored activity that is a copy of a
+	 * new activity from a preferred source is marked (property duplicate_of is updated in the staging database) or
+	 * deleted. Only the stored activities of the account that may overlap the activities of a page are read: those that
+	 * started within the start times of the page, padded by startTimeTolerance (see activityDeduplication.storedView).
+	 * The number of duplicates is recorded in the run statistic 'duplicateRecords' of the data set.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param settings - deduplication settings
+	 * @param dataSet - the data set that is being fetched
+	 * @param storedDbName - name of the staging database of the data set; null if stored activities are not compared
+	 * @param account - Runkeeper account of the pipe run
+	 * @param pipeRunStats - maintains pipe run stats such as startTime, # of records processed, etc
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @returns function(records, callback(err), [nextPageUri], [pageUri])
+	 */
+	var addDeduplication = function(pushRecords, settings, dataSet, storedDbName, account, pipeRunStats, pipeRunLog) {
+		// activities that are held back: [{activity, pageUri}, ...]
+		var heldBack = [];
+		// reads the activities of the account that earlier runs stored and that may overlap activities of groups, see
+		// activityDeduplication.toStoredActivity
+		var readStored = function(groups, callback) {
+			var range = storedDbName && activityDeduplication.getStoredRange(settings, _.flatMap(groups, function(group) {
+				return [group.retained].concat(group.duplicates);
+			}), account.tag || null);
+			if(! range) {
+				return callback(null, []);
+			}
+			stagingDb.queryView(storedDbName, activityDeduplication.storedView, range.startKey, range.endKey, function(err, documents) {
+				callback(err, _.map(documents, activityDeduplication.toStoredActivity));
+			});
+		};
+		// marks or deletes stored activities that are copies of new activities: [{activity, retainedUri}, ...]
+		var updateStored = function(duplicates, callback) {
+			if(duplicates.length === 0) {
+				return callback();
+			}
+			var ids = _.map(duplicates, 'activity._id');
+			if(settings.action === 'drop') {
+				return stagingDb.deleteDocuments(storedDbName, ids, function(err) {
+					callback(err);
+				});
+			}
+			stagingDb.getDocuments(storedDbName, ids, function(err, documents) {
+				if(err) {
+					return callback(err);
+				}
+				var retainedUris = _.zipObject(ids, _.map(duplicates, 'retainedUri'));
+				_.forEach(documents, function(document) {
+					document.duplicate_of = retainedUris[document._id];
+				});
+				stagingDb.saveDocuments(storedDbName, documents, callback);
+			});
+		};
+		return function(records, callback, nextPageUri, pageUri) {
+			var pageActivities = _.map([].concat(records), function(activity) {
+				return {activity: activity, pageUri: pageUri};
+			});
+			var entries = heldBack.concat(pageActivities);
+			var split = activityDeduplication.splitGroups(settings, _.map(entries, 'activity'), ! nextPageUri);
+			readStored(split.groups, function(err, stored) {
+				if(err) {
+					pipeRunLog.error('Error reading the stored activities of data set ' + dataSet.name + ': ' + err);
+					return callback(err);
+				}
+				var loaded = [];
+				var duplicateCount = 0;
+				var storedDuplicates = [];
+				_.forEach(split.groups, function(group) {
+					var merged = activityDeduplication.mergeStored(settings, group, stored);
+					_.forEach(_.intersection(merged.duplicates, merged.stored), function(activity) {
+						if(activity.duplicate_of !== merged.retained.uri) {
+							storedDuplicates.push({activity: activity, retainedUri: merged.retained.uri});
+						}
+					});
+					duplicateCount += _.difference(merged.duplicates, merged.stored).length;
+					loaded = loaded.concat(activityDeduplication.applyAction(settings, merged));
+				});
+				duplicateCount += storedDuplicates.length;
+				heldBack = _.filter(entries, function(entry) {
+					return _.includes(split.held, entry.activity);
+				});
+				if(duplicateCount > 0) {
+					pipeRunLog.info((settings.action === 'drop' ? 'Dropped ' : 'Marked ') + duplicateCount + ' duplicate activity(s) of data set ' + dataSet.name + '.');
+					runStats.increment(pipeRunStats, dataSet.name, 'duplicateRecords', duplicateCount);
+				}
+				updateStored(storedDuplicates, function(err) {
+					if(err) {
+						pipeRunLog.error('Error updating the stored duplicates of data set ' + dataSet.name + ': ' + err);
+						return callback(err);
+					}
+					// the activities are pushed in the order of the feed
+					var activities = _.filter(_.map(entries, 'activity'), function(activity) {
+						return _.includes(loaded, activity);
+					});
+					var resumeUri = (heldBack.length > 0) ? heldBack[0].pageUri : nextPageUri;
+					if(activities.length === 0) {
+						return callback();
 					}
+					pushRecords(activities, callback, resumeUri, pageUri);
+				});
+			});
+		};
+	};
+
+	/**
+	 * Wraps the record push function of a preview: only the first page of a feed, or the first maxRecords items, are
+	 * pushed. Once they were pushed, the callback is invoked with PREVIEW_COMPLETE, which stops paging.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param maxRecords - number of records to push; null to push the records of the first page
+	 * @returns function(records, callback(err), [nextPageUri], [pageUri])
+	 */
+	var addPreviewLimit = function(pushRecords, maxRecords) {
+		var remaining = maxRecords;
+		return function(records, callback, nextPageUri, pageUri) {
+			if(maxRecords && (_.size([].concat(records)) > remaining)) {
+				records = [].concat(records).slice(0, remaining);
+			}
+			pushRecords(records, function(err) {
+				if(err) {
+					return callback(err);
+				}
+				remaining -= _.size([].concat(records));
+				if(maxRecords && (remaining > 0) && nextPageUri) {
+					return callback();
 				}
-				if (complete) {
-					done();
+				callback(PREVIEW_COMPLETE);
+			}, nextPageUri, pageUri);
+		};
+	};
+
+	/**
+	 * Wraps a record push function: after the records of a feed page were pushed, the URI of the next page is saved
+	 * in the pipe configuration document (property checkpoints), allowing an interrupted run to resume from that page.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param dataSet - the data set that is being fetched
+	 * @param pipe - data pipe configuration
+	 * @param account - Runkeeper account of the pipe run; the checkpoint is saved in the account state
+	 * @param syncStartTime - start time of the (first) run that fetches the feed; becomes the high-water mark once the feed is exhausted
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @returns function(records, callback(err), [nextPageUri], [pageUri])
+	 */
+	var addCheckpoints = function(pushRecords, dataSet, pipe, account, syncStartTime, pipeRunLog) {
+		return function(records, callback, nextPageUri, pageUri) {
+			pushRecords(records, function(err) {
+				if(err || (! nextPageUri)) {
+					return callback(err);
+				}
+				updateAccountState(pipe, account.id, function(state) {
+					state.checkpoints = state.checkpoints || {};
+					state.checkpoints[dataSet.name] = {
+						uri: nextPageUri,
+						syncStartTime: syncStartTime
+					};
+				}, function(err) {
+					if(err) {
+						// not fatal; an interrupted run will start from an earlier page
+						pipeRunLog.warn('The checkpoint for data set ' + dataSet.name + ' could not be saved: ' + err);
+					}
+					callback();
+				});
+			}, nextPageUri, pageUri);
+		};
+	};
+
+	/**
+	 * Wraps a record push function: before activity feed items are pushed, the complete activity document is fetched
+	 * for each item and merged into the item. The start and end of the GPS path are protected as configured in the
+	 * privacy settings.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param mediaType - media type of the activity documents
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param account - Runkeeper account of the pipe run
+	 * @returns function(records, callback(err))
+	 */
+	var addActivityDetails = function(pushRecords, mediaType, pipeRunLog, account) {
+		return function(items, callback, nextPageUri, pageUri) {
+			var detailedItems = [];
+			var addNextItem = function(index) {
+				if(index >= items.length) {
+					return pushRecords(detailedItems, callback, nextPageUri, pageUri);
 				}
+				var item = items[index];
+				account.client.apiCall('GET', mediaType, item.uri, function(err, reply) {
+					if(err) {
+						pipeRunLog.error('Error fetching activity ' + privacy.redactUri(account.privacy, item.uri) + ' from Runkeeper: ' + err);
+						pipeRunLog.error(getFfdcInfo('activity', err));
+						return callback(err);
+					}
+					detailedItems.push(privacy.protectPath(account.privacy, _.assign({}, item, reply)));
+					addNextItem(index + 1);
+				});
+			};
+			pipeRunLog.info('Fetching details for ' + items.length + ' activity(s).');
+			addNextItem(0);
+		};
+	};
+
+	/**
+	 * Wraps a record push function: complete fitness activities are replaced by their analysis (splits, heart rate
+	 * zones, elevation, best efforts). See activityAnalysis for details.
+	 * Heart rate zones are configured in the pipe configuration document:
+	 *  pipe.heartRate = { max: <bpm>, resting: <bpm>, zones: [<lower boundary of zone 1 in percent>, ...] }
+	 * If the maximum heart rate is not configured, it is estimated from the birthday in the user's profile.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param pipe - data pipe configuration
+	 * @param account - Runkeeper account of the pipe run
+	 * @returns function(records, callback(err), [nextPageUri], [pageUri])
+	 */
+	var addActivityAnalysis = function(pushRecords, pipeRunLog, pipe, account) {
+		var heartRate = activityAnalysis.getHeartRateSettings(pipe);
+		var getHeartRateSettings = function(callback) {
+			if(heartRate.max || _.has(account, 'birthday')) {
+				return callback(null, _.assign({birthday: account.birthday}, heartRate));
 			}
-		});
+			// the profile is fetched once per run and account
+			account.client.apiCall('GET', dataSetCatalog.getResource('profile').mediaType, account.uris.profile, function(err, reply) {
+				if(err) {
+					pipeRunLog.error('Error fetching profile from Runkeeper: ' + err);
+					return callback(err);
+				}
+				account.birthday = (reply && reply.birthday) || null;
+				if(! account.birthday) {
+					pipeRunLog.warn('Heart rate zones are not computed: the maximum heart rate is not configured (property heartRate.max) and the profile contains no birthday.');
+				}
+				callback(null, _.assign({birthday: account.birthday}, heartRate));
+			});
+		};
+		return function(activities, callback, nextPageUri, pageUri) {
+			getHeartRateSettings(function(err, settings) {
+				if(err) {
+					return callback(err);
+				}
+				pushRecords(_.map(activities, function(activity) {
+					return activityAnalysis.analyze(activity, settings);
+				}), callback, nextPageUri, pageUri);
+			});
+		};
 	};
 
 	/**
-	 * Fetch the user's friends (formerly known as 'street team') from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/friends} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
+	 * Wraps a record push function: fitness activity feed items are replaced by an export of the activity's route.
+	 * The complete activity document (including the path) is fetched for each item that has a path; items without
+	 * a route are skipped. See routeExport for details.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param dataSet - the export data set that is being fetched
+	 * @param format - gpx, tcx or geojson
 	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param account - Runkeeper account of the pipe run
+	 * @returns function(records, callback(err), [nextPageUri], [pageUri])
+	 */
+	var addRouteExport = function(pushRecords, dataSet, format, pipeRunLog, account) {
+		return function(items, callback, nextPageUri, pageUri) {
+			var routes = [];
+			var exportNextItem = function(index) {
+				if(index >= items.length) {
+					pipeRunLog.info('Exported ' + routes.length + ' route(s) as ' + format + '.');
+					return pushRecords(routes, callback, nextPageUri, pageUri);
+				}
+				var item = items[index];
+				if(! item.has_path) {
+					return exportNextItem(index + 1);
+				}
+				account.client.apiCall('GET', dataSetCatalog.getResource('fitness_activities').detailMediaType, item.uri, function(err, reply) {
+					if(err) {
+						pipeRunLog.error('Error fetching activity ' + privacy.redactUri(account.privacy, item.uri) + ' from Runkeeper: ' + err);
+						pipeRunLog.error(getFfdcInfo('activity', err));
+						return callback(err);
+					}
+					var route = routeExport.exportRoute(privacy.protectPath(account.privacy, _.assign({}, item, reply)), format);
+					if(route) {
+						// the document is identified by the activity uri, which is not a top-level property of GeoJSON features
+						route._id = getDocumentId(dataSet.name, item);
+						routes.push(route);
+					}
+					else {
+						pipeRunLog.info('Activity ' + privacy.redactUri(account.privacy, item.uri) + ' has no route.');
+					}
+					exportNextItem(index + 1);
+				});
+			};
+			pipeRunLog.info('Exporting routes of ' + items.length + ' activity(s).');
+			exportNextItem(0);
+		};
+	};
+
+	/**
+	 * Deletes the stored comments on fitness activities, except for the comments that are kept.
+	 * @param dataSet - the activity_comments data set
+	 * @param activityUris - uris of the commented activities
+	 * @param keptIds - document ids of the comments that are not deleted
 	 * @param pipe - data pipe configuration
-	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
-	 * @param [uri] - optional URI, used for paging. if not specified the default URI will be used
+	 * @param account - Runkeeper account of the pipe run
+	 * @param callback(err, deletedCount)
 	 */
-	var getFriends = function(pushRecordFn, pipeRunLog, pipe, done, uri) {
-		pipeRunLog.info('Fetching friends.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.TeamFeed+json', (uri||runkeeperUris.team), function(err, reply) {
-			if(err) {
-				pipeRunLog.error('Error fetching friends from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for friends request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
+	var removeComments = function(dataSet, activityUris, keptIds, pipe, account, callback) {
+		var dbName = connector.getCloudantDbName(pipe, dataSet);
+		var obsoleteIds = [];
+		var listNextActivity = function(index) {
+			if(index >= activityUris.length) {
+				return stagingDb.deleteDocuments(dbName, obsoleteIds, callback);
 			}
-			else {
-				var complete = true;
-				if (reply && reply.items) {
-					pipeRunLog.info('Fetched ' + reply.items.length + ' friend(s).');
-					pushRecordFn(reply.items);
-					if (reply.next) {
-						complete = false;
-						getFriends(pushRecordFn, pipeRunLog, pipe, done, reply.next);
+			var prefix = getAccountDocumentId(account, getDocumentId(dataSet.name, {uri: activityUris[index]}) + '-comment-');
+			stagingDb.listDocumentIds(dbName, prefix, function(err, ids) {
+				if(err) {
+					return callback(err);
+				}
+				obsoleteIds = obsoleteIds.concat(_.difference(ids, keptIds));
+				listNextActivity(index + 1);
+			});
+		};
+		listNextActivity(0);
+	};
+
+	/**
+	 * Wraps a record push function: complete fitness activities are replaced by the comments on the activity. The
+	 * comment thread linked in the activity (property comments) is fetched for each activity; each comment becomes a
+	 * record that refers to the activity by its uri (property activity_uri, the uri of the matching fitness_activities
+	 * record). Comments are identified by the activity, their time and their author, see getCommentId.
+	 * During incremental loads, the stored comments of the activities that are no longer in their thread are removed.
+	 * The number of removed comments is recorded in the run statistic 'deletedRecords' of the data set.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param dataSet - the data set that is being fetched
+	 * @param incremental - true if the staging database was not cleared for this pipe run
+	 * @param pipe - data pipe configuration
+	 * @param pipeRunStats - maintains pipe run stats such as startTime, # of records processed, etc
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param account - Runkeeper account of the pipe run
+	 * @returns function(records, callback(err), [nextPageUri], [pageUri])
+	 */
+	var addActivityComments = function(pushRecords, dataSet, incremental, pipe, pipeRunStats, pipeRunLog, account) {
+		return function(items, callback, nextPageUri, pageUri) {
+			var comments = [];
+			var pushComments = function() {
+				pipeRunLog.info('Fetched ' + comments.length + ' comment(s).');
+				if(! incremental) {
+					return pushRecords(comments, callback, nextPageUri, pageUri);
+				}
+				var keptIds = _.map(comments, function(comment) {
+					return getAccountDocumentId(account, comment._id);
+				});
+				removeComments(dataSet, _.map(items, 'uri'), keptIds, pipe, account, function(err, deletedCount) {
+					if(err) {
+						pipeRunLog.error('Error removing deleted comments from data set ' + dataSet.name + ': ' + err);
+						return callback(err);
 					}
+					runStats.increment(pipeRunStats, dataSet.name, 'deletedRecords', deletedCount);
+					pushRecords(comments, callback, nextPageUri, pageUri);
+				});
+			};
+			var fetchNextThread = function(index) {
+				if(index >= items.length) {
+					return pushComments();
 				}
-				if (complete) {
-					done();
+				var item = items[index];
+				if(! item.comments) {
+					return fetchNextThread(index + 1);
 				}
-			}
-		});
+				account.client.apiCall('GET', socialMediaTypes.commentThread, item.comments, function(err, reply) {
+					if(err) {
+						pipeRunLog.error('Error fetching comments of activity ' + privacy.redactUri(account.privacy, item.uri) + ' from Runkeeper: ' + err);
+						pipeRunLog.error(getFfdcInfo('comments', err));
+						return callback(err);
+					}
+					var ids = {};
+					_.forEach(reply && reply.comments, function(comment, position) {
+						// an author who posted twice within a second is told apart by the order of the comments
+						var id = getCommentId(item, comment, account.privacy);
+						ids[id] = (ids[id] || 0) + 1;
+						comments.push(_.assign({}, comment, {
+							_id: (ids[id] > 1) ? id + '-' + ids[id] : id,
+							activity_uri: item.uri,
+							activity_type: item.type,
+							activity_start_time: item.start_time,
+							position: position
+						}));
+					});
+					fetchNextThread(index + 1);
+				});
+			};
+			pipeRunLog.info('Fetching comments of ' + items.length + ' activity(s).');
+			fetchNextThread(0);
+		};
 	};
 
 	/**
-	 * Fetch the user's sleep measurements from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/sleep-sets} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
+	 * Fetches the member document of a friend: the friend's profile and the resources the friend shares.
+	 * @param friend - item of the team feed
 	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
-	 * @param pipe - data pipe configuration
-	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
-	 * @param [uri] - optional URI, used for paging. if not specified the default URI will be used
+	 * @param account - Runkeeper account of the pipe run
+	 * @param callback(err, member) - member is null if the friend doesn't share the document (HTTP 403 or 404)
 	 */
-	var getSleepMeasurements = function(pushRecordFn, pipeRunLog, pipe, done, uri) {
-		pipeRunLog.info('Fetching sleep measurements.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.SleepSetFeed+json', (uri||runkeeperUris.sleep), function(err, reply) {
+	var getMember = function(friend, pipeRunLog, account, callback) {
+		account.client.apiCall('GET', socialMediaTypes.member, friend.uri, function(err, reply) {
+			if(err && ((err.statusCode === 403) || (err.statusCode === 404))) {
+				return callback(null, null);
+			}
 			if(err) {
-				pipeRunLog.error('Error fetching sleep measurements from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for sleep measurements request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
+				pipeRunLog.error('Error fetching a friend from Runkeeper: ' + err);
+				pipeRunLog.error(getFfdcInfo('friend', err));
+				return callback(err);
 			}
-			else {
-				var complete = true;
-				if (reply && reply.items) {
-					pipeRunLog.info('Fetched ' + reply.items.length + ' sleep measurement(s).');
-					pushRecordFn(reply.items);
-					if (reply.next) {
-						complete = false;
-						getSleepMeasurements(pushRecordFn, pipeRunLog, pipe, done, reply.next);
-					}
+			callback(null, reply || null);
+		});
+	};
+
+	/**
+	 * Wraps a record push function: team feed items are completed with the friend's profile (location, athlete type,
+	 * pictures, ...) from the member document. Items of friends who don't share their profile are pushed as they are.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param account - Runkeeper account of the pipe run
+	 * @returns function(records, callback(err), [nextPageUri], [pageUri])
+	 */
+	var addFriendProfiles = function(pushRecords, pipeRunLog, account) {
+		return function(friends, callback, nextPageUri, pageUri) {
+			var profiles = [];
+			var fetchNextFriend = function(index) {
+				if(index >= friends.length) {
+					return pushRecords(profiles, callback, nextPageUri, pageUri);
 				}
-				if (complete) {
-					done();
+				var friend = friends[index];
+				getMember(friend, pipeRunLog, account, function(err, member) {
+					if(err) {
+						return callback(err);
+					}
+					// the record keeps the uri of the team feed item, which identifies the document
+					profiles.push(_.assign({}, friend, _.omit(member, memberResourceKeys), {uri: friend.uri, shares_profile: !! member}));
+					fetchNextFriend(index + 1);
+				});
+			};
+			pipeRunLog.info('Fetching profiles of ' + friends.length + ' friend(s).');
+			fetchNextFriend(0);
+		};
+	};
+
+	/**
+	 * Wraps a record push function: team feed items are replaced by the recent fitness activities of the friend (the
+	 * first page of the friend's activity feed). Only friends whose member document lists their fitness activities share
+	 * them with the user; the others are skipped. Each activity is tagged with the friend's user id (property user_id),
+	 * which matches property userID of the friend's records in data sets friends and friend_profiles.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param account - Runkeeper account of the pipe run
+	 * @returns function(records, callback(err), [nextPageUri], [pageUri])
+	 */
+	var addFriendActivities = function(pushRecords, pipeRunLog, account) {
+		return function(friends, callback, nextPageUri, pageUri) {
+			var activities = [];
+			var sharingCount = 0;
+			var fetchNextFriend = function(index) {
+				if(index >= friends.length) {
+					pipeRunLog.info('Fetched ' + activities.length + ' activity(s) of ' + sharingCount + ' friend(s) who share their activities.');
+					return pushRecords(activities, callback, nextPageUri, pageUri);
 				}
+				var friend = friends[index];
+				getMember(friend, pipeRunLog, account, function(err, member) {
+					if(err) {
+						return callback(err);
+					}
+					if((! member) || (! member.fitness_activities)) {
+						return fetchNextFriend(index + 1);
+					}
+					account.client.apiCall('GET', dataSetCatalog.getResource('fitness_activities').mediaType, member.fitness_activities, function(err, reply) {
+						if(err && (err.statusCode !== 403) && (err.statusCode !== 404)) {
+							pipeRunLog.error('Error fetching the activities of a friend from Runkeeper: ' + err);
+							pipeRunLog.error(getFfdcInfo('friend activities', err));
+							return callback(err);
+						}
+						if(! err) {
+							sharingCount++;
+						}
+						_.forEach(reply && reply.items, function(item) {
+							activities.push(_.assign({}, item, {user_id: friend.userID}));
+						});
+						fetchNextFriend(index + 1);
+					});
+				});
+			};
+			pipeRunLog.info('Fetching activities of ' + friends.length + ' friend(s).');
+			fetchNextFriend(0);
+		};
+	};
+
+	/**
+	 * Returns the change log entries (URIs of added and deleted items) of a data set.
+	 * @param dataSetName - name of the data set
+	 * @param modifiedSince - Health Graph date (YYYY-MM-DD) of the high-water mark
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param account - Runkeeper account of the pipe run
+	 * @param callback(err, changes) - changes: {added: [uri, ...], deleted: [uri, ...]} or null if modifiedSince is not set or the data set isn't covered by the change log
+	 */
+	var getChangesSince = function(dataSetName, modifiedSince, pipeRunLog, account, callback) {
+		var changeLogKey = _.get(dataSetCatalog.getDataSet(dataSetName), 'changeLogKey');
+		if((! modifiedSince) || (! changeLogKey)) {
+			return callback(null, null);
+		}
+		var changeLog = null;
+		fetchResource(dataSetCatalog.getResource('change_log'), function(reply, pushed) {
+			changeLog = reply;
+			pushed();
+		}, pipeRunLog, account, function(err) {
+			if(err) {
+				return callback(err);
+			}
+			var changes = (changeLog && changeLog[changeLogKey]) || {};
+			return callback(null, {
+				added: changes.added || [],
+				deleted: changes.deleted || []
+			});
+		}, addQueryParameters(account.uris.change_log, {modifiedNoEarlierThan: modifiedSince}));
+	};
+
+	/**
+	 * Deletes the documents of items that the change log lists as deleted from the staging database of a data set.
+	 * The number of deleted documents is recorded in the run statistic 'deletedRecords' of the data set.
+	 * @param dataSet - the data set that is being fetched
+	 * @param changes - change log entries of the data set, as returned by getChangesSince; nothing is deleted if not set
+	 * @param pipe - data pipe configuration
+	 * @param account - Runkeeper account of the pipe run
+	 * @param pipeRunStats - maintains pipe run stats such as startTime, # of records processed, etc
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param callback(err)
+	 */
+	var removeDeletedRecords = function(dataSet, changes, pipe, account, pipeRunStats, pipeRunLog, callback) {
+		if((! changes) || (_.size(changes.deleted) === 0)) {
+			return callback();
+		}
+		var ids = _.map(changes.deleted, function(uri) {
+			return getAccountDocumentId(account, getDocumentId(dataSet.name, {uri: uri}));
+		});
+		var deleteDocuments = function(callback) {
+			if(_.get(dataSetCatalog.getDataSet(dataSet.name), 'derivation') === 'comments') {
+				// the comments of an activity are identified by the activity
+				return removeComments(dataSet, changes.deleted, [], pipe, account, callback);
+			}
+			stagingDb.deleteDocuments(connector.getCloudantDbName(pipe, dataSet), ids, callback);
+		};
+		pipeRunLog.info('Removing ' + ids.length + ' deleted item(s) from data set ' + dataSet.name + '.');
+		deleteDocuments(function(err, deletedCount) {
+			if(err) {
+				pipeRunLog.error('Error removing deleted items from data set ' + dataSet.name + ': ' + err);
+				return callback(err);
 			}
+			pipeRunLog.info('Removed ' + deletedCount + ' record(s) from data set ' + dataSet.name + '.');
+			runStats.increment(pipeRunStats, dataSet.name, 'deletedRecords', deletedCount);
+			callback();
 		});
 	};
 
 	/**
-	 * Fetch the user's nutritional measurements from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/nutrition-sets} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
+	 * Computes training summaries from the fitness activities and pushes them. The activities are aggregated page by page
+	 * (see trainingSummary.SummaryAccumulator), so the memory used doesn't grow with the history of the account. The
+	 * activity feed is restricted to the configured date range.
+	 * New or modified activities affect the summary of their period and the rolling training load of the later periods.
+	 * During incremental loads, only the periods from the earliest period of the activities that were added or modified
+	 * since the high-water mark are computed again: the activities of these periods, and of the 27 days before them for
+	 * the training load, are fetched. All periods are computed again if the change log lists deleted activities. A
+	 * preview only summarizes the activities of the first page of the feed.
+	 * Duplicate activities (see activityDeduplication) are not counted, regardless of the configured action.
+	 * See trainingSummary for details.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param dataSet - the summary data set that is being fetched
+	 * @param dateRange - date range that the activity feed is restricted to, see getDateRange
 	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
 	 * @param pipe - data pipe configuration
-	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
-	 * @param [uri] - optional URI, used for paging. if not specified the default URI will be used
+	 * @param account - Runkeeper account of the pipe run
+	 * @param done(err, summarized) - callback function to be invoked after processing is complete (or a fatal error has
+	 *  been encountered); summarized: {ids, from, to} - ids: document ids of the summaries that were pushed, from and to:
+	 *  first days of the first and the last period that were computed again (null: unbounded); summarized is not set
+	 *  if no periods were computed again (previews, no changes)
+	 * @param [recordPage(page)] - invoked for each page of fitness activities that was fetched
 	 */
-	var getNutritionalMeasurements = function(pushRecordFn, pipeRunLog, pipe, done, uri) {
-		pipeRunLog.info('Fetching nutritional measurements.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.NutritionSetFeed+json', (uri||runkeeperUris.nutrition), function(err, reply) {
+	var computeSummary = function(pushRecords, dataSet, dateRange, pipeRunLog, pipe, account, done, recordPage) {
+		var resource = dataSetCatalog.getResource('fitness_activities');
+		var period = dataSetCatalog.getDataSet(dataSet.name).summaryPeriod;
+		var deduplication = getRunContext(pipe).deduplication;
+		var incremental = (! isPreview(pipe)) && (! isFullReload(pipe));
+		var highWaterMark = incremental ? getHighWaterMark(getAccountState(pipe, account.id), dataSet.name) : null;
+		var modifiedSince = highWaterMark ? toHealthGraphDate(highWaterMark) : null;
+
+		// passes the activities of the feed to handleActivity, page by page; of duplicate activities only the retained
+		// activity is passed. Activities that may have copies on the next page are held back (see activityDeduplication.splitGroups).
+		var readActivities = function(uri, handleActivity, callback) {
+			var held = [];
+			var handlePage = function(items, nextPageUri) {
+				var activities = held.concat(items);
+				if(deduplication) {
+					var split = activityDeduplication.splitGroups(deduplication, activities, ! nextPageUri);
+					held = split.held;
+					activities = _.map(split.groups, 'retained');
+				}
+				_.forEach(activities, handleActivity);
+			};
+			var finish = function(err) {
+				if(err) {
+					return callback(err);
+				}
+				handlePage([], null);
+				callback();
+			};
+			if(isPreview(pipe)) {
+				// the first page is fetched as a single resource, so no further pages are requested
+				return fetchResource(_.assign({}, resource, {paged: false}), function(reply, pushed) {
+					handlePage(reply.items || [], null);
+					pushed();
+				}, pipeRunLog, account, finish, addQueryParameters(account.uris[resource.uriKey], {pageSize: account.paging.pageSize}), recordPage && function(page) {
+					var reply = page.items[0] || {};
+					recordPage(_.assign({}, page, {items: reply.items || [], next: reply.next || null, size: reply.size}));
+				});
+			}
+			fetchResource(resource, function(items, pushed, nextPageUri) {
+				handlePage(items, nextPageUri);
+				pushed();
+			}, pipeRunLog, account, finish, uri, recordPage);
+		};
+
+		// pushes the summaries in chunks of 100
+		var pushSummaries = function(summaries, callback) {
+			if(summaries.length === 0) {
+				return callback();
+			}
+			pushRecords(summaries.slice(0, 100), function(err) {
+				if(err) {
+					return callback(err);
+				}
+				pushSummaries(summaries.slice(100), callback);
+			});
+		};
+
+		// computes the summaries of the periods that start on or after from (all periods if from is null)
+		var summarize = function(from) {
+			var range = {
+				from: _.max(_.compact([from, dateRange.noEarlierThan && trainingSummary.getPeriodStart(period, Date.parse(dateRange.noEarlierThan))])) || null,
+				to: dateRange.noLaterThan ? trainingSummary.getPeriodStart(period, Date.parse(dateRange.noLaterThan)) : null
+			};
+			var accumulator = new trainingSummary.SummaryAccumulator(period, dataSet.name, from);
+			var activityCount = 0;
+			var uri = addQueryParameters(account.uris[resource.uriKey], {
+				pageSize: account.paging.pageSize,
+				noEarlierThan: _.max(_.compact([from && trainingSummary.formatDay(trainingSummary.getLoadStart(from)), dateRange.noEarlierThan])),
+				noLaterThan: dateRange.noLaterThan
+			});
+			readActivities(uri, function(activity) {
+				accumulator.add(activity);
+				activityCount++;
+			}, function(err) {
+				if(err) {
+					return done(err);
+				}
+				var summaries = accumulator.getSummaries();
+				pipeRunLog.info('Computed ' + summaries.length + ' summary record(s) from ' + activityCount + ' fitness activity(s)' + (from ? ' since ' + trainingSummary.formatDay(trainingSummary.getLoadStart(from)) : '') + '.');
+				var ids = _.map(summaries, '_id');
+				pushSummaries(summaries, function(err) {
+					done(err, isPreview(pipe) ? undefined : _.assign({ids: ids}, range));
+				});
+			});
+		};
+
+		if(! modifiedSince) {
+			return summarize(null);
+		}
+		// find the earliest activity that was added or modified since the high-water mark
+		getChangesSince('fitness_activities', modifiedSince, pipeRunLog, account, function(err, changes) {
 			if(err) {
-				pipeRunLog.error('Error fetching nutritional measurements from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for nutritional measurements request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
+				return done(err);
 			}
-			else {
-				var complete = true;
-				if (reply && reply.items) {
-					pipeRunLog.info('Fetched ' + reply.items.length + ' nutritional measurement(s).');
-					pushRecordFn(reply.items);
-					if (reply.next) {
-						complete = false;
-						getNutritionalMeasurements(pushRecordFn, pipeRunLog, pipe, done, reply.next);
-					}
+			if(_.size(changes.deleted) > 0) {
+				pipeRunLog.info('Fitness activities were deleted since ' + modifiedSince + '. Computing all summaries of data set ' + dataSet.name + '.');
+				return summarize(null);
+			}
+			if(_.size(changes.added) === 0) {
+				pipeRunLog.info('The change log lists no new or modified fitness activities for data set ' + dataSet.name + ' since ' + modifiedSince + '.');
+				return done();
+			}
+			var earliest = NaN;
+			readActivities(addQueryParameters(account.uris[resource.uriKey], {
+				pageSize: account.paging.pageSize,
+				modifiedNoEarlierThan: modifiedSince,
+				noEarlierThan: dateRange.noEarlierThan,
+				noLaterThan: dateRange.noLaterThan
+			}), function(activity) {
+				var startTime = recordNormalizer.parseLocalTime(activity.start_time);
+				if((! isNaN(startTime)) && (isNaN(earliest) || (startTime < earliest))) {
+					earliest = startTime;
+				}
+			}, function(err) {
+				if(err) {
+					return done(err);
 				}
-				if (complete) {
-					done();
+				if(isNaN(earliest)) {
+					return done();
 				}
+				summarize(trainingSummary.getPeriodStart(period, earliest));
+			});
+		});
+	};
+
+	/**
+	 * Deletes the summaries of periods that were computed again (see computeSummary) but no longer have activities, e.g.
+	 * because activities were deleted or moved to another period. The number of deleted documents is recorded in the
+	 * run statistic 'deletedRecords' of the data set.
+	 * @param dataSet - the summary data set that is being fetched
+	 * @param summarized - the summaries that were pushed, see computeSummary
+	 * @param pipe - data pipe configuration
+	 * @param account - Runkeeper account of the pipe run
+	 * @param pipeRunStats - maintains pipe run stats such as startTime, # of records processed, etc
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param callback(err)
+	 */
+	var removeStaleSummaries = function(dataSet, summarized, pipe, account, pipeRunStats, pipeRunLog, callback) {
+		var dbName = connector.getCloudantDbName(pipe, dataSet);
+		var prefix = getAccountDocumentId(account, dataSet.name + '-');
+		var kept = _.map(summarized.ids, function(id) {
+			return getAccountDocumentId(account, id);
+		});
+		stagingDb.listDocumentIds(dbName, prefix, function(err, ids) {
+			if(err) {
+				pipeRunLog.error('Error reading the summaries of data set ' + dataSet.name + ': ' + err);
+				return callback(err);
 			}
+			var stale = _.filter(_.difference(ids, kept), function(id) {
+				var start = trainingSummary.parsePeriodStart(dataSet.name, dataSet.name + '-' + id.substring(prefix.length));
+				return (! isNaN(start)) && ((summarized.from === null) || (start >= summarized.from)) &&
+					((summarized.to === null) || (start <= summarized.to));
+			});
+			if(stale.length === 0) {
+				return callback();
+			}
+			stagingDb.deleteDocuments(dbName, stale, function(err, deletedCount) {
+				if(err) {
+					pipeRunLog.error('Error removing the summaries of data set ' + dataSet.name + ': ' + err);
+					return callback(err);
+				}
+				pipeRunLog.info('Removed ' + deletedCount + ' summary record(s) of periods without activities from data set ' + dataSet.name + '.');
+				runStats.increment(pipeRunStats, dataSet.name, 'deletedRecords', deletedCount);
+				callback();
+			});
 		});
 	};
 
 	/**
-	 * Fetch the user's general measurements from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/general-measurement-sets} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
+	 * Writes the documents of the databases that are configured in the pipe (property writeBack) to Runkeeper and
+	 * pushes a report record for each document. See writeBack for details.
+	 * Only documents that were created or modified since the last run, and documents that Runkeeper rejected during the
+	 * last run, are read: the update sequence of each database and the ids of the rejected documents are kept in the
+	 * pipe configuration document (property writeBackProgress). Full reloads read all documents again.
+	 * The number of documents by result is recorded in the run statistics of data set write_back.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
+	 * @param pipeRunStats - maintains pipe run stats such as startTime, # of records processed, etc
 	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
 	 * @param pipe - data pipe configuration
+	 * @param account - Runkeeper account of the pipe run
 	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
-	 * @param [uri] - optional URI, used for paging. if not specified the default URI will be used
 	 */
-	var getGeneralMeasurements = function(pushRecordFn, pipeRunLog, pipe, done, uri) {
-		pipeRunLog.info('Fetching general measurements.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.GeneralMeasurementSetFeed+json', (uri||runkeeperUris.general_measurements), function(err, reply) {
-			if(err) {
-				pipeRunLog.error('Error fetching general measurements from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for general measurements request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
+	var writeBackDocuments = function(pushRecords, pipeRunStats, pipeRunLog, pipe, account, done) {
+		if(account.id !== null) {
+			// the documents don't identify the account they belong to
+			var multiAccountMessage = 'Write-back is not supported by multi-account data pipes.';
+			pipeRunLog.error(multiAccountMessage);
+			return done(multiAccountMessage);
+		}
+		var dataSetNames = _.keys(pipe.writeBack);
+		var unsupported = _.difference(dataSetNames, _.keys(writeBack.targets));
+		if(unsupported.length > 0) {
+			var message = 'Data set(s) ' + unsupported.join(', ') + ' cannot be written to Runkeeper. Supported data sets: ' + _.keys(writeBack.targets).join(', ') + '.';
+			pipeRunLog.error(message);
+			return done(message);
+		}
+		if(dataSetNames.length === 0) {
+			pipeRunLog.warn('No databases are configured for write-back (property writeBack of the data pipe configuration).');
+			return done();
+		}
+		var writeNext = function(index) {
+			if(index >= dataSetNames.length) {
+				return done();
 			}
-			else {
-				var complete = true;
-				if (reply && reply.items) {
-					pipeRunLog.info('Fetched ' + reply.items.length + ' general measurement(s).');
-					pushRecordFn(reply.items);
-					if (reply.next) {
-						complete = false;
-						getGeneralMeasurements(pushRecordFn, pipeRunLog, pipe, done, reply.next);
+			var dataSetName = dataSetNames[index];
+			var dbName = pipe.writeBack[dataSetName];
+			pipeRunLog.info('Writing documents of database ' + dbName + ' to Runkeeper ' + dataSetName + '.');
+			readWriteBackDocuments(pipe, account, dbName, function(err, documents, lastSequence) {
+				if(err) {
+					pipeRunLog.error('Error reading database ' + dbName + ': ' + err);
+					return done(err);
+				}
+				writeBack.writeDocuments(account.client, account.uris, dataSetName, dbName, documents, pipeRunLog, function(err, reports) {
+					if(err) {
+						return done(err);
+					}
+					var counts = _.countBy(reports, 'status');
+					_.forEach(counts, function(count, status) {
+						runStats.increment(pipeRunStats, 'write_back', status, count);
+					});
+					pipeRunLog.info('Wrote ' + documents.length + ' document(s) of database ' + dbName + ' to Runkeeper ' + dataSetName + ': ' + util.inspect(counts) + '.');
+					var saveProgress = function() {
+						updateAccountState(pipe, account.id, function(state) {
+							state.writeBackProgress = state.writeBackProgress || {};
+							state.writeBackProgress[dbName] = {
+								since: lastSequence,
+								failed: _.map(_.filter(reports, {status: 'failed'}), 'source_id')
+							};
+						}, function(err) {
+							if(err) {
+								// not fatal; the documents are checked again during the next run
+								pipeRunLog.warn('The write-back progress of database ' + dbName + ' could not be saved: ' + err);
+							}
+							writeNext(index + 1);
+						});
+					};
+					if(reports.length === 0) {
+						return saveProgress();
 					}
+					pushRecords(reports, function(err) {
+						if(err) {
+							return done(err);
+						}
+						saveProgress();
+					});
+				});
+			});
+		};
+		writeNext(0);
+	};
+
+	/**
+	 * Reads the documents of a write-back database that are written to Runkeeper during this run: the documents that
+	 * were created or modified since the last run and the documents that Runkeeper rejected during the last run.
+	 * @param pipe - data pipe configuration
+	 * @param account - Runkeeper account of the pipe run
+	 * @param dbName - name of the database
+	 * @param callback(err, documents, lastSequence) - lastSequence: update sequence of the database
+	 */
+	var readWriteBackDocuments = function(pipe, account, dbName, callback) {
+		var state = getAccountState(pipe, account.id);
+		var progress = (! isFullReload(pipe)) && state.writeBackProgress && state.writeBackProgress[dbName];
+		progress = progress || {since: null, failed: []};
+		stagingDb.listChanges(dbName, progress.since, function(err, documents, lastSequence) {
+			if(err) {
+				return callback(err);
+			}
+			stagingDb.getDocuments(dbName, _.difference(progress.failed, _.map(documents, '_id')), function(err, failedDocuments) {
+				if(err) {
+					return callback(err);
 				}
-				if (complete) {
-					done();
+				callback(null, failedDocuments.concat(documents), lastSequence);
+			});
+		});
+	};
+
+	/**
+	 * Fetches a Runkeeper resource and pushes its records: the items of each page of a paged feed or the reply of a
+	 * single resource. Feeds are paged with backpressure: a page is only requested when pushRecords called back for the
+	 * previous pages, apart from the pages that are fetched ahead (see feedPaging and getPagingOptions). pushRecords
+	 * calls back once the records were saved in the staging database (see createRecordWriter). The number of feeds that
+	 * are paged at the same time is limited for the pipe run.
+	 * See {@link https://runkeeper.com/developer/healthgraph/overview} for more information.
+	 * @param resource - the resource, see dataSetCatalog.getResource
+	 * @param pushRecords(records, callback, [nextPageUri], [pageUri]) - function to be invoked to push records through the pipeline
+	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+	 * @param account - Runkeeper account of the pipe run
+	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
+	 * @param [uri] - optional URI of the first page, used to resume paging or to restrict a feed. if not specified the URI of the account's resource will be used
+	 * @param [recordPage(page)] - invoked for each page that was fetched, e.g. to record throughput metrics; page: {uri, items, next, bytes, ms}
+	 */
+	var fetchResource = function(resource, pushRecords, pipeRunLog, account, done, uri, recordPage) {
+		var description = resource.label.toLowerCase();
+		var firstUri = uri || addQueryParameters(account.uris[resource.uriKey], {pageSize: resource.paged ? account.paging.pageSize : null});
+		var logRequestError = function(err) {
+			pipeRunLog.error('Error fetching ' + description + ' from Runkeeper: ' + err);
+			pipeRunLog.error(getFfdcInfo(description, err));
+		};
+		pipeRunLog.info('Fetching ' + description + '.');
+		if(! resource.paged) {
+			var startTime = Date.now();
+			return account.client.apiCall('GET', resource.mediaType, firstUri, function(err, reply, bytes) {
+				if(err) {
+					logRequestError(err);
+					return done(err);
 				}
-			}
+				if(recordPage) {
+					recordPage({uri: firstUri, items: reply ? [reply] : [], next: null, bytes: bytes, ms: Date.now() - startTime});
+				}
+				if(! reply) {
+					return done();
+				}
+				pipeRunLog.info('Fetched ' + description + '.');
+				pushRecords(reply, done);
+			});
+		}
+		account.feedLimiter.acquire(function() {
+			feedPaging.fetchFeed(account.client, resource.mediaType, firstUri, account.paging.prefetchPages, function(page, pushed) {
+				pipeRunLog.info('Fetched ' + page.items.length + ' item(s) of ' + description + '.');
+				if(recordPage) {
+					recordPage(page);
+				}
+				pushRecords(page.items, pushed, page.next, page.uri);
+			}, function(err, requestFailed) {
+				account.feedLimiter.release();
+				if(requestFailed) {
+					logRequestError(err);
+				}
+				done(err);
+			});
 		});
 	};
 
 	/**
-	 * Fetch the user's diabetes measurements from Runkeeper.
-	 * See {@link https://runkeeper.com/developer/healthgraph/diabetes-sets} for more information.
-	 * @param pushRecordFn - function to be invoked to push records through the pipeline
+	 * Fetch the user's personal records from Runkeeper and push a history record for each personal best that improved.
+	 * See {@link https://runkeeper.com/developer/healthgraph/records} for more information and personalRecords for details.
+	 * The history is kept in the pipe configuration document (property personalRecordHistory of the account state), so
+	 * full reloads, which clear the staging database, push the stored history again instead of new records of the same
+	 * bests. Previews don't change the history.
+	 * @param pushRecords(records, callback) - function to be invoked to push records through the pipeline
 	 * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
 	 * @param pipe - data pipe configuration
+	 * @param account - Runkeeper account of the pipe run
 	 * @param done(err) - callback function to be invoked after processing is complete (or a fatal error has been encountered)
-	 * @param [uri] - optional URI, used for paging. if not specified the default URI will be used
+	 * @param historyDbName - name of the staging database that contains the history of pipes that were loaded before
+	 *  the history was kept in the account state; null if it is empty
+	 * @param [recordPage(page)] - invoked after the records were fetched
 	 */
-	var getDiabetesMeasurements = function(pushRecordFn, pipeRunLog, pipe, done, uri) {
-		pipeRunLog.info('Fetching diabetes measurements.');
-		runkeeperClient.apiCall('GET', 'application/vnd.com.runkeeper.DiabetesFeed+json', (uri||runkeeperUris.diabetes), function(err, reply) {
-			if(err) {
-				pipeRunLog.error('Error fetching diabetes measurements from Runkeeper: ' + err);
-				pipeRunLog.error('FFDC: Runkeeper client params: ');
-				pipeRunLog.error(' ' + util.inspect(runkeeperClient,1));
-				pipeRunLog.error('FFDC: Runkeeper reply for diabetes measurements request: ');
-				pipeRunLog.error(' ' + util.inspect(reply,3));
-				done(err);
+	var getRecords = function(pushRecords, pipeRunLog, pipe, account, done, historyDbName, recordPage) {
+		var records = null;
+		fetchResource(dataSetCatalog.getResource('records'), function(reply, pushed) {
+			records = reply;
+			pushed();
+		}, pipeRunLog, account, function(err) {
+			if(err || (! records)) {
+				return done(err);
 			}
-			else {
-				var complete = true;
-				if (reply && reply.items) {
-					pipeRunLog.info('Fetched ' + reply.items.length + ' diabetes measurement(s).');
-					pushRecordFn(reply.items);
-					if (reply.next) {
-						complete = false;
-						getDiabetesMeasurements(pushRecordFn, pipeRunLog, pipe, done, reply.next);
-					}
+			getRecordHistory(pipe, historyDbName, account, function(err, history) {
+				if(err) {
+					pipeRunLog.error('Error reading the personal record history from database ' + historyDbName + ': ' + err);
+					return done(err);
 				}
-				if (complete) {
-					done();
+				var improvements = personalRecords.getImprovements(records, history, new Date().toISOString());
+				pipeRunLog.info(improvements.length + ' personal record(s) improved.');
+				var updatedHistory = history.concat(_.map(improvements, personalRecords.toHistoryRecord));
+				// the staging database of a full reload no longer contains the history
+				var pushed = isFullReload(pipe) ? _.cloneDeep(updatedHistory) : improvements;
+				var historyStored = !! getAccountState(pipe, account.id).personalRecordHistory;
+				var saveHistory = function(err) {
+					if(err || isPreview(pipe) || (historyStored && (improvements.length === 0))) {
+						return done(err);
+					}
+					updateAccountState(pipe, account.id, function(state) {
+						state.personalRecordHistory = updatedHistory;
+					}, done);
+				};
+				if(pushed.length === 0) {
+					return saveHistory();
 				}
+				pushRecords(pushed, saveHistory);
+			});
+		}, null, recordPage);
+	};
+
+	/**
+	 * Returns the stored history of the personal records of an account.
+	 * @param pipe - data pipe configuration
+	 * @param historyDbName - name of the staging database that is read if the account state contains no history; or null
+	 * @param account - Runkeeper account of the pipe run
+	 * @param callback(err, history) - history: history records, see personalRecords.toHistoryRecord
+	 */
+	var getRecordHistory = function(pipe, historyDbName, account, callback) {
+		var state = getAccountState(pipe, account.id);
+		if(state.personalRecordHistory) {
+			return callback(null, _.cloneDeep(state.personalRecordHistory));
+		}
+		if(! historyDbName) {
+			return callback(null, []);
+		}
+		stagingDb.listDocuments(historyDbName, function(err, history) {
+			if(err) {
+				return callback(err);
 			}
+			// the database contains the history of all accounts of a multi-account pipe
+			callback(null, _.map(account.tag ? _.filter(history, {account_id: account.tag}) : history, personalRecords.toHistoryRecord));
 		});
 	};
 
@@ -0,0 +1,112 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Tracks the history of the user's personal records. Runkeeper only returns the current records:
+ *  [{activity_type: 'Running', stats: [{stat_type: 'BEST_ACTIVITY', value: <meters>, date: <local time>}, ...]}, ...]
+ * A history record is created for each best (activity type and stat type) that improved since the last stored record.
+ * See https://runkeeper.com/developer/healthgraph/records for more information.
+ */
+
+// stat types that denote a personal best (the greatest distance); other stats (e.g. OVERALL, THIS_WEEK) are not tracked
+var bestStatTypes = ['BEST_ACTIVITY', 'BEST_WEEK', 'BEST_MONTH'];
+
+/**
+ * Returns the key of a personal best.
+ * @param activityType - e.g. Running
+ * @param statType - e.g. BEST_ACTIVITY
+ */
+var getKey = function(activityType, statType) {
+	return activityType + '-' + statType;
+};
+
+// properties of a history record
+var historyFields = ['activity_type', 'stat_type', 'value', 'value_km', 'date', 'previous_value', 'improvement', 'recorded_at'];
+
+/**
+ * Returns the id of the history record of a best with a value. The value is part of the id: storing the same
+ * improvement twice updates the document.
+ * @param entry - history record
+ */
+var getHistoryId = function(entry) {
+	return getKey(entry.activity_type, entry.stat_type) + '-' + entry.value;
+};
+
+/**
+ * Converts a stored document to a history record: properties that were added by the connector or by Cloudant (e.g.
+ * account_id, _rev) are removed.
+ * @param document - history record or stored document
+ */
+var toHistoryRecord = function(document) {
+	var entry = _.pick(document, historyFields);
+	entry._id = getHistoryId(entry);
+	return entry;
+};
+
+/**
+ * Compares the current personal records with the stored history and creates history records for the bests that improved.
+ * @param records - personal records as returned by Runkeeper
+ * @param history - history records that are already stored
+ * @param recordedAt - ISO-8601 time of the comparison
+ * @returns new history records:
+ *  {_id, activity_type, stat_type, value, value_km, date, previous_value, improvement, recorded_at}
+ *  previous_value and improvement are null for the first record of a best
+ */
+var getImprovements = function(records, history, recordedAt) {
+	// the greatest stored value of each best
+	var stored = {};
+	_.forEach(history, function(entry) {
+		var key = getKey(entry.activity_type, entry.stat_type);
+		if((! _.has(stored, key)) || (entry.value > stored[key])) {
+			stored[key] = entry.value;
+		}
+	});
+
+	var improvements = [];
+	_.forEach(records, function(record) {
+		_.forEach(record.stats, function(stat) {
+			if((bestStatTypes.indexOf(stat.stat_type) === -1) || (typeof stat.value !== 'number') || (stat.value <= 0)) {
+				return;
+			}
+			var key = getKey(record.activity_type, stat.stat_type);
+			var previous = _.has(stored, key) ? stored[key] : null;
+			if((previous !== null) && (stat.value <= previous)) {
+				return;
+			}
+			improvements.push({
+				_id: getHistoryId({activity_type: record.activity_type, stat_type: stat.stat_type, value: stat.value}),
+				activity_type: record.activity_type,
+				stat_type: stat.stat_type,
+				value: stat.value,
+				value_km: Math.round(stat.value) / 1000,
+				date: stat.date || null,
+				previous_value: previous,
+				improvement: (previous !== null) ? Math.round((stat.value - previous) * 100) / 100 : null,
+				recorded_at: recordedAt
+			});
+		});
+	});
+	return improvements;
+};
+
+module.exports = {
+	getImprovements: getImprovements,
+	toHistoryRecord: toHistoryRecord
+};
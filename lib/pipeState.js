@@ -0,0 +1,97 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var pipesSDK = require('simple-data-pipe-sdk');
+var pipesDb = pipesSDK.pipesDb;
+
+// number of times a pipe update is retried if the pipe document was modified concurrently
+var MAX_CONFLICT_RETRIES = 3;
+
+// pending updates, keyed by pipe id. Updates for the same pipe are applied one at a time
+// because data sets are fetched concurrently and each of them may update the pipe.
+var pendingUpdates = {};
+
+/**
+ * Loads the current revision of the pipe document, applies the update and saves it.
+ * @param pipeId - id of the data pipe configuration document
+ * @param update - function(pipe) that modifies the pipe document in place
+ * @param retries - number of remaining retries in case of a document update conflict
+ * @param callback(err, savedPipe)
+ */
+var applyUpdate = function(pipeId, update, retries, callback) {
+	pipesDb.getPipe(pipeId, function(err, pipe) {
+		if(err) {
+			return callback(err);
+		}
+		update(pipe);
+		pipesDb.savePipe(pipe, function(err, savedPipe) {
+			if(err && err.statusCode === 409 && retries > 0) {
+				return applyUpdate(pipeId, update, retries - 1, callback);
+			}
+			return callback(err, savedPipe || pipe);
+		});
+	});
+};
+
+/**
+ * Processes the next pending update for the given pipe.
+ * @param pipeId - id of the data pipe configuration document
+ */
+var processNextUpdate = function(pipeId) {
+	var next = pendingUpdates[pipeId][0];
+	applyUpdate(pipeId, next.update, MAX_CONFLICT_RETRIES, function(err, savedPipe) {
+		pendingUpdates[pipeId].shift();
+		if(pendingUpdates[pipeId].length > 0) {
+			processNextUpdate(pipeId);
+		}
+		else {
+			delete pendingUpdates[pipeId];
+		}
+		next.callback(err, savedPipe);
+	});
+};
+
+/**
+ * Persists a change to the data pipe configuration document. The change is applied to the stored pipe document
+ * and to the in-memory copy that is used during the pipe run, which also receives the new document revision.
+ * @param pipe - data pipe configuration (in-memory copy)
+ * @param update - function(pipe) that modifies the pipe document in place; invoked for each copy
+ * @param callback(err) - invoked after the change was saved
+ */
+var updatePipe = function(pipe, update, callback) {
+	update(pipe);
+	if(! pendingUpdates[pipe._id]) {
+		pendingUpdates[pipe._id] = [];
+	}
+	pendingUpdates[pipe._id].push({
+		update: update,
+		callback: function(err, savedPipe) {
+			if((! err) && savedPipe && savedPipe._rev) {
+				pipe._rev = savedPipe._rev;
+			}
+			callback(err);
+		}
+	});
+	if(pendingUpdates[pipe._id].length === 1) {
+		processNextUpdate(pipe._id);
+	}
+};
+
+module.exports = {
+	updatePipe: updatePipe
+};
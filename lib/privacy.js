@@ -0,0 +1,337 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var crypto = require('crypto');
+var _ = require('lodash');
+
+/**
+ * Privacy controls, configured in the pipe configuration document:
+ *  pipe.privacy = {
+ *    names: 'keep' | 'drop' | 'hash',                     (names of the user and friends)
+ *    profileUrls: 'keep' | 'drop' | 'hash',               (profile and picture URLs)
+ *    pseudonymizeUserIds: true | false,                   (Runkeeper user ids, also in URIs and document ids)
+ *    pathPrivacyZone: { meters: N, mode: 'trim' | 'fuzz' }, (first and last N meters of GPS paths)
+ *    excludeDataSets: [ <data set name>, ... ],           (data sets that are never loaded)
+ *    secret: '<key used for hashing>'                     (generated if not set)
+ *  }
+ * Hashes are keyed (HMAC-SHA256) with the secret, so the same value is always replaced by the same pseudonym.
+ */
+
+var EARTH_RADIUS = 6371000;
+var METERS_PER_DEGREE = 111320;
+
+// properties that contain the name of a person
+var nameFields = ['name'];
+
+// properties that contain a profile or picture URL
+var profileUrlFields = ['profile', 'small_picture', 'normal_picture', 'medium_picture', 'large_picture'];
+
+// properties that contain a Runkeeper user id
+var userIdFields = ['userID', 'user_id'];
+
+// URIs and URLs that contain a user id: /team/<user id> and https://runkeeper.com/user/<user id or name>
+var userIdPatterns = [/^(\/team\/)([^\/?]+)/, /^(https?:\/\/runkeeper\.com\/user\/)([^\/?]+)/];
+
+var defaultSettings = {
+	names: 'keep',
+	profileUrls: 'keep',
+	pseudonymizeUserIds: false,
+	pathPrivacyZone: null,
+	excludeDataSets: [],
+	secret: null
+};
+
+/**
+ * Returns the privacy settings of a pipe.
+ * @param pipe - data pipe configuration
+ * @returns settings, see defaultSettings; property error describes an invalid configuration
+ */
+var getSettings = function(pipe) {
+	var settings = _.assign({}, defaultSettings, _.omitBy(pipe.privacy, _.isNil));
+	_.forEach(['names', 'profileUrls'], function(option) {
+		if(['keep', 'drop', 'hash'].indexOf(settings[option]) === -1) {
+			settings.error = 'Invalid privacy settings: ' + option + ' must be keep, drop or hash, but is ' + settings[option] + '.';
+		}
+	});
+	var zone = settings.pathPrivacyZone;
+	var validZone = (! zone) || ((Number(zone.meters) > 0) && (['trim', 'fuzz'].indexOf(zone.mode || 'trim') !== -1));
+	if(! validZone) {
+		settings.error = 'Invalid privacy settings: pathPrivacyZone must contain a positive number of meters and mode trim or fuzz.';
+	}
+	return settings;
+};
+
+/**
+ * Returns true if values are hashed and a secret is required. Names and profile URLs that are dropped are hashed as
+ * well where they identify a record, see getIdentifier.
+ * @param settings - privacy settings
+ */
+var requiresSecret = function(settings) {
+	return (settings.names !== 'keep') || (settings.profileUrls !== 'keep') || (settings.pseudonymizeUserIds === true);
+};
+
+/**
+ * Generates a secret for hashing.
+ */
+var generateSecret = function() {
+	return crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Returns true if a data set must not be loaded.
+ * @param settings - privacy settings
+ * @param dataSetName - name of the data set
+ */
+var isExcluded = function(settings, dataSetName) {
+	return _.includes(settings.excludeDataSets, dataSetName);
+};
+
+/**
+ * Replaces a value by a keyed hash (the first 16 hexadecimal digits of HMAC-SHA256).
+ * @param settings - privacy settings
+ * @param value - the value to hash
+ */
+var hash = function(settings, value) {
+	return crypto.createHmac('sha256', String(settings.secret)).update(String(value)).digest('hex').substring(0, 16);
+};
+
+/**
+ * Returns a hash of personal information that identifies a record, e.g. the author of a comment in its document id.
+ * The hash is keyed with the secret, so the value cannot be recovered from the hash by hashing candidate values. The
+ * hash is only unkeyed if the settings keep all personal information and no secret is set.
+ * @param settings - privacy settings
+ * @param value - the value to hash
+ * @returns the first 16 hexadecimal digits of the hash
+ */
+var getIdentifier = function(settings, value) {
+	if(settings.secret) {
+		return hash(settings, value);
+	}
+	return crypto.createHash('sha256').update(String(value)).digest('hex').substring(0, 16);
+};
+
+/**
+ * Returns the pseudonym of a Runkeeper user id if user ids are pseudonymized, otherwise the user id.
+ * @param settings - privacy settings
+ * @param userId - Runkeeper user id
+ */
+var pseudonymizeUserId = function(settings, userId) {
+	return (settings.pseudonymizeUserIds === true) ? hash(settings, userId) : String(userId);
+};
+
+/**
+ * Returns a user id for log messages: the pseudonym of the user id if user ids are pseudonymized, otherwise the user
+ * id. User ids that must be pseudonymized before a secret was generated are not logged.
+ * @param settings - privacy settings
+ * @param userId - Runkeeper user id
+ */
+var redactUserId = function(settings, userId) {
+	if((settings.pseudonymizeUserIds === true) && (! settings.secret)) {
+		return '(pseudonymized)';
+	}
+	return pseudonymizeUserId(settings, userId);
+};
+
+/**
+ * Replaces the user id in a URI or URL by its pseudonym.
+ * @param settings - privacy settings
+ * @param uri - URI or URL
+ */
+var pseudonymizeUri = function(settings, uri) {
+	if(typeof uri !== 'string') {
+		return uri;
+	}
+	_.forEach(userIdPatterns, function(pattern) {
+		uri = uri.replace(pattern, function(match, prefix, userId) {
+			return prefix + hash(settings, userId);
+		});
+	});
+	return uri;
+};
+
+/**
+ * Returns a URI or URL for log messages: the user id in the URI is replaced by its pseudonym if user ids are
+ * pseudonymized (see redactUserId).
+ * @param settings - privacy settings
+ * @param uri - URI or URL
+ */
+var redactUri = function(settings, uri) {
+	if((settings.pseudonymizeUserIds !== true) || (typeof uri !== 'string')) {
+		return uri;
+	}
+	_.forEach(userIdPatterns, function(pattern) {
+		uri = uri.replace(pattern, function(match, prefix, userId) {
+			return prefix + redactUserId(settings, userId);
+		});
+	});
+	return uri;
+};
+
+/**
+ * Applies a drop or hash rule to the properties of a record.
+ * @param settings - privacy settings
+ * @param record - record to modify
+ * @param fields - names of the properties
+ * @param rule - keep, drop or hash
+ */
+var applyRule = function(settings, record, fields, rule) {
+	_.forEach(fields, function(field) {
+		if((rule === 'keep') || (! _.has(record, field))) {
+			return;
+		}
+		if(rule === 'drop') {
+			delete record[field];
+		}
+		else if(! _.isNil(record[field])) {
+			record[field] = hash(settings, record[field]);
+		}
+	});
+};
+
+/**
+ * Removes or pseudonymizes the personal information (names, profile URLs, user ids) of a record in place.
+ * The record is modified before its document id is derived from its uri, so document ids are pseudonymized as well.
+ * @param settings - privacy settings
+ * @param record - record fetched from Runkeeper
+ * @returns the record
+ */
+var redactRecord = function(settings, record) {
+	if((! record) || (typeof record !== 'object')) {
+		return record;
+	}
+	applyRule(settings, record, nameFields, settings.names);
+	applyRule(settings, record, profileUrlFields, settings.profileUrls);
+	if(settings.pseudonymizeUserIds === true) {
+		_.forEach(userIdFields, function(field) {
+			if(! _.isNil(record[field])) {
+				record[field] = hash(settings, record[field]);
+			}
+		});
+		_.forEach(['uri', 'url', 'profile'], function(field) {
+			if(_.has(record, field)) {
+				record[field] = pseudonymizeUri(settings, record[field]);
+			}
+		});
+	}
+	return record;
+};
+
+/**
+ * Returns the distance between two path points in meters (haversine formula).
+ */
+var getDistance = function(point1, point2) {
+	var toRadians = function(degrees) {
+		return degrees * Math.PI / 180;
+	};
+	var dLat = toRadians(point2.latitude - point1.latitude);
+	var dLon = toRadians(point2.longitude - point1.longitude);
+	var a = Math.pow(Math.sin(dLat / 2), 2) +
+		Math.cos(toRadians(point1.latitude)) * Math.cos(toRadians(point2.latitude)) * Math.pow(Math.sin(dLon / 2), 2);
+	return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Returns for each point of a path the distance (along the path) to the nearest end of the path and the end: true if
+ * the start is nearer.
+ * @param path - path points with latitude and longitude
+ * @returns [{distance, atStart}, ...]
+ */
+var getEndDistances = function(path) {
+	var fromStart = [0];
+	for(var i = 1; i < path.length; i++) {
+		fromStart.push(fromStart[i - 1] + getDistance(path[i - 1], path[i]));
+	}
+	var total = _.last(fromStart) || 0;
+	return _.map(fromStart, function(distance) {
+		return {distance: Math.min(distance, total - distance), atStart: distance <= total - distance};
+	});
+};
+
+/**
+ * Creates a random offset of between N/2 and N meters in a random direction.
+ * @param meters - maximum distance
+ * @returns {north, east} - offset in meters
+ */
+var createOffset = function(meters) {
+	var distance = (0.5 + (Math.random() / 2)) * meters;
+	var bearing = Math.random() * 2 * Math.PI;
+	return {north: distance * Math.cos(bearing), east: distance * Math.sin(bearing)};
+};
+
+/**
+ * Moves a path point by a fraction of an offset.
+ * @param point - path point
+ * @param offset - offset, see createOffset
+ * @param weight - fraction of the offset (0 - 1)
+ */
+var fuzzPoint = function(point, offset, weight) {
+	var latitude = point.latitude + ((weight * offset.north) / METERS_PER_DEGREE);
+	var longitude = point.longitude + ((weight * offset.east) / (METERS_PER_DEGREE * Math.cos(point.latitude * Math.PI / 180)));
+	return _.assign({}, point, {latitude: latitude, longitude: longitude});
+};
+
+/**
+ * Protects the start and end of the GPS path of an activity in place: the points within the first and last N meters
+ * are removed (trim) or moved (fuzz). Fuzzing moves the points of each end by the same random offset of between N/2
+ * and N meters, so the location of the end cannot be recovered by averaging the points. The offset tapers off towards
+ * the edge of the privacy zone, so the path doesn't jump where the zone ends. Paths shorter than 2N meters are moved by
+ * a single offset.
+ * @param settings - privacy settings
+ * @param activity - complete Runkeeper fitness activity
+ * @returns the activity
+ */
+var protectPath = function(settings, activity) {
+	var zone = settings.pathPrivacyZone;
+	if((! zone) || (! activity) || (! _.isArray(activity.path))) {
+		return activity;
+	}
+	var meters = Number(zone.meters);
+	var positions = _.filter(activity.path, function(point) {
+		return (typeof point.latitude === 'number') && (typeof point.longitude === 'number');
+	});
+	var endDistances = getEndDistances(positions);
+	var startOffset = createOffset(meters);
+	var endOffset = _.every(endDistances, function(end) {
+		return end.distance < meters;
+	}) ? startOffset : createOffset(meters);
+	var protectedPath = [];
+	_.forEach(positions, function(point, index) {
+		var end = endDistances[index];
+		if(end.distance >= meters) {
+			protectedPath.push(point);
+		}
+		else if(zone.mode === 'fuzz') {
+			protectedPath.push(fuzzPoint(point, end.atStart ? startOffset : endOffset, 1 - (end.distance / meters)));
+		}
+	});
+	activity.path = protectedPath;
+	return activity;
+};
+
+module.exports = {
+	getSettings: getSettings,
+	requiresSecret: requiresSecret,
+	generateSecret: generateSecret,
+	isExcluded: isExcluded,
+	redactRecord: redactRecord,
+	getIdentifier: getIdentifier,
+	pseudonymizeUserId: pseudonymizeUserId,
+	redactUserId: redactUserId,
+	redactUri: redactUri,
+	protectPath: protectPath
+};
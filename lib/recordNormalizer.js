@@ -0,0 +1,146 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+/**
+ * Normalizes Runkeeper records: adds ISO-8601 timestamps and derived fields in common units to the records returned
+ * by the Health Graph API. The original fields are not modified.
+ * Runkeeper units: distances in meters, durations in seconds, weights in kilograms.
+ */
+
+var METERS_PER_MILE = 1609.344;
+var POUNDS_PER_KILOGRAM = 2.20462262;
+
+// Runkeeper fields that contain a local time such as 'Tue, 22 Mar 2016 06:34:36'
+var timestampFields = ['start_time', 'timestamp'];
+
+/**
+ * Rounds a number to a fixed number of decimals.
+ * @param value - number
+ * @param decimals - number of decimals
+ */
+var round = function(value, decimals) {
+	var factor = Math.pow(10, decimals);
+	return Math.round(value * factor) / factor;
+};
+
+/**
+ * Parses a Runkeeper timestamp, which denotes the local time of the user.
+ * @param value - Runkeeper timestamp, e.g. 'Tue, 22 Mar 2016 06:34:36'
+ * @returns the local time as milliseconds since the epoch, as if the user was in UTC; NaN if the value is invalid
+ */
+var parseLocalTime = function(value) {
+	if(typeof value !== 'string') {
+		return NaN;
+	}
+	return Date.parse(value + ' GMT');
+};
+
+/**
+ * Formats a time as ISO-8601 local time with the UTC offset of the user, e.g. 2016-03-22T06:34:36-05:00.
+ * @param localTime - local time in milliseconds since the epoch, as returned by parseLocalTime
+ * @param utcOffset - UTC offset of the user in hours
+ */
+var formatLocalTime = function(localTime, utcOffset) {
+	var iso = new Date(localTime).toISOString().substring(0, 19);
+	var offsetMinutes = Math.round(Math.abs(utcOffset) * 60);
+	var hours = Math.floor(offsetMinutes / 60);
+	var minutes = offsetMinutes % 60;
+	return iso + (utcOffset < 0 ? '-' : '+') + (hours < 10 ? '0' : '') + hours + ':' + (minutes < 10 ? '0' : '') + minutes;
+};
+
+/**
+ * Adds <field>_local and <field>_utc timestamps (ISO-8601) for the Runkeeper timestamp fields of a record.
+ * The UTC timestamp is only added if the record contains the UTC offset of the user (utc_offset).
+ * @param record - Runkeeper record
+ */
+var addTimestamps = function(record) {
+	var hasOffset = (typeof record.utc_offset === 'number');
+	timestampFields.forEach(function(field) {
+		var localTime = parseLocalTime(record[field]);
+		if(isNaN(localTime)) {
+			return;
+		}
+		if(hasOffset) {
+			record[field + '_local'] = formatLocalTime(localTime, record.utc_offset);
+			record[field + '_utc'] = new Date(localTime - (record.utc_offset * 3600000)).toISOString();
+		}
+		else {
+			record[field + '_local'] = new Date(localTime).toISOString().substring(0, 19);
+		}
+	});
+};
+
+/**
+ * Adds distance, speed and pace in metric and imperial units to activities.
+ * @param record - Runkeeper record
+ */
+var addActivityMetrics = function(record) {
+	var distance = record.total_distance;
+	var duration = record.duration;
+	if((typeof distance !== 'number') || isNaN(distance)) {
+		return;
+	}
+	record.total_distance_km = round(distance / 1000, 3);
+	record.total_distance_mi = round(distance / METERS_PER_MILE, 3);
+	if((typeof duration === 'number') && (duration > 0) && (distance > 0)) {
+		record.duration_minutes = round(duration / 60, 2);
+		record.speed_kmh = round((distance / 1000) / (duration / 3600), 2);
+		record.speed_mph = round((distance / METERS_PER_MILE) / (duration / 3600), 2);
+		record.pace_min_per_km = round((duration / 60) / (distance / 1000), 2);
+		record.pace_min_per_mi = round((duration / 60) / (distance / METERS_PER_MILE), 2);
+	}
+};
+
+/**
+ * Adds the weight in pounds and, if the height of the user is known and Runkeeper didn't provide it, the BMI.
+ * @param record - Runkeeper record
+ * @param heightCm - height of the user in centimeters or null
+ */
+var addWeightMetrics = function(record, heightCm) {
+	var weight = record.weight;
+	if((typeof weight !== 'number') || (weight <= 0)) {
+		return;
+	}
+	record.weight_kg = weight;
+	record.weight_lb = round(weight * POUNDS_PER_KILOGRAM, 1);
+	if(heightCm && (record.bmi === undefined || record.bmi === null)) {
+		record.bmi = round(weight / Math.pow(heightCm / 100, 2), 1);
+	}
+};
+
+/**
+ * Normalizes a Runkeeper record in place.
+ * @param record - Runkeeper record
+ * @param [options] - {heightCm: height of the user in centimeters, used to calculate the BMI}
+ * @returns the record
+ */
+var normalize = function(record, options) {
+	options = options || {};
+	if((! record) || (typeof record !== 'object')) {
+		return record;
+	}
+	addTimestamps(record);
+	addActivityMetrics(record);
+	addWeightMetrics(record, Number(options.heightCm) || null);
+	return record;
+};
+
+module.exports = {
+	normalize: normalize,
+	parseLocalTime: parseLocalTime
+};
@@ -0,0 +1,295 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var _ = require('lodash');
+
+var recordNormalizer = require('./recordNormalizer');
+
+/**
+ * Validates the records of all data sets: the records fetched from Runkeeper and the records the connector derives
+ * from them (analyses, route exports, summaries, ...). Each data set has a list of rules; a record that violates a rule
+ * is not stored in the data set's database (see quarantine in index.js).
+ * Optional fields that are missing or null are not validated.
+ */
+
+/**
+ * Rule: the field must contain a valid Runkeeper local time, e.g. 'Tue, 22 Mar 2016 06:34:36'.
+ * @param field - name of the field
+ */
+var validTime = function(field) {
+	return {
+		name: 'valid_time',
+		field: field,
+		check: function(value) {
+			return ! isNaN(recordNormalizer.parseLocalTime(value));
+		},
+		message: field + ' must be a valid time'
+	};
+};
+
+/**
+ * Rule: the field must contain a string, e.g. the Runkeeper uri of a feed item.
+ * @param field - name of the field
+ */
+var requiredString = function(field) {
+	return {
+		name: 'required',
+		field: field,
+		check: function(value) {
+			return (typeof value === 'string') && (value.length > 0);
+		},
+		message: field + ' is required'
+	};
+};
+
+/**
+ * Rule: if the field is set, it must contain a finite number within a range.
+ * @param name - name of the rule
+ * @param field - name of the field
+ * @param inRange - function(number) that returns true if the number is in the range
+ * @param description - description of the range, e.g. 'not negative'
+ */
+var numberRule = function(name, field, inRange, description) {
+	return {
+		name: name,
+		field: field,
+		optional: true,
+		check: function(value) {
+			return (typeof value === 'number') && isFinite(value) && inRange(value);
+		},
+		message: field + ' must be a number that is ' + description
+	};
+};
+
+/**
+ * Rule: the field must contain one of a list of values.
+ * @param field - name of the field
+ * @param values - allowed values
+ */
+var oneOf = function(field, values) {
+	return {
+		name: 'one_of',
+		field: field,
+		check: function(value) {
+			return values.indexOf(value) !== -1;
+		},
+		message: field + ' must be one of ' + values.join(', ')
+	};
+};
+
+/**
+ * Rule: the field must contain an object, e.g. the attachments of a route export.
+ * @param field - name of the field
+ */
+var requiredObject = function(field) {
+	return {
+		name: 'required',
+		field: field,
+		check: _.isPlainObject,
+		message: field + ' is required'
+	};
+};
+
+/**
+ * Rule: if the field is set, it must contain a list of changes of the change log: {added: [<uri>, ...], deleted: [<uri>, ...]}
+ * @param field - name of the field
+ */
+var changeList = function(field) {
+	return {
+		name: 'change_list',
+		field: field,
+		optional: true,
+		check: function(value) {
+			return _.isPlainObject(value) && _.isArray(value.added || []) && _.isArray(value.deleted || []);
+		},
+		message: field + ' must contain lists of added and deleted items'
+	};
+};
+
+/**
+ * Returns a copy of a rule that is only validated if the field is set.
+ * @param rule - validation rule
+ */
+var optional = function(rule) {
+	return _.assign({}, rule, {optional: true});
+};
+
+/**
+ * Returns a copy of a rule that also fails if the field is not set.
+ * @param rule - validation rule
+ */
+var required = function(rule) {
+	return _.assign({}, rule, {optional: false});
+};
+
+var nonNegative = function(field) {
+	return numberRule('non_negative', field, function(value) {
+		return value >= 0;
+	}, 'not negative');
+};
+
+var positive = function(field) {
+	return numberRule('positive', field, function(value) {
+		return value > 0;
+	}, 'greater than 0');
+};
+
+var percentage = function(field) {
+	return numberRule('percentage', field, function(value) {
+		return (value >= 0) && (value <= 100);
+	}, 'between 0 and 100');
+};
+
+/**
+ * Returns the rules of a measurement feed: a uri, a valid timestamp and non-negative values.
+ * @param fields - names of the measurement values
+ */
+var measurementRules = function(fields) {
+	return [requiredString('uri'), validTime('timestamp')].concat(_.map(fields, nonNegative));
+};
+
+var fitnessActivityRules = [
+	requiredString('uri'),
+	validTime('start_time'),
+	nonNegative('duration'),
+	nonNegative('total_distance'),
+	nonNegative('total_calories')
+];
+
+var routeAttachmentRules = function(format) {
+	return [
+		requiredString('uri'),
+		validTime('start_time'),
+		oneOf('format', [format]),
+		requiredObject('_attachments')
+	];
+};
+
+var summaryRules = function(period) {
+	return [
+		oneOf('period', [period]),
+		requiredString('period_start'),
+		requiredString('period_end'),
+		requiredString('type'),
+		required(nonNegative('activity_count')),
+		nonNegative('total_distance'),
+		nonNegative('total_duration'),
+		nonNegative('total_calories'),
+		nonNegative('training_load_7d'),
+		nonNegative('training_load_28d'),
+		nonNegative('acute_chronic_ratio')
+	];
+};
+
+var friendRules = [
+	requiredString('uri')
+];
+
+// validation rules, by data set; every data set of the catalog has rules (see dataSetCatalog.js)
+var rules = {
+	settings: [
+		optional(validTime('birthday')),
+		positive('height'),
+		positive('weight')
+	],
+	profile: [
+		optional(validTime('birthday'))
+	],
+	records: [
+		requiredString('activity_type'),
+		requiredString('stat_type'),
+		required(positive('value'))
+	],
+	change_log: _.map(['fitness_activities', 'strength_training_activities', 'background_activities', 'weight', 'sleep', 'nutrition', 'general_measurements', 'diabetes'], changeList),
+	fitness_activities: fitnessActivityRules,
+	friend_activities: fitnessActivityRules,
+	friends: friendRules,
+	friend_profiles: friendRules,
+	activity_analysis: fitnessActivityRules,
+	activity_comments: [
+		requiredString('activity_uri'),
+		validTime('timestamp'),
+		requiredString('comment')
+	],
+	fitness_activity_gpx: routeAttachmentRules('gpx'),
+	fitness_activity_tcx: routeAttachmentRules('tcx'),
+	fitness_activity_geojson: [
+		oneOf('type', ['Feature']),
+		requiredObject('geometry'),
+		requiredObject('properties')
+	],
+	weekly_summary: summaryRules('week'),
+	monthly_summary: summaryRules('month'),
+	write_back: [
+		requiredString('data_set'),
+		requiredString('source_db'),
+		requiredString('source_id'),
+		oneOf('status', ['created', 'duplicate', 'invalid', 'failed'])
+	],
+	strength_training_activities: [
+		requiredString('uri'),
+		validTime('start_time')
+	],
+	background_activities: measurementRules(['calories_burned', 'steps']),
+	weight_measurements: [
+		requiredString('uri'),
+		validTime('timestamp'),
+		positive('weight'),
+		positive('free_mass'),
+		positive('mass_weight'),
+		percentage('fat_percent'),
+		positive('bmi')
+	],
+	sleep_measurements: measurementRules(['total_sleep', 'deep', 'rem', 'light', 'awake', 'times_woken']),
+	nutritional_measurements: measurementRules(['calories', 'carbohydrates', 'fat', 'fiber', 'protein', 'sodium', 'water']),
+	general_measurements: measurementRules(['systolic', 'diastolic', 'resting_heartrate', 'total_cholesterol', 'hdl', 'ldl', 'triglycerides']),
+	diabetes_measurements: measurementRules(['fasting_plasma_glucose_test', 'oral_glucose_tolerance_test', 'random_plasma_glucose_test', 'hemoglobin_a1c', 'insulin', 'c_peptide', 'triglyceride'])
+};
+
+/**
+ * Returns true if the records of a data set are validated.
+ * @param dataSetName - name of the data set
+ */
+var hasRules = function(dataSetName) {
+	return _.has(rules, dataSetName);
+};
+
+/**
+ * Validates a record.
+ * @param dataSetName - name of the data set the record belongs to
+ * @param record - record fetched from Runkeeper
+ * @returns the violated rules: [{rule, field, message}, ...]; empty if the record is valid
+ */
+var validate = function(dataSetName, record) {
+	var failures = [];
+	_.forEach(rules[dataSetName], function(rule) {
+		var value = record[rule.field];
+		if(rule.optional && _.isNil(value)) {
+			return;
+		}
+		if(! rule.check(value)) {
+			failures.push({rule: rule.name, field: rule.field, message: rule.message});
+		}
+	});
+	return failures;
+};
+
+module.exports = {
+	hasRules: hasRules,
+	validate: validate
+};
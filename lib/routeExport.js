@@ -0,0 +1,289 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var _ = require('lodash');
+
+var recordNormalizer = require('./recordNormalizer');
+
+/**
+ * Exports the route of a Runkeeper fitness activity as GPX track, TCX activity or GeoJSON LineString Feature.
+ * The route is the activity's path: [{timestamp, latitude, longitude, altitude, type}, ...], where timestamp is the
+ * number of seconds since the start of the activity and type is one of start, end, gps, pause, resume or manual.
+ * See https://runkeeper.com/developer/healthgraph/fitness-activities for more information.
+ */
+
+var CREATOR = 'Simple Data Pipe connector for Runkeeper';
+
+// activity properties that are included in the exported documents
+var activityProperties = ['uri', 'type', 'start_time', 'utc_offset', 'duration', 'total_distance', 'total_calories', 'equipment', 'notes', 'source'];
+
+// TCX sports; all other Runkeeper activity types are exported as Other
+var tcxSports = {
+	Running: 'Running',
+	Cycling: 'Biking',
+	'Mountain Biking': 'Biking'
+};
+
+/**
+ * Escapes a value for use in XML text and attribute values.
+ * @param value - string or number
+ */
+var escapeXml = function(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+};
+
+/**
+ * Returns the start time of an activity in ms since the epoch (UTC), or NaN if the activity has no valid start time.
+ * If the activity doesn't contain the UTC offset of the user, the local time is treated as UTC.
+ * @param activity - Runkeeper fitness activity
+ */
+var getStartTime = function(activity) {
+	var localTime = recordNormalizer.parseLocalTime(activity.start_time);
+	var utcOffset = (typeof activity.utc_offset === 'number') ? activity.utc_offset : 0;
+	return localTime - (utcOffset * 3600000);
+};
+
+/**
+ * Returns the ISO-8601 time of a point of an activity.
+ * @param startTime - start time of the activity as returned by getStartTime
+ * @param timestamp - seconds since the start of the activity
+ */
+var getPointTime = function(startTime, timestamp) {
+	if(isNaN(startTime)) {
+		return null;
+	}
+	return new Date(startTime + Math.round((timestamp || 0) * 1000)).toISOString();
+};
+
+/**
+ * Returns the points of an activity's path that have a position.
+ * @param activity - Runkeeper fitness activity
+ */
+var getPositions = function(activity) {
+	return _.filter(activity.path, function(point) {
+		return (typeof point.latitude === 'number') && (typeof point.longitude === 'number');
+	});
+};
+
+/**
+ * Creates a cursor over a series (e.g. heart_rate, distance) that returns the value of the last sample that was taken
+ * at or before a timestamp. The series and the path are both ordered by timestamp, so the cursor moves forward through
+ * the series while the path is walked and each sample is visited once. It starts over if a timestamp is earlier than
+ * the previous one.
+ * @param series - [{timestamp, <field>}, ...] ordered by timestamp
+ * @param field - name of the sample value
+ * @returns function(timestamp) - timestamp: seconds since the start of the activity; returns the sample value or undefined
+ */
+var createSampleCursor = function(series, field) {
+	var samples = series || [];
+	var index = 0;
+	var lastTimestamp = -Infinity;
+	return function(timestamp) {
+		if(timestamp < lastTimestamp) {
+			index = 0;
+		}
+		lastTimestamp = timestamp;
+		while((index < samples.length) && (samples[index].timestamp <= timestamp)) {
+			index++;
+		}
+		return (index > 0) ? samples[index - 1][field] : undefined;
+	};
+};
+
+/**
+ * Splits the path of an activity into segments at pauses.
+ * @param activity - Runkeeper fitness activity
+ * @returns [[point, ...], ...] - points with a position
+ */
+var getSegments = function(activity) {
+	var segments = [[]];
+	_.forEach(activity.path, function(point) {
+		if((point.type === 'pause') && (_.last(segments).length > 0)) {
+			segments.push([]);
+		}
+		if((typeof point.latitude === 'number') && (typeof point.longitude === 'number')) {
+			_.last(segments).push(point);
+		}
+	});
+	return _.filter(segments, function(segment) {
+		return segment.length > 0;
+	});
+};
+
+/**
+ * Creates a GPX 1.1 document containing the route of an activity as a track. Pauses start a new track segment.
+ * @param activity - Runkeeper fitness activity
+ * @returns GPX document (string)
+ */
+var toGpx = function(activity) {
+	var startTime = getStartTime(activity);
+	var xml = ['<?xml version="1.0" encoding="UTF-8"?>',
+		'<gpx version="1.1" creator="' + escapeXml(CREATOR) + '" xmlns="http://www.topografix.com/GPX/1/1">'];
+	if(! isNaN(startTime)) {
+		xml.push('<metadata><time>' + getPointTime(startTime, 0) + '</time></metadata>');
+	}
+	xml.push('<trk>');
+	xml.push('<name>' + escapeXml((activity.type || 'Activity') + ' ' + (activity.start_time || '')) + '</name>');
+	if(activity.type) {
+		xml.push('<type>' + escapeXml(activity.type) + '</type>');
+	}
+	_.forEach(getSegments(activity), function(segment) {
+		xml.push('<trkseg>');
+		_.forEach(segment, function(point) {
+			var trkpt = '<trkpt lat="' + point.latitude + '" lon="' + point.longitude + '">';
+			if(typeof point.altitude === 'number') {
+				trkpt += '<ele>' + point.altitude + '</ele>';
+			}
+			if(! isNaN(startTime)) {
+				trkpt += '<time>' + getPointTime(startTime, point.timestamp) + '</time>';
+			}
+			xml.push(trkpt + '</trkpt>');
+		});
+		xml.push('</trkseg>');
+	});
+	xml.push('</trk>');
+	xml.push('</gpx>');
+	return xml.join('\n');
+};
+
+/**
+ * Creates a TCX (Training Center XML v2) document containing an activity with a single lap. Trackpoints include the
+ * distance and heart rate if the activity contains these series.
+ * @param activity - Runkeeper fitness activity
+ * @returns TCX document (string)
+ */
+var toTcx = function(activity) {
+	var startTime = getStartTime(activity);
+	var id = getPointTime(isNaN(startTime) ? 0 : startTime, 0);
+	var xml = ['<?xml version="1.0" encoding="UTF-8"?>',
+		'<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">',
+		'<Activities>',
+		'<Activity Sport="' + (tcxSports[activity.type] || 'Other') + '">',
+		'<Id>' + id + '</Id>',
+		'<Lap StartTime="' + id + '">',
+		'<TotalTimeSeconds>' + (activity.duration || 0) + '</TotalTimeSeconds>',
+		'<DistanceMeters>' + (activity.total_distance || 0) + '</DistanceMeters>',
+		'<Calories>' + Math.round(activity.total_calories || 0) + '</Calories>',
+		'<Intensity>Active</Intensity>',
+		'<TriggerMethod>Manual</TriggerMethod>',
+		'<Track>'];
+	var distanceAt = createSampleCursor(activity.distance, 'distance');
+	var heartRateAt = createSampleCursor(activity.heart_rate, 'heart_rate');
+	_.forEach(getPositions(activity), function(point) {
+		xml.push('<Trackpoint>');
+		xml.push('<Time>' + getPointTime(isNaN(startTime) ? 0 : startTime, point.timestamp) + '</Time>');
+		xml.push('<Position><LatitudeDegrees>' + point.latitude + '</LatitudeDegrees><LongitudeDegrees>' + point.longitude + '</LongitudeDegrees></Position>');
+		if(typeof point.altitude === 'number') {
+			xml.push('<AltitudeMeters>' + point.altitude + '</AltitudeMeters>');
+		}
+		var distance = distanceAt(point.timestamp);
+		if(typeof distance === 'number') {
+			xml.push('<DistanceMeters>' + distance + '</DistanceMeters>');
+		}
+		var heartRate = heartRateAt(point.timestamp);
+		if(typeof heartRate === 'number') {
+			xml.push('<HeartRateBpm><Value>' + Math.round(heartRate) + '</Value></HeartRateBpm>');
+		}
+		xml.push('</Trackpoint>');
+	});
+	xml.push('</Track>');
+	xml.push('</Lap>');
+	if(activity.notes) {
+		xml.push('<Notes>' + escapeXml(activity.notes) + '</Notes>');
+	}
+	xml.push('</Activity>');
+	xml.push('</Activities>');
+	xml.push('</TrainingCenterDatabase>');
+	return xml.join('\n');
+};
+
+/**
+ * Creates a GeoJSON Feature whose geometry is the route of an activity (LineString) and whose properties are the
+ * activity metadata.
+ * @param activity - Runkeeper fitness activity
+ * @returns GeoJSON Feature (object)
+ */
+var toGeoJson = function(activity) {
+	var startTime = getStartTime(activity);
+	var properties = _.pick(activity, activityProperties);
+	if(! isNaN(startTime)) {
+		properties.start_time_utc = getPointTime(startTime, 0);
+	}
+	return {
+		type: 'Feature',
+		geometry: {
+			type: 'LineString',
+			coordinates: _.map(getPositions(activity), function(point) {
+				return (typeof point.altitude === 'number') ? [point.longitude, point.latitude, point.altitude] : [point.longitude, point.latitude];
+			})
+		},
+		properties: properties
+	};
+};
+
+/**
+ * Creates a document that stores a GPX or TCX export as Cloudant attachment, along with the activity metadata.
+ * @param activity - Runkeeper fitness activity
+ * @param format - gpx or tcx
+ */
+var createAttachmentDocument = function(activity, format) {
+	var document = _.pick(activity, activityProperties);
+	document.format = format.name;
+	document._attachments = {};
+	document._attachments['route.' + format.name] = {
+		content_type: format.contentType,
+		data: Buffer.from(format.create(activity), 'utf8').toString('base64')
+	};
+	return document;
+};
+
+var formats = {
+	gpx: {name: 'gpx', contentType: 'application/gpx+xml', create: toGpx},
+	tcx: {name: 'tcx', contentType: 'application/vnd.garmin.tcx+xml', create: toTcx},
+	geojson: {name: 'geojson', contentType: 'application/geo+json', create: toGeoJson}
+};
+
+/**
+ * Exports the route of an activity.
+ * @param activity - Runkeeper fitness activity, including its path
+ * @param formatName - gpx, tcx or geojson
+ * @returns the document to store (GPX and TCX are attached to the document, GeoJSON is stored as the document) or
+ *  null if the activity doesn't have a route (a LineString requires at least two positions)
+ */
+var exportRoute = function(activity, formatName) {
+	var format = formats[formatName];
+	if((! format) || (getPositions(activity).length < 2)) {
+		return null;
+	}
+	if(formatName === 'geojson') {
+		return toGeoJson(activity);
+	}
+	return createAttachmentDocument(activity, format);
+};
+
+module.exports = {
+	exportRoute: exportRoute,
+	toGpx: toGpx,
+	toTcx: toTcx,
+	toGeoJson: toGeoJson
+};
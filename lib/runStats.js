@@ -0,0 +1,83 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+/**
+ * Runkeeper specific statistics are recorded in the pipe run stats:
+ *  pipeRunStats.runkeeper = {
+ *    <statistic> : <value>, ...                                           (statistics of the pipe run)
+ *    dataSets : { <data set name> : { <statistic> : <value>, ... }, ... }  (statistics of each data set)
+ *  }
+ */
+
+/**
+ * Returns the Runkeeper statistics of the pipe run, creating them if necessary.
+ * @param pipeRunStats - maintains pipe run stats such as startTime, # of records processed, etc
+ */
+var getRunStats = function(pipeRunStats) {
+	pipeRunStats.runkeeper = pipeRunStats.runkeeper || {dataSets: {}};
+	return pipeRunStats.runkeeper;
+};
+
+/**
+ * Returns the Runkeeper statistics of a data set, creating them if necessary.
+ * @param pipeRunStats - maintains pipe run stats such as startTime, # of records processed, etc
+ * @param dataSetName - name of the data set
+ */
+var getDataSetStats = function(pipeRunStats, dataSetName) {
+	var dataSets = getRunStats(pipeRunStats).dataSets;
+	dataSets[dataSetName] = dataSets[dataSetName] || {};
+	return dataSets[dataSetName];
+};
+
+/**
+ * Adds a value to a numeric statistic.
+ * @param stats - statistics of the pipe run or a data set
+ * @param statName - name of the statistic
+ * @param [value] - value to add (default: 1)
+ */
+var add = function(stats, statName, value) {
+	stats[statName] = (stats[statName] || 0) + ((value === undefined) ? 1 : value);
+};
+
+/**
+ * Adds a value to a numeric statistic of a data set.
+ * @param pipeRunStats - maintains pipe run stats such as startTime, # of records processed, etc
+ * @param dataSetName - name of the data set
+ * @param statName - name of the statistic, e.g. deletedRecords
+ * @param [value] - value to add (default: 1)
+ */
+var increment = function(pipeRunStats, dataSetName, statName, value) {
+	add(getDataSetStats(pipeRunStats, dataSetName), statName, value);
+};
+
+/**
+ * Adds a value to a numeric statistic of the pipe run.
+ * @param pipeRunStats - maintains pipe run stats such as startTime, # of records processed, etc
+ * @param statName - name of the statistic, e.g. retries
+ * @param [value] - value to add (default: 1)
+ */
+var incrementRun = function(pipeRunStats, statName, value) {
+	add(getRunStats(pipeRunStats), statName, value);
+};
+
+module.exports = {
+	getRunStats: getRunStats,
+	getDataSetStats: getDataSetStats,
+	increment: increment,
+	incrementRun: incrementRun
+};
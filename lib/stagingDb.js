@@ -0,0 +1,441 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var _ = require('lodash');
+
+var pipesSDK = require('simple-data-pipe-sdk');
+var cloudant = pipesSDK.cloudant;
+
+// Cloudant staging database handles, keyed by database name
+var stagingDbs = {};
+
+// map functions of the views whose design documents were created or checked, keyed by database, design and view name
+var views = {};
+
+/**
+ * Provides access to a Cloudant staging database. The database is created if it doesn't exist yet.
+ * @param dbName - name of the staging database
+ * @param callback(err, db) - db is a nano database handle
+ */
+var run = function(dbName, callback) {
+	var stagingDb = stagingDbs[dbName];
+	if(stagingDb) {
+		if(stagingDb.ready) {
+			return stagingDb.db.run(callback);
+		}
+		return stagingDb.waiting.push(callback);
+	}
+
+	stagingDb = stagingDbs[dbName] = {
+		db: new cloudant.db(dbName),
+		ready: false,
+		waiting: [callback]
+	};
+	stagingDb.db.on('cloudant_ready', function() {
+		stagingDb.ready = true;
+		_.forEach(stagingDb.waiting, function(waitingCallback) {
+			stagingDb.db.run(waitingCallback);
+		});
+		stagingDb.waiting = [];
+	});
+	stagingDb.db.on('cloudant_error', function(err) {
+		delete stagingDbs[dbName];
+		_.forEach(stagingDb.waiting, function(waitingCallback) {
+			waitingCallback(err || 'Staging database ' + dbName + ' could not be initialized.');
+		});
+	});
+};
+
+/**
+ * Attaches the current document revision to records that are already stored in the staging database,
+ * so that saving them updates the existing documents instead of causing conflicts (see saveDocuments).
+ * Records without an _id are not modified.
+ * @param dbName - name of the staging database
+ * @param records - array of records
+ * @param callback(err)
+ */
+var assignRevisions = function(dbName, records, callback) {
+	var ids = _.compact(_.map(records, '_id'));
+	if(ids.length === 0) {
+		return callback();
+	}
+	run(dbName, function(err, db) {
+		if(err) {
+			return callback(err);
+		}
+		db.fetchRevs({keys: ids}, function(err, body) {
+			if(err) {
+				return callback(err);
+			}
+			var revisions = {};
+			_.forEach(body.rows, function(row) {
+				if(row.value && (! row.value.deleted)) {
+					revisions[row.key] = row.value.rev;
+				}
+			});
+			_.forEach(records, function(record) {
+				if(record._id && revisions[record._id]) {
+					record._rev = revisions[record._id];
+				}
+			});
+			return callback();
+		});
+	});
+};
+
+/**
+ * Deletes documents from the staging database. Documents that don't exist (or were already deleted) are ignored.
+ * @param dbName - name of the staging database
+ * @param ids - array of document ids
+ * @param callback(err, deletedCount)
+ */
+var deleteDocuments = function(dbName, ids, callback) {
+	if(ids.length === 0) {
+		return callback(null, 0);
+	}
+	run(dbName, function(err, db) {
+		if(err) {
+			return callback(err);
+		}
+		db.fetchRevs({keys: ids}, function(err, body) {
+			if(err) {
+				return callback(err);
+			}
+			var deletions = [];
+			_.forEach(body.rows, function(row) {
+				if(row.value && (! row.value.deleted)) {
+					deletions.push({_id: row.key, _rev: row.value.rev, _deleted: true});
+				}
+			});
+			if(deletions.length === 0) {
+				return callback(null, 0);
+			}
+			db.bulk({docs: deletions}, function(err, results) {
+				if(err) {
+					return callback(err);
+				}
+				return callback(null, _.filter(results, function(result) {
+					return ! result.error;
+				}).length);
+			});
+		});
+	});
+};
+
+/**
+ * Returns all documents of a database, excluding design documents. Documents are read in pages of 500.
+ * @param dbName - name of the database
+ * @param callback(err, documents)
+ */
+var listDocuments = function(dbName, callback) {
+	var pageSize = 500;
+	run(dbName, function(err, db) {
+		if(err) {
+			return callback(err);
+		}
+		var documents = [];
+		var listPage = function(startId) {
+			var params = {include_docs: true, limit: pageSize + 1};
+			if(startId) {
+				params.startkey = startId;
+			}
+			db.list(params, function(err, body) {
+				if(err) {
+					return callback(err);
+				}
+				var rows = body.rows || [];
+				_.forEach(_.take(rows, pageSize), function(row) {
+					if(row.doc && (row.id.indexOf('_design/') !== 0)) {
+						documents.push(row.doc);
+					}
+				});
+				if(rows.length > pageSize) {
+					return listPage(rows[pageSize].id);
+				}
+				return callback(null, documents);
+			});
+		};
+		listPage(null);
+	});
+};
+
+/**
+ * Returns the ids of the documents of a database whose ids start with a prefix. Ids are read in pages of 500.
+ * @param dbName - name of the database
+ * @param prefix - id prefix, e.g. the id of an activity followed by a dash
+ * @param callback(err, ids)
+ */
+var listDocumentIds = function(dbName, prefix, callback) {
+	var pageSize = 500;
+	run(dbName, function(err, db) {
+		if(err) {
+			return callback(err);
+		}
+		var ids = [];
+		var listPage = function(startId) {
+			db.list({startkey: startId, endkey: prefix + '\ufff0', limit: pageSize + 1}, function(err, body) {
+				if(err) {
+					return callback(err);
+				}
+				var rows = body.rows || [];
+				ids = ids.concat(_.map(_.take(rows, pageSize), 'id'));
+				if(rows.length > pageSize) {
+					return listPage(rows[pageSize].id);
+				}
+				return callback(null, ids);
+			});
+		};
+		listPage(prefix);
+	});
+};
+
+/**
+ * Returns the documents of a database that were created or modified since an update sequence, excluding design
+ * documents and deleted documents. Changes are read in pages of 500.
+ * @param dbName - name of the database
+ * @param since - update sequence returned by a previous call; all documents are returned if not set
+ * @param callback(err, documents, lastSequence) - lastSequence: update sequence of the last change
+ */
+var listChanges = function(dbName, since, callback) {
+	var pageSize = 500;
+	run(dbName, function(err, db) {
+		if(err) {
+			return callback(err);
+		}
+		var documents = {};
+		var listPage = function(sequence) {
+			var params = {include_docs: true, limit: pageSize};
+			if(sequence) {
+				params.since = sequence;
+			}
+			db.changes(params, function(err, body) {
+				if(err) {
+					return callback(err);
+				}
+				var results = body.results || [];
+				_.forEach(results, function(change) {
+					// a document that changed more than once is returned with its latest revision
+					delete documents[change.id];
+					if(change.doc && (! change.deleted) && (change.id.indexOf('_design/') !== 0)) {
+						documents[change.id] = change.doc;
+					}
+				});
+				if(results.length === pageSize) {
+					return listPage(body.last_seq);
+				}
+				return callback(null, _.values(documents), body.last_seq || sequence);
+			});
+		};
+		listPage(since);
+	});
+};
+
+/**
+ * Creates or updates the design document of a view, unless that was already done by this process.
+ * @param dbName - name of the database
+ * @param db - nano database handle
+ * @param view - {design, name, map} - design: name of the design document, name: name of the view, map: source of the
+ *  map function
+ * @param callback(err)
+ */
+var ensureView = function(dbName, db, view, callback) {
+	var key = dbName + '/' + view.design + '/' + view.name;
+	if(views[key] === view.map) {
+		return callback();
+	}
+	var id = '_design/' + view.design;
+	db.get(id, function(err, design) {
+		if(err && (err.statusCode !== 404)) {
+			return callback(err);
+		}
+		design = design || {_id: id};
+		design.views = design.views || {};
+		if(design.views[view.name] && (design.views[view.name].map === view.map)) {
+			views[key] = view.map;
+			return callback();
+		}
+		design.views[view.name] = {map: view.map};
+		db.insert(design, function(err) {
+			// 409: another process created the design document in the meantime
+			if(err && (err.statusCode !== 409)) {
+				return callback(err);
+			}
+			views[key] = view.map;
+			return callback();
+		});
+	});
+};
+
+/**
+ * Returns the documents of a database whose keys in a view are within a range. The design document of the view is
+ * created if it doesn't exist yet. Rows are read in pages of 500.
+ * @param dbName - name of the database
+ * @param view - see ensureView
+ * @param startKey - lowest key
+ * @param endKey - highest key
+ * @param callback(err, documents)
+ */
+var queryView = function(dbName, view, startKey, endKey, callback) {
+	var pageSize = 500;
+	run(dbName, function(err, db) {
+		if(err) {
+			return callback(err);
+		}
+		ensureView(dbName, db, view, function(err) {
+			if(err) {
+				return callback(err);
+			}
+			var documents = [];
+			var queryPage = function(key, id) {
+				var params = {startkey: key, endkey: endKey, include_docs: true, limit: pageSize + 1};
+				if(id) {
+					params.startkey_docid = id;
+				}
+				db.view(view.design, view.name, params, function(err, body) {
+					if(err) {
+						return callback(err);
+					}
+					var rows = body.rows || [];
+					documents = documents.concat(_.compact(_.map(_.take(rows, pageSize), 'doc')));
+					if(rows.length > pageSize) {
+						return queryPage(rows[pageSize].key, rows[pageSize].id);
+					}
+					return callback(null, documents);
+				});
+			};
+			queryPage(startKey, null);
+		});
+	});
+};
+
+/**
+ * Returns documents of a database by id. Documents that don't exist (or were deleted) are omitted.
+ * @param dbName - name of the database
+ * @param ids - array of document ids
+ * @param callback(err, documents)
+ */
+var getDocuments = function(dbName, ids, callback) {
+	if(ids.length === 0) {
+		return callback(null, []);
+	}
+	run(dbName, function(err, db) {
+		if(err) {
+			return callback(err);
+		}
+		db.fetch({keys: ids}, function(err, body) {
+			if(err) {
+				return callback(err);
+			}
+			return callback(null, _.compact(_.map(body.rows, 'doc')));
+		});
+	});
+};
+
+/**
+ * Deletes all documents of a database, excluding design documents. Documents are deleted in pages of 500.
+ * @param dbName - name of the database
+ * @param callback(err, deletedCount)
+ */
+var clearDocuments = function(dbName, callback) {
+	var pageSize = 500;
+	run(dbName, function(err, db) {
+		if(err) {
+			return callback(err);
+		}
+		var deletedCount = 0;
+		var clearPage = function(startId) {
+			var params = {limit: pageSize + 1};
+			if(startId) {
+				params.startkey = startId;
+			}
+			db.list(params, function(err, body) {
+				if(err) {
+					return callback(err);
+				}
+				var rows = body.rows || [];
+				var deletions = [];
+				_.forEach(_.take(rows, pageSize), function(row) {
+					if(row.id.indexOf('_design/') !== 0) {
+						deletions.push({_id: row.id, _rev: row.value.rev, _deleted: true});
+					}
+				});
+				var next = function() {
+					if(rows.length > pageSize) {
+						return clearPage(rows[pageSize].id);
+					}
+					return callback(null, deletedCount);
+				};
+				if(deletions.length === 0) {
+					return next();
+				}
+				db.bulk({docs: deletions}, function(err, results) {
+					if(err) {
+						return callback(err);
+					}
+					deletedCount += _.filter(results, function(result) {
+						return ! result.error;
+					}).length;
+					next();
+				});
+			});
+		};
+		clearPage(null);
+	});
+};
+
+/**
+ * Saves documents in a database. Documents with an _id that already exist are replaced.
+ * @param dbName - name of the database
+ * @param documents - array of documents
+ * @param callback(err)
+ */
+var saveDocuments = function(dbName, documents, callback) {
+	assignRevisions(dbName, documents, function(err) {
+		if(err) {
+			return callback(err);
+		}
+		run(dbName, function(err, db) {
+			if(err) {
+				return callback(err);
+			}
+			db.bulk({docs: documents}, function(err, results) {
+				if(err) {
+					return callback(err);
+				}
+				var failed = _.filter(results, 'error');
+				if(failed.length > 0) {
+					return callback(failed.length + ' document(s) could not be saved: ' + failed[0].error + ' ' + (failed[0].reason || ''));
+				}
+				return callback();
+			});
+		});
+	});
+};
+
+module.exports = {
+	run: run,
+	assignRevisions: assignRevisions,
+	clearDocuments: clearDocuments,
+	deleteDocuments: deleteDocuments,
+	getDocuments: getDocuments,
+	listChanges: listChanges,
+	listDocumentIds: listDocumentIds,
+	listDocuments: listDocuments,
+	queryView: queryView,
+	saveDocuments: saveDocuments
+};
@@ -0,0 +1,222 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var _ = require('lodash');
+
+var recordNormalizer = require('./recordNormalizer');
+
+/**
+ * Aggregates fitness activities into weekly or monthly training summaries, per activity type and for all types.
+ * Weeks start on Monday. Activities are assigned to periods by their local start time.
+ * Training load is the activity duration in minutes: the 7-day (acute) and 28-day (chronic) loads are the sums over
+ * the days up to and including the last day of the period.
+ */
+
+var DAY = 86400000;
+
+// type of the summaries that include all activities
+var ALL_TYPES = 'All';
+
+/**
+ * Rounds a number to two decimals.
+ */
+var round = function(value) {
+	return Math.round(value * 100) / 100;
+};
+
+/**
+ * Formats a day (ms since the epoch) as YYYY-MM-DD.
+ */
+var formatDay = function(day) {
+	return new Date(day).toISOString().substring(0, 10);
+};
+
+/**
+ * Returns the document id of a summary.
+ * @param dataSetName - name of the data set
+ * @param start - first day of the period
+ * @param type - activity type or ALL_TYPES
+ */
+var getSummaryId = function(dataSetName, start, type) {
+	return dataSetName + '-' + formatDay(start) + '-' + type;
+};
+
+// periods: start(day) returns the first day of the period that contains the day, next(start) the first day of the next period
+var periods = {
+	week: {
+		start: function(day) {
+			// getUTCDay: 0 = Sunday
+			return day - (((new Date(day).getUTCDay() + 6) % 7) * DAY);
+		},
+		next: function(start) {
+			return start + (7 * DAY);
+		}
+	},
+	month: {
+		start: function(day) {
+			var date = new Date(day);
+			return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+		},
+		next: function(start) {
+			var date = new Date(start);
+			return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+		}
+	}
+};
+
+/**
+ * Aggregates fitness activities into the summaries of a period type, one activity at a time, so the activities don't
+ * have to be kept in memory: per activity type and period the totals, per activity type and day the training load.
+ * Periods that start before a given day are not summarized; their activities only count towards the training load
+ * of the later periods.
+ * @param period - week or month
+ * @param dataSetName - name of the data set, used as document id prefix (e.g. weekly_summary)
+ * @param [from] - first day (ms since the epoch) of the periods that are summarized; all periods are summarized if not set
+ */
+function SummaryAccumulator(period, dataSetName, from) {
+	this.period = period;
+	this.dataSetName = dataSetName;
+	this.from = from || null;
+	// {<type>: {<first day of the period>: {count, total_distance, duration, total_calories}}}
+	this.totals = {};
+	// {<type>: {<day>: minutes}}
+	this.minutes = {};
+}
+
+/**
+ * Adds an activity to the summaries of its type and to the summaries of all types. Activities without a valid start
+ * time are ignored.
+ * @param activity - fitness activity (feed item or complete activity)
+ */
+SummaryAccumulator.prototype.add = function(activity) {
+	var accumulator = this;
+	var localTime = recordNormalizer.parseLocalTime(activity.start_time);
+	if(isNaN(localTime)) {
+		return;
+	}
+	var day = localTime - (localTime % DAY);
+	var start = periods[accumulator.period].start(day);
+	_.forEach([activity.type || 'Other', ALL_TYPES], function(type) {
+		_.update(accumulator.minutes, [type, day], function(minutes) {
+			return (minutes || 0) + ((Number(activity.duration) || 0) / 60);
+		});
+		if(accumulator.from && (start < accumulator.from)) {
+			return;
+		}
+		var totals = _.get(accumulator.totals, [type, start]);
+		if(! totals) {
+			totals = {count: 0, total_distance: 0, duration: 0, total_calories: 0};
+			_.set(accumulator.totals, [type, start], totals);
+		}
+		totals.count++;
+		_.forEach(['total_distance', 'duration', 'total_calories'], function(field) {
+			totals[field] += Number(activity[field]) || 0;
+		});
+	});
+};
+
+/**
+ * Returns the sum of the activity durations (minutes) of a type in the days [from, to].
+ * @param type - activity type or ALL_TYPES
+ */
+SummaryAccumulator.prototype.getLoad = function(type, from, to) {
+	var minutes = this.minutes[type] || {};
+	var load = 0;
+	for(var day = from; day <= to; day += DAY) {
+		load += minutes[day] || 0;
+	}
+	return load;
+};
+
+/**
+ * Creates the summary record of a period.
+ * @param type - activity type or ALL_TYPES
+ * @param start - first day of the period
+ */
+SummaryAccumulator.prototype.createSummary = function(type, start) {
+	var period = this.period;
+	var end = periods[period].next(start) - DAY;
+	var totals = this.totals[type][start];
+	var load7 = this.getLoad(type, end - (6 * DAY), end);
+	var load28 = this.getLoad(type, end - (27 * DAY), end);
+	var totalDistance = round(totals.total_distance);
+	return {
+		_id: getSummaryId(this.dataSetName, start, type),
+		period: period,
+		period_start: formatDay(start),
+		period_end: formatDay(end),
+		type: type,
+		activity_count: totals.count,
+		total_distance: totalDistance,
+		total_distance_km: round(totalDistance / 1000),
+		total_duration: round(totals.duration),
+		total_calories: round(totals.total_calories),
+		training_load_7d: round(load7),
+		training_load_28d: round(load28),
+		// acute:chronic workload ratio, the 7-day load compared to the average weekly load of the last 28 days
+		acute_chronic_ratio: (load28 > 0) ? round(load7 / (load28 / 4)) : null
+	};
+};
+
+/**
+ * Returns the summary records: one per period and activity type that has activities, plus one per period for all
+ * types.
+ */
+SummaryAccumulator.prototype.getSummaries = function() {
+	var accumulator = this;
+	return _.flatMap(_.keys(accumulator.totals), function(type) {
+		return _.map(_.sortBy(_.map(_.keys(accumulator.totals[type]), Number)), function(start) {
+			return accumulator.createSummary(type, start);
+		});
+	});
+};
+
+/**
+ * Returns the first day of the period that contains a local time.
+ * @param period - week or month
+ * @param localTime - local time in ms, see recordNormalizer.parseLocalTime
+ */
+var getPeriodStart = function(period, localTime) {
+	return periods[period].start(localTime - (localTime % DAY));
+};
+
+/**
+ * Returns the first day of the period of a summary or NaN if the document id is not a summary id (see getSummaryId).
+ * @param dataSetName - name of the data set
+ * @param id - document id (without account prefix)
+ */
+var parsePeriodStart = function(dataSetName, id) {
+	var match = /^(\d{4}-\d{2}-\d{2})-/.exec(id.substring(dataSetName.length + 1));
+	return (_.startsWith(id, dataSetName + '-') && match) ? Date.parse(match[1]) : NaN;
+};
+
+/**
+ * Returns the first day whose activities count towards the training load of the periods that start on or after a day.
+ * @param from - first day of a period
+ */
+var getLoadStart = function(from) {
+	return from - (27 * DAY);
+};
+
+module.exports = {
+	SummaryAccumulator: SummaryAccumulator,
+	formatDay: formatDay,
+	getLoadStart: getLoadStart,
+	getPeriodStart: getPeriodStart,
+	parsePeriodStart: parsePeriodStart
+};
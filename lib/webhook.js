@@ -0,0 +1,147 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var crypto = require('crypto');
+var _ = require('lodash');
+
+/**
+ * Notifications that the data of a Runkeeper user changed, see createWebhookHandler in index.js. A notification is
+ * a JSON document that is posted to the webhook endpoint:
+ *  {"userID": <Runkeeper user id>, "resource": <key of the resource in the user resource, e.g. fitness_activities>}
+ * The sender proves that it knows the webhook secret with one of the headers:
+ *  X-Signature: sha256=<hexadecimal HMAC-SHA256 of the body, keyed with the secret>
+ *  X-Webhook-Secret: <secret>
+ */
+
+// maximum size of a notification in bytes
+var MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Compares two strings in constant time, so the duration of a failed comparison doesn't reveal the matching prefix.
+ */
+var safeEqual = function(value1, value2) {
+	var buffer1 = Buffer.from(String(value1), 'utf8');
+	var buffer2 = Buffer.from(String(value2), 'utf8');
+	if(buffer1.length !== buffer2.length) {
+		return false;
+	}
+	return crypto.timingSafeEqual(buffer1, buffer2);
+};
+
+/**
+ * Returns true if a notification was sent by someone who knows the webhook secret.
+ * @param secret - webhook secret
+ * @param headers - HTTP request headers (lower case names)
+ * @param body - raw request body
+ */
+var verify = function(secret, headers, body) {
+	if(! secret) {
+		return false;
+	}
+	var signature = headers['x-signature'];
+	if(signature) {
+		var expected = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+		return safeEqual(signature, expected);
+	}
+	var sharedSecret = headers['x-webhook-secret'];
+	return (!! sharedSecret) && safeEqual(sharedSecret, secret);
+};
+
+/**
+ * Parses a notification.
+ * @param body - raw request body
+ * @returns {userId, resource} or {error} if the notification is invalid
+ */
+var parseNotification = function(body) {
+	var notification = null;
+	try {
+		notification = JSON.parse(body);
+	}
+	catch(err) {
+		return {error: 'The notification is not valid JSON.'};
+	}
+	if((! notification) || _.isNil(notification.userID) || (! _.isString(notification.resource))) {
+		return {error: 'The notification must contain properties userID and resource.'};
+	}
+	return {userId: String(notification.userID), resource: notification.resource};
+};
+
+/**
+ * Reads the body of an HTTP request.
+ * @param req - HTTP request
+ * @param callback(err, body) - err is set if the body is larger than MAX_BODY_SIZE or could not be read
+ */
+var readBody = function(req, callback) {
+	var chunks = [];
+	var size = 0;
+	var done = false;
+	var finish = function(err, body) {
+		if(! done) {
+			done = true;
+			callback(err, body);
+		}
+	};
+	req.on('data', function(chunk) {
+		size += chunk.length;
+		if(size > MAX_BODY_SIZE) {
+			return finish('The notification is larger than ' + MAX_BODY_SIZE + ' bytes.');
+		}
+		chunks.push(chunk);
+	});
+	req.on('end', function() {
+		finish(null, Buffer.concat(chunks).toString('utf8'));
+	});
+	req.on('error', function(err) {
+		finish(err);
+	});
+};
+
+/**
+ * Delays work until no further notifications arrived for some time, so a burst of notifications (e.g. a watch that
+ * uploads several activities) triggers a single fetch.
+ * @param delay - time in ms to wait for further notifications
+ * @param run(key, values) - invoked with the values that were scheduled for a key since it last ran
+ */
+function Debouncer(delay, run) {
+	this.delay = delay;
+	this.run = run;
+	this.pending = {};
+}
+
+/**
+ * Schedules a value for a key. The key runs after no value was scheduled for it for delay ms.
+ * @param key - e.g. the id of a pipe
+ * @param value - value that is passed to run
+ */
+Debouncer.prototype.schedule = function(key, value) {
+	var debouncer = this;
+	var entry = debouncer.pending[key] = debouncer.pending[key] || {values: []};
+	entry.values.push(value);
+	clearTimeout(entry.timer);
+	entry.timer = setTimeout(function() {
+		delete debouncer.pending[key];
+		debouncer.run(key, entry.values);
+	}, debouncer.delay);
+};
+
+module.exports = {
+	verify: verify,
+	parseNotification: parseNotification,
+	readBody: readBody,
+	Debouncer: Debouncer
+};
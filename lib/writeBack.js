@@ -0,0 +1,268 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var querystring = require('querystring');
+var _ = require('lodash');
+
+var recordNormalizer = require('./recordNormalizer');
+
+/**
+ * Writes activities and measurements that are stored in Cloudant databases to Runkeeper.
+ * The databases are configured in the pipe configuration document, by Runkeeper data set:
+ *  pipe.writeBack = { fitness_activities: '<database name>', weight_measurements: '<database name>', ... }
+ * Each document must contain the properties of the new item as defined by the Health Graph API (e.g. type and
+ * start_time for fitness activities, timestamp for measurements). Items that already exist in Runkeeper are skipped.
+ * See https://runkeeper.com/developer/healthgraph/overview for more information.
+ */
+
+// Health Graph feeds that accept new items, by data set.
+//  uriKey: key of the feed URI in the URIs returned by the user resource
+//  timeField: property that contains the (local) time of an item
+//  keyFields: additional properties that identify an item within the same time, used to detect duplicates
+//  fields: properties of the new item media type; other properties of the documents are not sent
+var targets = {
+	fitness_activities: {
+		uriKey: 'fitness_activities',
+		feedMediaType: 'application/vnd.com.runkeeper.FitnessActivityFeed+json',
+		newMediaType: 'application/vnd.com.runkeeper.NewFitnessActivity+json',
+		timeField: 'start_time',
+		keyFields: ['type'],
+		fields: ['type', 'secondary_type', 'equipment', 'start_time', 'total_distance', 'duration', 'average_heart_rate', 'heart_rate', 'total_calories', 'notes', 'path', 'post_to_facebook', 'post_to_twitter', 'detect_duplicates']
+	},
+	strength_training_activities: {
+		uriKey: 'strength_training_activities',
+		feedMediaType: 'application/vnd.com.runkeeper.StrengthTrainingActivityFeed+json',
+		newMediaType: 'application/vnd.com.runkeeper.NewStrengthTrainingActivity+json',
+		timeField: 'start_time',
+		keyFields: [],
+		fields: ['start_time', 'total_calories', 'notes', 'exercises', 'post_to_facebook', 'post_to_twitter']
+	},
+	background_activities: {
+		uriKey: 'background_activities',
+		feedMediaType: 'application/vnd.com.runkeeper.BackgroundActivityFeed+json',
+		newMediaType: 'application/vnd.com.runkeeper.NewBackgroundActivitySet+json',
+		timeField: 'timestamp',
+		keyFields: [],
+		fields: ['timestamp', 'calories_burned', 'steps', 'post_to_facebook', 'post_to_twitter']
+	},
+	weight_measurements: {
+		uriKey: 'weight',
+		feedMediaType: 'application/vnd.com.runkeeper.WeightSetFeed+json',
+		newMediaType: 'application/vnd.com.runkeeper.NewWeightSet+json',
+		timeField: 'timestamp',
+		keyFields: [],
+		fields: ['timestamp', 'weight', 'free_mass', 'fat_percent', 'mass_weight', 'bmi', 'post_to_facebook', 'post_to_twitter']
+	},
+	sleep_measurements: {
+		uriKey: 'sleep',
+		feedMediaType: 'application/vnd.com.runkeeper.SleepSetFeed+json',
+		newMediaType: 'application/vnd.com.runkeeper.NewSleepSet+json',
+		timeField: 'timestamp',
+		keyFields: [],
+		fields: ['timestamp', 'total_sleep', 'deep', 'rem', 'light', 'awake', 'times_woken', 'post_to_facebook', 'post_to_twitter']
+	},
+	nutritional_measurements: {
+		uriKey: 'nutrition',
+		feedMediaType: 'application/vnd.com.runkeeper.NutritionSetFeed+json',
+		newMediaType: 'application/vnd.com.runkeeper.NewNutritionSet+json',
+		timeField: 'timestamp',
+		keyFields: [],
+		fields: ['timestamp', 'calories', 'carbohydrates', 'fat', 'fiber', 'protein', 'sodium', 'water', 'meal', 'post_to_facebook', 'post_to_twitter']
+	},
+	general_measurements: {
+		uriKey: 'general_measurements',
+		feedMediaType: 'application/vnd.com.runkeeper.GeneralMeasurementSetFeed+json',
+		newMediaType: 'application/vnd.com.runkeeper.NewGeneralMeasurementSet+json',
+		timeField: 'timestamp',
+		keyFields: [],
+		fields: ['timestamp', 'systolic', 'diastolic', 'total_cholesterol', 'hdl', 'ldl', 'vitamin_d', 'hscrp', 'crp', 'tsh', 'uric_acid', 'lipoprotein_a', 'triglycerides', 'post_to_facebook', 'post_to_twitter']
+	},
+	diabetes_measurements: {
+		uriKey: 'diabetes',
+		feedMediaType: 'application/vnd.com.runkeeper.DiabetesFeed+json',
+		newMediaType: 'application/vnd.com.runkeeper.NewDiabetesMeasurementSet+json',
+		timeField: 'timestamp',
+		keyFields: [],
+		fields: ['timestamp', 'fasting_plasma_glucose_test', 'oral_glucose_tolerance_test', 'random_plasma_glucose_test', 'hemoglobin_a1c', 'insulin', 'c_peptide', 'triglyceride', 'post_to_facebook', 'post_to_twitter']
+	}
+};
+
+/**
+ * Returns the key that identifies an item for duplicate detection: its local time and key fields.
+ * @param target - entry of targets
+ * @param item - new item or feed item
+ * @returns the key or null if the item has no valid time
+ */
+var getItemKey = function(target, item) {
+	var time = recordNormalizer.parseLocalTime(item[target.timeField]);
+	if(isNaN(time)) {
+		return null;
+	}
+	return _.map(target.keyFields, function(field) {
+		return String(item[field]);
+	}).concat(time).join('|');
+};
+
+/**
+ * Converts a Cloudant document to a new Health Graph item: only the properties of the new item media type are kept.
+ * Cloudant properties (_id, _rev, ...), the pipe type (pt_type) and fields added by the connector (e.g. normalized
+ * values) are removed.
+ * @param target - entry of targets
+ * @param document - Cloudant document
+ */
+var toNewItem = function(target, document) {
+	return _.pick(document, target.fields);
+};
+
+/**
+ * Returns the date range (YYYY-MM-DD) that contains all items, extended by one day on either side to cover all
+ * time zones.
+ * @param target - entry of targets
+ * @param items - new items with a valid time
+ */
+var getDateRange = function(target, items) {
+	var times = _.map(items, function(item) {
+		return recordNormalizer.parseLocalTime(item[target.timeField]);
+	});
+	var toDate = function(time, days) {
+		return new Date(time + (days * 86400000)).toISOString().substring(0, 10);
+	};
+	return {
+		noEarlierThan: toDate(_.min(times), -1),
+		noLaterThan: toDate(_.max(times), 1)
+	};
+};
+
+/**
+ * Fetches the keys of the items that exist in a Health Graph feed within a date range.
+ * @param client - Runkeeper client
+ * @param target - entry of targets
+ * @param uri - URI of the first feed page
+ * @param callback(err, keys) - keys: {<item key>: <item uri>}
+ */
+var getExistingItems = function(client, target, uri, callback) {
+	var keys = {};
+	var fetchPage = function(pageUri) {
+		client.apiCall('GET', target.feedMediaType, pageUri, function(err, reply) {
+			if(err) {
+				return callback(err);
+			}
+			_.forEach(reply && reply.items, function(item) {
+				var key = getItemKey(target, item);
+				if(key) {
+					keys[key] = item.uri;
+				}
+			});
+			if(reply && reply.next) {
+				return fetchPage(reply.next);
+			}
+			return callback(null, keys);
+		});
+	};
+	fetchPage(uri);
+};
+
+/**
+ * Creates the report record for a document.
+ * @param dataSetName - Runkeeper data set the document was written to
+ * @param dbName - name of the database that contains the document
+ * @param document - Cloudant document
+ * @param status - created, duplicate, invalid or failed
+ * @param details - {runkeeper_uri, error, status_code}
+ */
+var createReport = function(dataSetName, dbName, document, status, details) {
+	return _.assign({
+		_id: dataSetName + '-' + dbName + '-' + document._id,
+		data_set: dataSetName,
+		source_db: dbName,
+		source_id: document._id,
+		status: status,
+		written_at: new Date().toISOString()
+	}, _.omitBy(details, _.isNil));
+};
+
+/**
+ * Writes documents to a Health Graph feed. Documents without a valid time are reported as invalid; documents that
+ * match an existing item (same time and key fields) are reported as duplicates and not written. Documents that
+ * Runkeeper rejects are reported as failed; the remaining documents are still written.
+ * @param client - Runkeeper client
+ * @param uris - Runkeeper URIs of the user
+ * @param dataSetName - name of the data set the documents are written to, e.g. weight_measurements
+ * @param dbName - name of the database that contains the documents
+ * @param documents - Cloudant documents
+ * @param pipeRunLog - a dedicated logger instance that is only available during data pipe runs
+ * @param callback(err, reports) - err is only set if Runkeeper denied access or duplicates could not be detected;
+ *  reports: one report record per document, see createReport
+ */
+var writeDocuments = function(client, uris, dataSetName, dbName, documents, pipeRunLog, callback) {
+	var target = targets[dataSetName];
+	var reports = [];
+	var valid = [];
+	_.forEach(documents, function(document) {
+		if(getItemKey(target, document)) {
+			valid.push(document);
+		}
+		else {
+			reports.push(createReport(dataSetName, dbName, document, 'invalid', {error: 'Property ' + target.timeField + ' is missing or not a valid time.'}));
+		}
+	});
+	if(valid.length === 0) {
+		return callback(null, reports);
+	}
+
+	var feedUri = uris[target.uriKey];
+	var query = querystring.stringify(getDateRange(target, valid));
+	getExistingItems(client, target, feedUri + (feedUri.indexOf('?') === -1 ? '?' : '&') + query, function(err, existing) {
+		if(err) {
+			pipeRunLog.error('Error fetching existing ' + dataSetName + ' from Runkeeper: ' + err);
+			return callback(err);
+		}
+		var writeNext = function(index) {
+			if(index >= valid.length) {
+				return callback(null, reports);
+			}
+			var document = valid[index];
+			var key = getItemKey(target, document);
+			if(_.has(existing, key)) {
+				reports.push(createReport(dataSetName, dbName, document, 'duplicate', {runkeeper_uri: existing[key]}));
+				return writeNext(index + 1);
+			}
+			client.createItem(target.newMediaType, feedUri, toNewItem(target, document), function(err, location) {
+				if(err && ((err.statusCode === 401) || (err.statusCode === 403))) {
+					return callback(err);
+				}
+				if(err) {
+					pipeRunLog.warn('Document ' + document._id + ' of database ' + dbName + ' could not be written to Runkeeper: ' + err);
+					reports.push(createReport(dataSetName, dbName, document, 'failed', {error: String(err), status_code: err.statusCode}));
+				}
+				else {
+					// documents with the same key that follow are duplicates of the new item
+					existing[key] = location;
+					reports.push(createReport(dataSetName, dbName, document, 'created', {runkeeper_uri: location}));
+				}
+				writeNext(index + 1);
+			});
+		};
+		writeNext(0);
+	});
+};
+
+module.exports = {
+	targets: targets,
+	writeDocuments: writeDocuments
+};
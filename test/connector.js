@@ -0,0 +1,2621 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+/* jshint mocha: true */
+
+'use strict';
+
+var assert = require('assert');
+var crypto = require('crypto');
+var http = require('http');
+var _ = require('lodash');
+
+var pipesDb = require('simple-data-pipe-sdk').pipesDb;
+var stagingDb = require('../lib/stagingDb');
+var activityAnalysis = require('../lib/activityAnalysis');
+var activityDeduplication = require('../lib/activityDeduplication');
+var dataSetCatalog = require('../lib/dataSetCatalog');
+var privacy = require('../lib/privacy');
+var recordNormalizer = require('../lib/recordNormalizer');
+var recordValidator = require('../lib/recordValidator');
+
+var MockHealthGraph = require('./mockHealthGraph');
+
+var ACCESS_TOKEN = 'test-access-token';
+
+// URIs returned by the mock user resource; they differ from the connector defaults to verify that they are used
+var userUris = {
+	settings: '/user/1/settings',
+	records: '/user/1/records',
+	profile: '/user/1/profile',
+	change_log: '/user/1/changeLog',
+	strength_training_activities: '/user/1/strengthTrainingActivities',
+	weight: '/user/1/weight',
+	fitness_activities: '/user/1/fitnessActivities',
+	background_activities: '/user/1/backgroundActivities',
+	team: '/user/1/team',
+	sleep: '/user/1/sleep',
+	nutrition: '/user/1/nutrition',
+	general_measurements: '/user/1/generalMeasurements',
+	diabetes: '/user/1/diabetes'
+};
+
+// data sets that are fetched from a single resource
+var resourceDataSets = [
+	{name: 'settings', uri: userUris.settings, mediaType: 'application/vnd.com.runkeeper.Settings+json', body: {distance_units: 'km'}},
+	{name: 'profile', uri: userUris.profile, mediaType: 'application/vnd.com.runkeeper.Profile+json', body: {name: 'Test User', elite: 'false'}},
+	{name: 'change_log', uri: userUris.change_log, mediaType: 'application/vnd.com.runkeeper.ChangeLog+json', body: {fitness_activities: {added: [], deleted: []}}}
+];
+
+// data sets that are fetched from a paged feed
+var feedDataSets = [
+	{name: 'strength_training_activities', uri: userUris.strength_training_activities, mediaType: 'application/vnd.com.runkeeper.StrengthTrainingActivityFeed+json'},
+	{name: 'weight_measurements', uri: userUris.weight, mediaType: 'application/vnd.com.runkeeper.WeightSetFeed+json'},
+	{name: 'fitness_activities', uri: userUris.fitness_activities, mediaType: 'application/vnd.com.runkeeper.FitnessActivityFeed+json'},
+	{name: 'background_activities', uri: userUris.background_activities, mediaType: 'application/vnd.com.runkeeper.BackgroundActivityFeed+json'},
+	{name: 'friends', uri: userUris.team, mediaType: 'application/vnd.com.runkeeper.TeamFeed+json'},
+	{name: 'sleep_measurements', uri: userUris.sleep, mediaType: 'application/vnd.com.runkeeper.SleepSetFeed+json'},
+	{name: 'nutritional_measurements', uri: userUris.nutrition, mediaType: 'application/vnd.com.runkeeper.NutritionSetFeed+json'},
+	{name: 'general_measurements', uri: userUris.general_measurements, mediaType: 'application/vnd.com.runkeeper.GeneralMeasurementSetFeed+json'},
+	{name: 'diabetes_measurements', uri: userUris.diabetes, mediaType: 'application/vnd.com.runkeeper.DiabetesFeed+json'}
+];
+
+/**
+ * Creates valid feed items with a Runkeeper uri; activities have a start time, measurements a timestamp.
+ */
+var createItems = function(uri, count) {
+	return _.times(count, function(i) {
+		return {uri: uri + '/' + (i + 1), start_time: 'Tue, 22 Mar 2016 06:34:36', timestamp: 'Tue, 22 Mar 2016 06:34:36'};
+	});
+};
+
+/**
+ * Logger that records the messages of a pipe run.
+ */
+var createPipeRunLog = function() {
+	var messages = [];
+	var log = function(level) {
+		return function(message) {
+			messages.push({level: level, message: message});
+		};
+	};
+	return {messages: messages, debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error')};
+};
+
+describe('Runkeeper connector', function() {
+
+	var mock = new MockHealthGraph(ACCESS_TOKEN);
+	var connector = null;
+	var storedPipes = {};
+	var pipe = null;
+	var pipeRunStats = null;
+	var pipeRunLog = null;
+	// staging databases are kept in memory: {<database name>: {<document id>: document}}
+	var stagedDocuments = {};
+	// update sequence of each document: {<database name>: {<document id>: sequence}}
+	var updateSequences = {};
+	// new records that were saved, in the order they were saved: {<database name>: [record, ...]}; documents that were
+	// read and saved again have a revision and are not included
+	var savedRecords = {};
+	var stagingDbFunctions = _.pick(stagingDb, ['assignRevisions', 'clearDocuments', 'deleteDocuments', 'getDocuments', 'listChanges', 'listDocumentIds', 'listDocuments', 'queryView', 'saveDocuments']);
+
+	before(function(done) {
+		mock.start(function() {
+			// the Runkeeper client options are read when the connector is loaded
+			process.env.RUNKEEPER_API_URL = mock.url;
+			process.env.RUNKEEPER_REQUESTS_PER_MINUTE = '60000';
+			process.env.RUNKEEPER_RUN_IDLE_TIMEOUT = '200';
+			process.env.RUNKEEPER_TOKEN_URL = mock.url + MockHealthGraph.TOKEN_PATH;
+			connector = require('../lib');
+			done();
+		});
+	});
+
+	after(function(done) {
+		mock.stop(done);
+	});
+
+	beforeEach(function() {
+		mock.reset();
+		mock.addResource('/user', 'application/vnd.com.runkeeper.User+json', _.assign({userID: 1}, userUris));
+
+		// pipe configuration documents are kept in memory
+		pipe = {
+			_id: 'test-pipe',
+			name: 'test',
+			clientId: 'test-client-id',
+			clientSecret: 'test-client-secret',
+			oAuth: {accessToken: ACCESS_TOKEN},
+			fullReload: true
+		};
+		storedPipes = {};
+		storedPipes[pipe._id] = _.cloneDeep(pipe);
+		pipesDb.getPipe = function(pipeId, callback) {
+			callback(null, _.cloneDeep(storedPipes[pipeId]));
+		};
+		pipesDb.savePipe = function(savedPipe, callback) {
+			storedPipes[savedPipe._id] = _.cloneDeep(savedPipe);
+			callback(null, savedPipe);
+		};
+
+		pipeRunStats = {};
+		pipeRunLog = createPipeRunLog();
+
+		stagedDocuments = {};
+		updateSequences = {};
+		savedRecords = {};
+		var lastSequence = 0;
+		var getDatabase = function(dbName) {
+			stagedDocuments[dbName] = stagedDocuments[dbName] || {};
+			return stagedDocuments[dbName];
+		};
+		stagingDb.assignRevisions = function(dbName, records, callback) {
+			_.forEach(records, function(record) {
+				var document = record._id && getDatabase(dbName)[record._id];
+				if(document) {
+					record._rev = document._rev;
+				}
+			});
+			callback();
+		};
+		stagingDb.clearDocuments = function(dbName, callback) {
+			var deletedCount = _.size(stagedDocuments[dbName]);
+			delete stagedDocuments[dbName];
+			callback(null, deletedCount);
+		};
+		stagingDb.deleteDocuments = function(dbName, ids, callback) {
+			var database = getDatabase(dbName);
+			var deletedIds = _.filter(ids, function(id) {
+				return _.has(database, id);
+			});
+			_.forEach(deletedIds, function(id) {
+				delete database[id];
+			});
+			callback(null, deletedIds.length);
+		};
+		stagingDb.getDocuments = function(dbName, ids, callback) {
+			callback(null, _.map(_.compact(_.at(getDatabase(dbName), ids)), _.cloneDeep));
+		};
+		stagingDb.listChanges = function(dbName, since, callback) {
+			var changedIds = _.keys(_.pickBy(updateSequences[dbName], function(sequence) {
+				return sequence > (since || 0);
+			}));
+			callback(null, _.map(_.compact(_.at(getDatabase(dbName), changedIds)), _.cloneDeep), lastSequence);
+		};
+		stagingDb.listDocumentIds = function(dbName, prefix, callback) {
+			callback(null, _.filter(_.keys(getDatabase(dbName)).sort(), function(id) {
+				return _.startsWith(id, prefix);
+			}));
+		};
+		stagingDb.listDocuments = function(dbName, callback) {
+			callback(null, _.map(_.values(getDatabase(dbName)), _.cloneDeep));
+		};
+		// view keys are compared element by element; null sorts before all other values
+		var compareKeys = function(key1, key2) {
+			var index = _.findIndex(key1, function(value, i) {
+				return value !== key2[i];
+			});
+			if(index === -1) {
+				return 0;
+			}
+			if((key1[index] === null) || (key2[index] === null)) {
+				return (key1[index] === null) ? -1 : 1;
+			}
+			return (key1[index] < key2[index]) ? -1 : 1;
+		};
+		stagingDb.queryView = function(dbName, view, startKey, endKey, callback) {
+			// the map function of the view is evaluated for each document
+			var rows = [];
+			var current = null;
+			var map = new Function('emit', 'return ' + view.map + ';')(function(key) { // jshint ignore:line
+				rows.push({key: key, doc: current});
+			});
+			_.forEach(getDatabase(dbName), function(document) {
+				current = document;
+				map(document);
+			});
+			callback(null, _.map(_.filter(_.sortBy(rows, 'key.1'), function(row) {
+				return (compareKeys(row.key, startKey) >= 0) && (compareKeys(row.key, endKey) <= 0);
+			}), function(row) {
+				return _.cloneDeep(row.doc);
+			}));
+		};
+		stagingDb.saveDocuments = function(dbName, documents, callback) {
+			_.forEach(documents, function(document) {
+				if(! document._rev) {
+					savedRecords[dbName] = (savedRecords[dbName] || []).concat(_.cloneDeep(document));
+				}
+				var database = getDatabase(dbName);
+				var revision = document._id && database[document._id] ? parseInt(database[document._id]._rev, 10) + 1 : 1;
+				database[document._id] = _.assign(_.cloneDeep(document), {_rev: revision + '-test'});
+				lastSequence++;
+				_.set(updateSequences, [dbName, document._id], lastSequence);
+			});
+			callback();
+		};
+	});
+
+	afterEach(function() {
+		connector.runFinished(pipe);
+		_.assign(stagingDb, stagingDbFunctions);
+	});
+
+	/**
+	 * Returns a function that returns the records that were saved in the staging database of a data set since the
+	 * function was created. The records are saved with the data set name in property pt_type, as the pipeline does;
+	 * the property is removed from the returned records.
+	 * @param dataSetName - name of the data set
+	 */
+	var watchSavedRecords = function(dataSetName) {
+		var dbName = 'test_' + dataSetName;
+		var savedBefore = _.size(savedRecords[dbName]);
+		return function() {
+			return _.map(_.slice(savedRecords[dbName], savedBefore), function(record) {
+				assert.equal(record.pt_type, dataSetName);
+				return _.omit(record, 'pt_type');
+			});
+		};
+	};
+
+	/**
+	 * Runs doConnectStep and fetchRecords for a data set.
+	 * @param dataSetName - name of the data set
+	 * @param callback(err, records) - records: all records that the run saved in the staging database of the data set
+	 */
+	var fetchDataSet = function(dataSetName, callback) {
+		var getSavedRecords = watchSavedRecords(dataSetName);
+		connector.doConnectStep(function(err) {
+			if(err) {
+				return callback(err, getSavedRecords());
+			}
+			connector.fetchRecords({name: dataSetName}, _.noop, function(err) {
+				callback(err, getSavedRecords());
+			}, null, pipeRunStats, pipeRunLog, pipe, null);
+		}, null, pipeRunStats, pipeRunLog, pipe, null);
+	};
+
+	describe('doConnectStep', function() {
+
+		it('fetches the resource URIs of the user', function(done) {
+			mock.addResource(userUris.settings, resourceDataSets[0].mediaType, resourceDataSets[0].body);
+			fetchDataSet('settings', function(err) {
+				assert.ifError(err);
+				assert.equal(mock.requestsFor('/user').length, 1);
+				assert.equal(mock.requestsFor(userUris.settings).length, 1);
+				assert.equal(mock.requestsFor('/settings').length, 0);
+				done();
+			});
+		});
+
+		it('fails if the user cannot be fetched', function(done) {
+			mock.failNext('/user', 404);
+			fetchDataSet('settings', function(err, records) {
+				assert.equal(err.statusCode, 404);
+				assert.equal(records.length, 0);
+				done();
+			});
+		});
+
+		it('uses the connection for all data sets that are fetched during the run', function(done) {
+			mock.addResource(userUris.settings, resourceDataSets[0].mediaType, resourceDataSets[0].body);
+			mock.addResource(userUris.profile, resourceDataSets[1].mediaType, resourceDataSets[1].body);
+			connector.doConnectStep(function(err) {
+				assert.ifError(err);
+				var pending = 2;
+				var fetched = function(err) {
+					assert.ifError(err);
+					pending--;
+					if(pending === 0) {
+						// the next data set is fetched when the previous ones completed
+						return connector.fetchRecords({name: 'settings'}, _.noop, function(err) {
+							assert.ifError(err);
+							assert.equal(mock.requestsFor('/user').length, 1);
+							done();
+						}, null, pipeRunStats, pipeRunLog, pipe, null);
+					}
+				};
+				connector.fetchRecords({name: 'settings'}, _.noop, fetched, null, pipeRunStats, pipeRunLog, pipe, null);
+				connector.fetchRecords({name: 'profile'}, _.noop, fetched, null, pipeRunStats, pipeRunLog, pipe, null);
+			}, null, pipeRunStats, pipeRunLog, pipe, null);
+		});
+
+		it('keeps the connection until the run finishes', function(done) {
+			mock.addResource(userUris.settings, resourceDataSets[0].mediaType, resourceDataSets[0].body);
+			fetchDataSet('settings', function(err) {
+				assert.ifError(err);
+				// the data pipe fetches the next data set after a while
+				setTimeout(function() {
+					connector.fetchRecords({name: 'settings'}, _.noop, function(err) {
+						assert.ifError(err);
+						assert.equal(mock.requestsFor('/user').length, 1);
+						// a data set that is fetched after the run finished connects again
+						connector.runFinished(pipe);
+						var getSavedRecords = watchSavedRecords('settings');
+						connector.fetchRecords({name: 'settings'}, _.noop, function(err) {
+							assert.ifError(err);
+							assert.equal(getSavedRecords().length, 1);
+							assert.equal(mock.requestsFor('/user').length, 2);
+							done();
+						}, null, pipeRunStats, pipeRunLog, pipe, null);
+					}, null, pipeRunStats, pipeRunLog, pipe, null);
+				}, 50);
+			});
+		});
+
+		it('releases the connection of an idle run that is not finished', function(done) {
+			mock.addResource(userUris.settings, resourceDataSets[0].mediaType, resourceDataSets[0].body);
+			fetchDataSet('settings', function(err) {
+				assert.ifError(err);
+				// runFinished is not called; the run is idle for longer than RUNKEEPER_RUN_IDLE_TIMEOUT
+				setTimeout(function() {
+					connector.fetchRecords({name: 'settings'}, _.noop, function(err) {
+						assert.ifError(err);
+						assert.equal(mock.requestsFor('/user').length, 2);
+						done();
+					}, null, pipeRunStats, pipeRunLog, pipe, null);
+				}, 300);
+			});
+		});
+
+		it('does not share the connection between runs of different pipes', function(done) {
+			var otherPipe = _.assign(_.cloneDeep(pipe), {_id: 'other-pipe', name: 'other', oAuth: {accessToken: 'other-access-token'}, requestsPerMinute: 60});
+			storedPipes[otherPipe._id] = _.cloneDeep(otherPipe);
+			mock.addAccessToken('other-access-token');
+			mock.addResource(userUris.settings, resourceDataSets[0].mediaType, resourceDataSets[0].body);
+			var fetchSettings = function(runPipe, callback) {
+				connector.doConnectStep(function(err) {
+					assert.ifError(err);
+					connector.fetchRecords({name: 'settings'}, _.noop, callback, null, {}, createPipeRunLog(), runPipe, null);
+				}, null, {}, createPipeRunLog(), runPipe, null);
+			};
+			// the other pipe spends its budget of one request per second, which doesn't delay this pipe
+			fetchSettings(otherPipe, function(err) {
+				assert.ifError(err);
+				var startTime = Date.now();
+				fetchSettings(pipe, function(err) {
+					assert.ifError(err);
+					assert.ok(Date.now() - startTime < 500);
+					assert.deepEqual(_.map(mock.requestsFor(userUris.settings), 'accessToken'), ['other-access-token', ACCESS_TOKEN]);
+					// finishing the run of one pipe doesn't release the run of the other
+					connector.runFinished(otherPipe);
+					connector.fetchRecords({name: 'settings'}, _.noop, function(err) {
+						assert.ifError(err);
+						assert.deepEqual(_.map(mock.requestsFor('/user'), 'accessToken'), ['other-access-token', ACCESS_TOKEN]);
+						assert.equal(mock.requestsFor(userUris.settings)[2].accessToken, ACCESS_TOKEN);
+						done();
+					}, null, pipeRunStats, pipeRunLog, pipe, null);
+				});
+			});
+		});
+
+		it('marks the pipe for re-authorization if access is denied and no refresh token is available', function(done) {
+			pipe.oAuth.accessToken = 'revoked-access-token';
+			fetchDataSet('settings', function(err) {
+				assert.ok(/Re-authorize/.test(err));
+				assert.equal(storedPipes[pipe._id].oAuth.reauthorizationRequired, true);
+				assert.equal(pipe.oAuth.reauthorizationRequired, true);
+				// subsequent runs fail without calling Runkeeper
+				mock.reset();
+				fetchDataSet('settings', function(err) {
+					assert.ok(/Re-authorize/.test(err));
+					assert.equal(mock.requests.length, 0);
+					done();
+				});
+			});
+		});
+
+		it('renews the access token, saves it and retries the request', function(done) {
+			pipe.oAuth = {accessToken: 'expired-access-token', refreshToken: 'test-refresh-token'};
+			storedPipes[pipe._id] = _.cloneDeep(pipe);
+			mock.addRefreshToken('test-refresh-token', {access_token: 'renewed-access-token', refresh_token: 'renewed-refresh-token'});
+			mock.addResource(userUris.settings, resourceDataSets[0].mediaType, resourceDataSets[0].body);
+			fetchDataSet('settings', function(err, records) {
+				assert.ifError(err);
+				assert.equal(records.length, 1);
+				assert.deepEqual(_.map(mock.requestsFor('/user'), 'accessToken'), ['expired-access-token', 'renewed-access-token']);
+				assert.equal(mock.requestsFor(userUris.settings)[0].accessToken, 'renewed-access-token');
+				assert.deepEqual(mock.requestsFor(MockHealthGraph.TOKEN_PATH)[0].body, {
+					grant_type: 'refresh_token',
+					refresh_token: 'test-refresh-token',
+					client_id: 'test-client-id',
+					client_secret: 'test-client-secret'
+				});
+				// the renewed tokens are used by the next runs
+				assert.equal(storedPipes[pipe._id].oAuth.accessToken, 'renewed-access-token');
+				assert.equal(storedPipes[pipe._id].oAuth.refreshToken, 'renewed-refresh-token');
+				assert.equal(storedPipes[pipe._id].oAuth.reauthorizationRequired, undefined);
+				done();
+			});
+		});
+
+		it('marks the pipe for re-authorization if the access token cannot be renewed', function(done) {
+			pipe.oAuth = {accessToken: 'expired-access-token', refreshToken: 'revoked-refresh-token'};
+			storedPipes[pipe._id] = _.cloneDeep(pipe);
+			mock.addResource(userUris.settings, resourceDataSets[0].mediaType, resourceDataSets[0].body);
+			fetchDataSet('settings', function(err, records) {
+				assert.ok(/Re-authorize/.test(err));
+				assert.equal(records.length, 0);
+				assert.equal(mock.requestsFor(MockHealthGraph.TOKEN_PATH).length, 1);
+				assert.equal(storedPipes[pipe._id].oAuth.reauthorizationRequired, true);
+				assert.ok(/could not be renewed/.test(storedPipes[pipe._id].oAuth.authorizationError));
+				assert.equal(mock.requestsFor(userUris.settings).length, 0);
+				done();
+			});
+		});
+	});
+
+	describe('fetchRecords', function() {
+
+		resourceDataSets.forEach(function(dataSet) {
+			it('pushes the ' + dataSet.name + ' resource', function(done) {
+				mock.addResource(dataSet.uri, dataSet.mediaType, dataSet.body);
+				fetchDataSet(dataSet.name, function(err, records) {
+					assert.ifError(err);
+					assert.deepEqual(_.map(records, function(record) {
+						return _.omit(record, '_id');
+					}), [].concat(dataSet.body));
+					assert.equal(mock.requestsFor(dataSet.uri).length, 1);
+					done();
+				});
+			});
+		});
+
+		feedDataSets.forEach(function(dataSet) {
+			it('pushes all pages of the ' + dataSet.name + ' feed', function(done) {
+				var items = createItems(dataSet.uri, 60);
+				mock.addFeed(dataSet.uri, dataSet.mediaType, items, 25);
+				fetchDataSet(dataSet.name, function(err, records) {
+					assert.ifError(err);
+					assert.deepEqual(_.map(records, 'uri'), _.map(items, 'uri'));
+					assert.equal(mock.requestsFor(dataSet.uri).length, 3);
+					done();
+				});
+			});
+		});
+
+		describe('resource registry', function() {
+
+			var resource = {
+				name: 'test_measurements', label: 'Test Measurements', uriKey: 'test',
+				defaultUri: '/test', mediaType: 'application/vnd.com.runkeeper.TestSetFeed+json', paged: true,
+				description: 'Measurements of a resource that is added by the test',
+				fields: {}
+			};
+
+			beforeEach(function() {
+				dataSetCatalog.dataSets.push(resource);
+				dataSetCatalog.resources.push(resource);
+				mock.addResource('/user', 'application/vnd.com.runkeeper.User+json', _.assign({userID: 1, test: '/user/1/test'}, userUris));
+			});
+
+			afterEach(function() {
+				_.pull(dataSetCatalog.dataSets, resource);
+				_.pull(dataSetCatalog.resources, resource);
+				delete resource.changeLogKey;
+				delete resource.dateRange;
+			});
+
+			it('fetches and lists resources that are only described in the registry', function(done) {
+				mock.addFeed('/user/1/test', resource.mediaType, createItems('/test', 30), 25);
+				fetchDataSet('test_measurements', function(err, records) {
+					assert.ifError(err);
+					assert.deepEqual(_.map(records, '_id'), _.times(30, function(i) {
+						return 'test-' + (i + 1);
+					}));
+					assert.equal(mock.requestsFor('/user/1/test').length, 2);
+					// the other feeds would be counted as well
+					mock.addResource('/user', 'application/vnd.com.runkeeper.User+json', {userID: 1, test: '/user/1/test'});
+					connector.getRunkeeperDataSetList(pipe, function(err, pipe) {
+						assert.ifError(err);
+						assert.equal(_.find(pipe.tables, {name: 'test_measurements'}).approximateRecordCount, 30);
+						done();
+					});
+				});
+			});
+
+			it('loads resources with a change log key incrementally and within the date range', function(done) {
+				_.assign(resource, {changeLogKey: 'test', dateRange: true});
+				pipe.fullReload = false;
+				pipe.highWaterMarks = {test_measurements: '2016-03-22T10:00:00.000Z'};
+				pipe.dateRange = {noEarlierThan: '2016-01-01'};
+				storedPipes[pipe._id] = _.cloneDeep(pipe);
+				stagedDocuments.test_test_measurements = {'test-2': {_id: 'test-2', _rev: '1-test', uri: '/test/2'}};
+				mock.addResource(userUris.change_log, resourceDataSets[2].mediaType, {test: {added: ['/test/1'], deleted: ['/test/2']}});
+				mock.addFeed('/user/1/test', resource.mediaType, createItems('/test', 1));
+				fetchDataSet('test_measurements', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 1);
+					var query = mock.requestsFor('/user/1/test')[0].query;
+					assert.equal(query.modifiedNoEarlierThan, '2016-03-21');
+					assert.equal(query.noEarlierThan, '2016-01-01');
+					assert.deepEqual(_.keys(stagedDocuments.test_test_measurements), ['test-1']);
+					connector.getRunkeeperDataSetList(pipe, function(err, pipe) {
+						assert.ifError(err);
+						assert.equal(_.find(pipe.tables, {name: 'test_measurements'}).dateRange, true);
+						done();
+					});
+				});
+			});
+
+			it('uses the default URI if the user resource does not list the resource', function(done) {
+				mock.addResource('/user', 'application/vnd.com.runkeeper.User+json', _.assign({userID: 1}, userUris));
+				mock.addFeed('/test', resource.mediaType, createItems('/test', 1));
+				fetchDataSet('test_measurements', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 1);
+					assert.equal(mock.requestsFor('/test').length, 1);
+					done();
+				});
+			});
+		});
+
+		it('assigns document ids derived from the Runkeeper uri', function(done) {
+			mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, [{uri: '/fitnessActivities/123', start_time: 'Tue, 22 Mar 2016 06:34:36'}]);
+			fetchDataSet('fitness_activities', function(err, records) {
+				assert.ifError(err);
+				assert.equal(records[0]._id, 'fitnessActivities-123');
+				done();
+			});
+		});
+
+		it('pushes no records for an empty feed', function(done) {
+			mock.addFeed(userUris.weight, feedDataSets[1].mediaType, []);
+			fetchDataSet('weight_measurements', function(err, records) {
+				assert.ifError(err);
+				assert.equal(records.length, 0);
+				assert.equal(mock.requestsFor(userUris.weight).length, 1);
+				done();
+			});
+		});
+
+		it('fails if a page cannot be fetched', function(done) {
+			mock.addFeed(userUris.sleep, feedDataSets[5].mediaType, createItems(userUris.sleep, 30), 25);
+			mock.failNext(userUris.sleep, 404);
+			fetchDataSet('sleep_measurements', function(err, records) {
+				assert.equal(err.statusCode, 404);
+				assert.equal(records.length, 0);
+				done();
+			});
+		});
+
+		it('retries rate-limited requests', function(done) {
+			var items = createItems(userUris.nutrition, 10);
+			mock.addFeed(userUris.nutrition, feedDataSets[6].mediaType, items);
+			mock.failNext(userUris.nutrition, 429, {'Retry-After': '0'});
+			fetchDataSet('nutritional_measurements', function(err, records) {
+				assert.ifError(err);
+				assert.equal(records.length, items.length);
+				assert.equal(mock.requestsFor(userUris.nutrition).length, 2);
+				assert.equal(pipeRunStats.runkeeper.retries, 1);
+				done();
+			});
+		});
+
+		it('records the high-water mark of the data set', function(done) {
+			mock.addFeed(userUris.diabetes, feedDataSets[8].mediaType, createItems(userUris.diabetes, 3));
+			fetchDataSet('diabetes_measurements', function(err) {
+				assert.ifError(err);
+				assert.ok(storedPipes[pipe._id].highWaterMarks.diabetes_measurements);
+				done();
+			});
+		});
+
+		describe('incremental loading', function() {
+
+			var changeLogMediaType = resourceDataSets[2].mediaType;
+			var activityMediaType = feedDataSets[2].mediaType;
+
+			beforeEach(function() {
+				pipe.fullReload = false;
+				pipe.highWaterMarks = {fitness_activities: '2016-03-22T10:00:00.000Z'};
+				storedPipes[pipe._id] = _.cloneDeep(pipe);
+				stagedDocuments.test_fitness_activities = {
+					'fitnessActivities-1': {_id: 'fitnessActivities-1', _rev: '1-test', uri: '/fitnessActivities/1'}
+				};
+			});
+
+			it('fetches the items that the change log lists as added or modified since the high-water mark', function(done) {
+				mock.addResource(userUris.change_log, changeLogMediaType, {fitness_activities: {added: ['/fitnessActivities/1'], deleted: []}});
+				mock.addFeed(userUris.fitness_activities, activityMediaType, createItems('/fitnessActivities', 1));
+				fetchDataSet('fitness_activities', function(err, records) {
+					assert.ifError(err);
+					// the date is moved back by one day to cover all time zones
+					assert.equal(mock.requestsFor(userUris.change_log)[0].query.modifiedNoEarlierThan, '2016-03-21');
+					assert.equal(mock.requestsFor(userUris.fitness_activities)[0].query.modifiedNoEarlierThan, '2016-03-21');
+					// the stored document is updated
+					assert.equal(records.length, 1);
+					assert.equal(records[0]._id, 'fitnessActivities-1');
+					assert.equal(stagedDocuments.test_fitness_activities['fitnessActivities-1']._rev, '2-test');
+					assert.ok(storedPipes[pipe._id].highWaterMarks.fitness_activities > '2016-03-22T10:00:00.000Z');
+					done();
+				});
+			});
+
+			it('skips data sets without changes', function(done) {
+				mock.addResource(userUris.change_log, changeLogMediaType, {fitness_activities: {added: [], deleted: []}, weight: {added: ['/weight/1'], deleted: []}});
+				mock.addFeed(userUris.fitness_activities, activityMediaType, createItems('/fitnessActivities', 1));
+				fetchDataSet('fitness_activities', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 0);
+					assert.equal(mock.requestsFor(userUris.fitness_activities).length, 0);
+					assert.ok(storedPipes[pipe._id].highWaterMarks.fitness_activities > '2016-03-22T10:00:00.000Z');
+					assert.ok(stagedDocuments.test_fitness_activities['fitnessActivities-1']);
+					done();
+				});
+			});
+
+			it('removes the items that the change log lists as deleted', function(done) {
+				stagedDocuments.test_fitness_activities['fitnessActivities-7'] = {_id: 'fitnessActivities-7', _rev: '1-test', uri: '/fitnessActivities/7'};
+				mock.addResource(userUris.change_log, changeLogMediaType, {fitness_activities: {added: [], deleted: ['/fitnessActivities/7', '/fitnessActivities/8']}});
+				fetchDataSet('fitness_activities', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 0);
+					assert.deepEqual(_.keys(stagedDocuments.test_fitness_activities), ['fitnessActivities-1']);
+					// items that were never loaded are not counted
+					assert.equal(pipeRunStats.runkeeper.dataSets.fitness_activities.deletedRecords, 1);
+					done();
+				});
+			});
+
+			it('replaces the change log record of an earlier run with the same high-water mark date', function(done) {
+				pipe.highWaterMarks = {change_log: '2016-03-22T10:00:00.000Z'};
+				storedPipes[pipe._id] = _.cloneDeep(pipe);
+				mock.addResource(userUris.change_log, changeLogMediaType, {fitness_activities: {added: ['/fitnessActivities/1'], deleted: []}});
+				fetchDataSet('change_log', function(err) {
+					assert.ifError(err);
+					pipe.highWaterMarks = {change_log: '2016-03-22T10:00:00.000Z'};
+					storedPipes[pipe._id] = _.cloneDeep(pipe);
+					fetchDataSet('change_log', function(err) {
+						assert.ifError(err);
+						assert.deepEqual(_.keys(stagedDocuments.test_change_log), ['change_log-2016-03-21']);
+						assert.equal(stagedDocuments.test_change_log['change_log-2016-03-21']._rev, '2-test');
+						done();
+					});
+				});
+			});
+
+			it('fetches the complete feed without a high-water mark', function(done) {
+				delete pipe.highWaterMarks;
+				mock.addFeed(userUris.fitness_activities, activityMediaType, createItems('/fitnessActivities', 2));
+				fetchDataSet('fitness_activities', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 2);
+					assert.equal(mock.requestsFor(userUris.change_log).length, 0);
+					assert.equal(mock.requestsFor(userUris.fitness_activities)[0].query.modifiedNoEarlierThan, undefined);
+					done();
+				});
+			});
+
+			it('clears the staging database of a full reload without affecting other pipes', function(done) {
+				var fullReloadPipe = _.assign(_.cloneDeep(pipe), {_id: 'full-reload-pipe', name: 'reload', fullReload: true});
+				storedPipes[fullReloadPipe._id] = _.cloneDeep(fullReloadPipe);
+				stagedDocuments.reload_fitness_activities = _.cloneDeep(stagedDocuments.test_fitness_activities);
+				mock.addResource(userUris.change_log, changeLogMediaType, {fitness_activities: {added: [], deleted: []}});
+				mock.addFeed(userUris.fitness_activities, activityMediaType, []);
+				connector.doConnectStep(function(err) {
+					assert.ifError(err);
+					connector.fetchRecords({name: 'fitness_activities'}, _.noop, function(err) {
+						assert.ifError(err);
+						assert.equal(_.size(stagedDocuments.reload_fitness_activities), 0);
+						connector.runFinished(fullReloadPipe);
+						// the pipe that loads incrementally keeps its documents
+						fetchDataSet('fitness_activities', function(err) {
+							assert.ifError(err);
+							assert.equal(_.size(stagedDocuments.test_fitness_activities), 1);
+							done();
+						});
+					}, null, pipeRunStats, pipeRunLog, fullReloadPipe, null);
+				}, null, pipeRunStats, pipeRunLog, fullReloadPipe, null);
+			});
+		});
+
+		it('resumes an interrupted run from the checkpoint', function(done) {
+			pipe.fullReload = false;
+			storedPipes[pipe._id] = _.cloneDeep(pipe);
+			var items = createItems('/fitnessActivities', 60);
+			mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, items, 20);
+			var records = [];
+			var saveDocuments = stagingDb.saveDocuments;
+			stagingDb.saveDocuments = function(dbName, documents, callback) {
+				if(records.length === 0) {
+					// a later page fails
+					mock.failNext(userUris.fitness_activities, 404);
+				}
+				records = records.concat(documents);
+				saveDocuments(dbName, documents, callback);
+			};
+			connector.doConnectStep(function(err) {
+				assert.ifError(err);
+				connector.fetchRecords({name: 'fitness_activities'}, _.noop, function(err) {
+					assert.equal(err.statusCode, 404);
+					var checkpoint = storedPipes[pipe._id].checkpoints.fitness_activities;
+					assert.ok(/page=[12]/.test(checkpoint.uri));
+					assert.ok(checkpoint.syncStartTime);
+					assert.equal(storedPipes[pipe._id].highWaterMarks, undefined);
+					var interruptedRecords = records;
+					// the next run starts from the page after the last page that was pushed
+					pipe = _.cloneDeep(storedPipes[pipe._id]);
+					mock.requests = [];
+					fetchDataSet('fitness_activities', function(err, resumedRecords) {
+						assert.ifError(err);
+						var requests = mock.requestsFor(userUris.fitness_activities);
+						assert.equal(requests[0].query.page, /page=(\d)/.exec(checkpoint.uri)[1]);
+						assert.deepEqual(_.map(interruptedRecords.concat(resumedRecords), 'uri'), _.map(items, 'uri'));
+						assert.deepEqual(storedPipes[pipe._id].checkpoints, {});
+						assert.equal(storedPipes[pipe._id].highWaterMarks.fitness_activities, checkpoint.syncStartTime);
+						done();
+					});
+				}, null, pipeRunStats, pipeRunLog, pipe, null);
+			}, null, pipeRunStats, pipeRunLog, pipe, null);
+		});
+
+		describe('date range', function() {
+
+			var activityMediaType = feedDataSets[2].mediaType;
+
+			it('restricts the feed queries to the range', function(done) {
+				pipe.dateRange = {noEarlierThan: '2016-01-01', noLaterThan: '2016-03-31'};
+				mock.addFeed(userUris.fitness_activities, activityMediaType, createItems('/fitnessActivities', 30), 25);
+				fetchDataSet('fitness_activities', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 30);
+					var query = mock.requestsFor(userUris.fitness_activities)[0].query;
+					assert.equal(query.noEarlierThan, '2016-01-01');
+					assert.equal(query.noLaterThan, '2016-03-31');
+					done();
+				});
+			});
+
+			it('starts the range a number of days before the current date', function(done) {
+				pipe.dateRange = {noEarlierThan: '2016-01-01', lastDays: 90};
+				mock.addFeed(userUris.weight, feedDataSets[1].mediaType, createItems('/weight', 1));
+				fetchDataSet('weight_measurements', function(err) {
+					assert.ifError(err);
+					var start = new Date();
+					start.setUTCDate(start.getUTCDate() - 90);
+					var query = mock.requestsFor(userUris.weight)[0].query;
+					assert.equal(query.noEarlierThan, start.toISOString().substring(0, 10));
+					assert.equal(query.noLaterThan, undefined);
+					done();
+				});
+			});
+
+			it('combines the range with the high-water mark', function(done) {
+				pipe.fullReload = false;
+				pipe.highWaterMarks = {fitness_activities: '2016-03-22T10:00:00.000Z'};
+				pipe.dateRange = {noEarlierThan: '2016-01-01', noLaterThan: '2016-03-31'};
+				storedPipes[pipe._id] = _.cloneDeep(pipe);
+				mock.addResource(userUris.change_log, resourceDataSets[2].mediaType, {fitness_activities: {added: ['/fitnessActivities/1'], deleted: []}});
+				mock.addFeed(userUris.fitness_activities, activityMediaType, createItems('/fitnessActivities', 1));
+				fetchDataSet('fitness_activities', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 1);
+					var query = mock.requestsFor(userUris.fitness_activities)[0].query;
+					assert.equal(query.modifiedNoEarlierThan, '2016-03-21');
+					assert.equal(query.noEarlierThan, '2016-01-01');
+					assert.equal(query.noLaterThan, '2016-03-31');
+					// the high-water mark advances regardless of the range
+					assert.ok(storedPipes[pipe._id].highWaterMarks.fitness_activities > '2016-03-22T10:00:00.000Z');
+					done();
+				});
+			});
+
+			it('does not restrict data sets without dates', function(done) {
+				pipe.dateRange = {noEarlierThan: '2016-01-01'};
+				mock.addResource(userUris.settings, resourceDataSets[0].mediaType, resourceDataSets[0].body);
+				fetchDataSet('settings', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 1);
+					assert.equal(mock.requestsFor(userUris.settings)[0].query.noEarlierThan, undefined);
+					done();
+				});
+			});
+
+			it('rejects an invalid range', function(done) {
+				pipe.dateRange = {noLaterThan: '03/31/2016'};
+				mock.addFeed(userUris.fitness_activities, activityMediaType, []);
+				fetchDataSet('fitness_activities', function(err) {
+					assert.ok(/noLaterThan must be a date/.test(err));
+					assert.equal(mock.requestsFor(userUris.fitness_activities).length, 0);
+					done();
+				});
+			});
+		});
+
+		describe('paging', function() {
+
+			it('requests the configured page size', function(done) {
+				pipe.paging = {pageSize: 10};
+				mock.addFeed(userUris.weight, feedDataSets[1].mediaType, createItems(userUris.weight, 25));
+				fetchDataSet('weight_measurements', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 25);
+					var requests = mock.requestsFor(userUris.weight);
+					assert.deepEqual(_.map(requests, 'query.pageSize'), ['10', '10', '10']);
+					done();
+				});
+			});
+
+			it('records the throughput of the data set', function(done) {
+				mock.addFeed(userUris.sleep, feedDataSets[5].mediaType, createItems(userUris.sleep, 60), 25);
+				fetchDataSet('sleep_measurements', function(err) {
+					assert.ifError(err);
+					var stats = pipeRunStats.runkeeper.dataSets.sleep_measurements;
+					assert.equal(stats.pages, 3);
+					assert.equal(stats.fetchedRecords, 60);
+					assert.ok(stats.fetchedBytes > 60 * 50);
+					assert.ok(stats.fetchMs >= 0);
+					done();
+				});
+			});
+
+			it('waits for Cloudant before fetching more pages', function(done) {
+				pipe.paging = {prefetchPages: 1};
+				var requestCounts = [];
+				var saveDocuments = stagingDb.saveDocuments;
+				stagingDb.saveDocuments = function(dbName, documents, callback) {
+					// Cloudant is slower than Runkeeper
+					requestCounts.push(mock.requestsFor(userUris.background_activities).length);
+					setTimeout(function() {
+						saveDocuments(dbName, documents, callback);
+					}, 20);
+				};
+				mock.addFeed(userUris.background_activities, feedDataSets[3].mediaType, createItems(userUris.background_activities, 50), 10);
+				fetchDataSet('background_activities', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 50);
+					assert.equal(requestCounts.length, 5);
+					// while page n is processed, at most the next page has been fetched
+					_.forEach(requestCounts, function(count, page) {
+						assert.ok(count <= page + 2, 'page ' + page + ': ' + count + ' requests');
+					});
+					done();
+				});
+			});
+
+			it('limits the number of feeds that are paged at the same time', function(done) {
+				pipe.paging = {parallelism: 1};
+				mock.addFeed(userUris.nutrition, feedDataSets[6].mediaType, createItems(userUris.nutrition, 30), 10);
+				mock.addFeed(userUris.diabetes, feedDataSets[8].mediaType, createItems(userUris.diabetes, 30), 10);
+				connector.doConnectStep(function(err) {
+					assert.ifError(err);
+					var pending = 2;
+					var fetched = function(err) {
+						assert.ifError(err);
+						if(--pending > 0) {
+							return;
+						}
+						// the pages of one feed were all requested before the other feed was started
+						var feeds = _.map(_.filter(mock.requests, function(request) {
+							return (request.pathname === userUris.nutrition) || (request.pathname === userUris.diabetes);
+						}), 'pathname');
+						assert.equal(feeds.length, 6);
+						assert.equal(_.uniq(feeds.slice(0, 3)).length, 1);
+						assert.equal(_.uniq(feeds.slice(3)).length, 1);
+						done();
+					};
+					connector.fetchRecords({name: 'nutritional_measurements'}, _.noop, fetched, null, pipeRunStats, pipeRunLog, pipe, null);
+					connector.fetchRecords({name: 'diabetes_measurements'}, _.noop, fetched, null, pipeRunStats, pipeRunLog, pipe, null);
+				}, null, pipeRunStats, pipeRunLog, pipe, null);
+			});
+
+			it('rejects invalid paging options', function(done) {
+				pipe.paging = {parallelism: 0};
+				fetchDataSet('weight_measurements', function(err) {
+					assert.ok(/parallelism must be a positive integer/.test(err));
+					assert.equal(mock.requests.length, 0);
+					done();
+				});
+			});
+		});
+
+		describe('preview', function() {
+
+			var assignRevisions = stagingDb.assignRevisions;
+			var saveDocuments = stagingDb.saveDocuments;
+			var writes = null;
+
+			beforeEach(function() {
+				writes = [];
+				stagingDb.assignRevisions = stagingDb.saveDocuments = function(dbName, documents, callback) {
+					writes.push(dbName);
+					callback();
+				};
+			});
+
+			afterEach(function() {
+				stagingDb.assignRevisions = assignRevisions;
+				stagingDb.saveDocuments = saveDocuments;
+			});
+
+			it('fetches the first page without changing the staging databases or the pipe', function(done) {
+				pipe.fullReload = false;
+				storedPipes[pipe._id].fullReload = false;
+				mock.addFeed(userUris.weight, feedDataSets[1].mediaType, createItems(userUris.weight, 25), 10);
+				connector.previewDataSets(pipe, {dataSets: ['weight_measurements']}, function(err, preview) {
+					assert.ifError(err);
+					assert.equal(preview.dataSets.length, 1);
+					var weight = preview.dataSets[0];
+					assert.equal(weight.name, 'weight_measurements');
+					assert.equal(weight.sampleRecords.length, 10);
+					assert.equal(weight.approximateRecordCount, 25);
+					assert.deepEqual(weight.errors, []);
+					assert.ok(mock.requestsFor(userUris.weight).length <= 2);
+					assert.deepEqual(writes, []);
+					assert.equal(storedPipes[pipe._id].highWaterMarks, undefined);
+					assert.equal(storedPipes[pipe._id].checkpoints, undefined);
+					done();
+				});
+			});
+
+			it('fetches the first N items', function(done) {
+				mock.addFeed(userUris.sleep, feedDataSets[5].mediaType, createItems(userUris.sleep, 25), 10);
+				connector.previewDataSets(pipe, {dataSets: ['sleep_measurements'], maxRecords: 3}, function(err, preview) {
+					assert.ifError(err);
+					assert.equal(preview.dataSets[0].sampleRecords.length, 3);
+					assert.equal(mock.requestsFor(userUris.sleep)[0].query.pageSize, '3');
+					done();
+				});
+			});
+
+			it('reports invalid records without quarantining them and skips write-back', function(done) {
+				var items = createItems(userUris.weight, 2);
+				items[0].weight = 0;
+				mock.addFeed(userUris.weight, feedDataSets[1].mediaType, items);
+				pipe.writeBack = {weight_measurements: 'test_weight'};
+				connector.previewDataSets(pipe, {dataSets: ['weight_measurements', 'write_back']}, function(err, preview) {
+					assert.ifError(err);
+					assert.equal(preview.dataSets[0].sampleRecords.length, 1);
+					assert.equal(preview.dataSets[0].invalidRecords, 1);
+					assert.ok(/failed validation/.test(preview.dataSets[0].warnings[0]));
+					assert.deepEqual(preview.dataSets[1].sampleRecords, []);
+					assert.ok(/not previewed/.test(preview.dataSets[1].warnings[0]));
+					assert.deepEqual(writes, []);
+					done();
+				});
+			});
+
+			it('reports the errors of each data set', function(done) {
+				mock.failNext(userUris.weight, 404);
+				mock.addFeed(userUris.sleep, feedDataSets[5].mediaType, createItems(userUris.sleep, 2));
+				connector.previewDataSets(pipe, {dataSets: ['weight_measurements', 'sleep_measurements']}, function(err, preview) {
+					assert.ifError(err);
+					assert.ok(preview.dataSets[0].errors.length > 0);
+					assert.equal(preview.dataSets[1].sampleRecords.length, 2);
+					assert.deepEqual(preview.dataSets[1].errors, []);
+					done();
+				});
+			});
+
+			it('summarizes the activities of the first page', function(done) {
+				var items = _.times(60, function(i) {
+					return {uri: '/fitnessActivities/' + (i + 1), type: 'Running', start_time: 'Mon, 28 Mar 2016 07:00:00', duration: 1800, total_distance: 5000};
+				});
+				mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, items, 10);
+				connector.previewDataSets(pipe, {dataSets: ['weekly_summary']}, function(err, preview) {
+					assert.ifError(err);
+					assert.deepEqual(preview.dataSets[0].errors, []);
+					assert.equal(_.find(preview.dataSets[0].sampleRecords, {type: 'All'}).activity_count, 10);
+					assert.equal(mock.requestsFor(userUris.fitness_activities).length, 1);
+					done();
+				});
+			});
+
+			it('rejects an invalid number of records', function(done) {
+				connector.previewDataSets(pipe, {maxRecords: 0}, function(err) {
+					assert.ok(/maxRecords must be a positive integer/.test(err));
+					assert.equal(mock.requests.length, 0);
+					done();
+				});
+			});
+		});
+
+		describe('route export', function() {
+
+			var activityMediaType = 'application/vnd.com.runkeeper.FitnessActivity+json';
+			var activityUri = userUris.fitness_activities + '/1';
+			var activity = {
+				uri: activityUri,
+				type: 'Running',
+				start_time: 'Tue, 22 Mar 2016 06:34:36',
+				utc_offset: -5,
+				duration: 600,
+				total_distance: 2000,
+				total_calories: 150.4,
+				path: [
+					{timestamp: 0, latitude: 40.1, longitude: -73.1, altitude: 10, type: 'start'},
+					{timestamp: 60, latitude: 40.2, longitude: -73.2, altitude: 11, type: 'pause'},
+					{timestamp: 120, latitude: 40.3, longitude: -73.3, altitude: 12, type: 'resume'},
+					{timestamp: 600, latitude: 40.4, longitude: -73.4, altitude: 13, type: 'end'}
+				],
+				heart_rate: [{timestamp: 0, heart_rate: 120}, {timestamp: 100, heart_rate: 150}],
+				distance: [{timestamp: 0, distance: 0}, {timestamp: 600, distance: 2000}]
+			};
+
+			beforeEach(function() {
+				mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, [
+					{uri: activityUri, type: 'Running', start_time: activity.start_time, has_path: true},
+					{uri: userUris.fitness_activities + '/2', type: 'Yoga', start_time: activity.start_time, has_path: false}
+				]);
+				mock.addResource(activityUri, activityMediaType, activity);
+			});
+
+			var getAttachment = function(record, name) {
+				return Buffer.from(record._attachments[name].data, 'base64').toString('utf8');
+			};
+
+			it('exports routes as GeoJSON features', function(done) {
+				fetchDataSet('fitness_activity_geojson', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 1);
+					assert.equal(records[0]._id, 'user-1-fitnessActivities-1');
+					assert.equal(records[0].type, 'Feature');
+					assert.equal(records[0].geometry.type, 'LineString');
+					assert.deepEqual(records[0].geometry.coordinates[0], [-73.1, 40.1, 10]);
+					assert.equal(records[0].geometry.coordinates.length, 4);
+					assert.equal(records[0].properties.type, 'Running');
+					assert.equal(records[0].properties.start_time_utc, '2016-03-22T11:34:36.000Z');
+					// activities without a path are not fetched
+					assert.equal(mock.requestsFor(userUris.fitness_activities + '/2').length, 0);
+					done();
+				});
+			});
+
+			it('removes the start and end of the route within the privacy zone', function(done) {
+				pipe.privacy = {pathPrivacyZone: {meters: 100, mode: 'trim'}};
+				fetchDataSet('fitness_activity_geojson', function(err, records) {
+					assert.ifError(err);
+					assert.deepEqual(records[0].geometry.coordinates, [[-73.2, 40.2, 11], [-73.3, 40.3, 12]]);
+					done();
+				});
+			});
+
+			it('exports routes as GPX tracks', function(done) {
+				fetchDataSet('fitness_activity_gpx', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 1);
+					assert.equal(records[0]._id, 'user-1-fitnessActivities-1');
+					var gpx = getAttachment(records[0], 'route.gpx');
+					assert.equal(records[0]._attachments['route.gpx'].content_type, 'application/gpx+xml');
+					assert.equal(gpx.match(/<trkpt /g).length, 4);
+					// the pause starts a new track segment
+					assert.equal(gpx.match(/<trkseg>/g).length, 2);
+					assert.ok(gpx.indexOf('<time>2016-03-22T11:44:36.000Z</time>') !== -1);
+					done();
+				});
+			});
+
+			it('exports routes as TCX activities including the heart rate', function(done) {
+				fetchDataSet('fitness_activity_tcx', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 1);
+					var tcx = getAttachment(records[0], 'route.tcx');
+					assert.ok(tcx.indexOf('<Activity Sport="Running">') !== -1);
+					assert.ok(tcx.indexOf('<Calories>150</Calories>') !== -1);
+					assert.deepEqual(tcx.match(/<HeartRateBpm><Value>\d+<\/Value><\/HeartRateBpm>/g), [
+						'<HeartRateBpm><Value>120</Value></HeartRateBpm>',
+						'<HeartRateBpm><Value>120</Value></HeartRateBpm>',
+						'<HeartRateBpm><Value>150</Value></HeartRateBpm>',
+						'<HeartRateBpm><Value>150</Value></HeartRateBpm>'
+					]);
+					// each trackpoint lists the distance of the last sample taken at or before its time
+					assert.deepEqual(_.map(tcx.match(/<DistanceMeters>\d+<\/DistanceMeters>\n<HeartRateBpm>/g), function(match) {
+						return match.match(/\d+/)[0];
+					}), ['0', '0', '0', '2000']);
+					done();
+				});
+			});
+
+			it('fails if an activity cannot be fetched', function(done) {
+				mock.failNext(activityUri, 404);
+				fetchDataSet('fitness_activity_geojson', function(err, records) {
+					assert.equal(err.statusCode, 404);
+					assert.equal(records.length, 0);
+					done();
+				});
+			});
+		});
+
+		describe('personal records', function() {
+
+			var recordsMediaType = 'application/vnd.com.runkeeper.Records+json';
+			var assignRevisions = stagingDb.assignRevisions;
+			var listDocuments = stagingDb.listDocuments;
+
+			beforeEach(function() {
+				mock.addResource(userUris.records, recordsMediaType, [
+					{activity_type: 'Running', stats: [
+						{stat_type: 'OVERALL', value: 120000},
+						{stat_type: 'BEST_ACTIVITY', value: 21097.5, date: 'Sun, 20 Mar 2016 09:00:00'},
+						{stat_type: 'BEST_WEEK', value: 40000, date: 'Mon, 14 Mar 2016 00:00:00'},
+						{stat_type: 'THIS_WEEK', value: 10000}
+					]},
+					{activity_type: 'Cycling', stats: [
+						{stat_type: 'BEST_ACTIVITY', value: 0}
+					]}
+				]);
+			});
+
+			afterEach(function() {
+				stagingDb.assignRevisions = assignRevisions;
+				stagingDb.listDocuments = listDocuments;
+			});
+
+			it('stores all personal bests if the history is empty', function(done) {
+				fetchDataSet('records', function(err, records) {
+					assert.ifError(err);
+					assert.deepEqual(_.map(records, '_id'), ['Running-BEST_ACTIVITY-21097.5', 'Running-BEST_WEEK-40000']);
+					assert.equal(records[0].value_km, 21.098);
+					assert.equal(records[0].date, 'Sun, 20 Mar 2016 09:00:00');
+					assert.equal(records[0].previous_value, null);
+					done();
+				});
+			});
+
+			it('stores the personal bests that improved since the last run', function(done) {
+				pipe.fullReload = false;
+				stagingDb.assignRevisions = function(dbName, records, callback) {
+					callback();
+				};
+				stagingDb.listDocuments = function(dbName, callback) {
+					callback(null, [
+						{_id: 'Running-BEST_ACTIVITY-10000', activity_type: 'Running', stat_type: 'BEST_ACTIVITY', value: 10000},
+						{_id: 'Running-BEST_ACTIVITY-15000', activity_type: 'Running', stat_type: 'BEST_ACTIVITY', value: 15000},
+						{_id: 'Running-BEST_WEEK-40000', activity_type: 'Running', stat_type: 'BEST_WEEK', value: 40000}
+					]);
+				};
+				fetchDataSet('records', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 1);
+					assert.equal(records[0]._id, 'Running-BEST_ACTIVITY-21097.5');
+					assert.equal(records[0].previous_value, 15000);
+					assert.equal(records[0].improvement, 6097.5);
+					// the history is kept in the pipe from now on
+					assert.deepEqual(_.map(storedPipes[pipe._id].personalRecordHistory, '_id'), [
+						'Running-BEST_ACTIVITY-10000', 'Running-BEST_ACTIVITY-15000', 'Running-BEST_WEEK-40000', 'Running-BEST_ACTIVITY-21097.5'
+					]);
+					done();
+				});
+			});
+
+			it('keeps the history across full reloads', function(done) {
+				fetchDataSet('records', function(err, firstRecords) {
+					assert.ifError(err);
+					assert.equal(storedPipes[pipe._id].personalRecordHistory.length, 2);
+					// the staging database was cleared; the stored history is pushed again without new records
+					pipe = _.cloneDeep(storedPipes[pipe._id]);
+					fetchDataSet('records', function(err, records) {
+						assert.ifError(err);
+						assert.deepEqual(records, firstRecords);
+						mock.addResource(userUris.records, recordsMediaType, [
+							{activity_type: 'Running', stats: [{stat_type: 'BEST_ACTIVITY', value: 25000}]}
+						]);
+						pipe = _.cloneDeep(storedPipes[pipe._id]);
+						fetchDataSet('records', function(err, records) {
+							assert.ifError(err);
+							assert.deepEqual(_.map(records, '_id'), ['Running-BEST_ACTIVITY-21097.5', 'Running-BEST_WEEK-40000', 'Running-BEST_ACTIVITY-25000']);
+							assert.equal(records[2].previous_value, 21097.5);
+							assert.equal(storedPipes[pipe._id].personalRecordHistory.length, 3);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		describe('activity analysis', function() {
+
+			beforeEach(function() {
+				mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, [
+					{uri: '/fitnessActivities/1', type: 'Running', start_time: 'Tue, 22 Mar 2016 06:34:36'}
+				]);
+				mock.addResource('/fitnessActivities/1', 'application/vnd.com.runkeeper.FitnessActivity+json', {
+					uri: '/fitnessActivities/1',
+					type: 'Running',
+					start_time: 'Tue, 22 Mar 2016 06:34:36',
+					duration: 700,
+					total_distance: 2500,
+					distance: [{timestamp: 0, distance: 0}, {timestamp: 300, distance: 1000}, {timestamp: 540, distance: 2000}, {timestamp: 700, distance: 2500}],
+					heart_rate: [{timestamp: 0, heart_rate: 100}, {timestamp: 100, heart_rate: 130}, {timestamp: 300, heart_rate: 160}, {timestamp: 700, heart_rate: 190}],
+					path: [{timestamp: 0, altitude: 10}, {timestamp: 200, altitude: 15}, {timestamp: 400, altitude: 12}, {timestamp: 700, altitude: 20}]
+				});
+				mock.addResource(userUris.profile, 'application/vnd.com.runkeeper.Profile+json', {birthday: 'Tue, 1 Jan 1980 00:00:00'});
+			});
+
+			it('computes splits, best efforts, elevation and heart rate zones', function(done) {
+				pipe.heartRate = {max: 200, resting: 50};
+				fetchDataSet('activity_analysis', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 1);
+					var analysis = records[0];
+					assert.equal(analysis._id, 'fitnessActivities-1');
+					assert.deepEqual(_.map(analysis.splits_km, 'duration'), [300, 240, 160]);
+					assert.deepEqual(_.map(analysis.splits_km, 'pace'), [5, 4, 5.33]);
+					assert.equal(analysis.splits_mi.length, 2);
+					assert.deepEqual(analysis.best_efforts, {'1k': 240, '5k': null, '10k': null});
+					assert.equal(analysis.elevation_gain, 13);
+					assert.equal(analysis.elevation_loss, 3);
+					assert.equal(analysis.heart_rate.average, 143);
+					assert.equal(analysis.heart_rate.maximum, 190);
+					assert.equal(analysis.heart_rate.max_hr_source, 'configuration');
+					assert.deepEqual(_.map(analysis.heart_rate.zones, 'min_bpm'), [null, 125, 140, 155, 170, 185]);
+					assert.deepEqual(_.map(analysis.heart_rate.zones, 'seconds'), [100, 200, 0, 400, 0, 0]);
+					// the profile is not needed
+					assert.equal(mock.requestsFor(userUris.profile).length, 0);
+					done();
+				});
+			});
+
+			it('estimates the maximum heart rate from the age of the user', function(done) {
+				fetchDataSet('activity_analysis', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records[0].heart_rate.max_hr, 184);
+					assert.equal(records[0].heart_rate.max_hr_source, 'age');
+					assert.equal(records[0].heart_rate.resting_hr, null);
+					done();
+				});
+			});
+
+			it('does not count altitude fluctuations below the threshold as elevation gain or loss', function(done) {
+				var activity = mock.resources['/fitnessActivities/1'];
+				mock.addResource('/fitnessActivities/1', activity.mediaType, _.assign({}, activity.body, {
+					path: _.map([10, 11, 10, 12, 10.5, 14, 13, 15, 12.5, 17, 11], function(altitude, i) {
+						return {timestamp: i * 60, altitude: altitude};
+					})
+				}));
+				fetchDataSet('activity_analysis', function(err, records) {
+					assert.ifError(err);
+					// 10 -> 14 -> 17 -> 11
+					assert.equal(records[0].elevation_gain, 7);
+					assert.equal(records[0].elevation_loss, 6);
+					done();
+				});
+			});
+
+			it('rejects heart rate zones that are not ascending numbers', function(done) {
+				pipe.heartRate = {max: 200, zones: [50, 70, 60, 80, 90]};
+				fetchDataSet('activity_analysis', function(err, records) {
+					assert.equal(err, 'Invalid heart rate settings: zones must be a list of ascending numbers (lower boundaries in percent), but is [50,70,60,80,90].');
+					assert.equal(records.length, 0);
+					pipe.heartRate.zones = [50, '60', 70];
+					fetchDataSet('activity_analysis', function(err) {
+						assert.ok(/zones must be a list of ascending numbers/.test(err));
+						done();
+					});
+				});
+			});
+		});
+
+		describe('training summaries', function() {
+
+			beforeEach(function() {
+				mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, [
+					{uri: '/fitnessActivities/4', type: 'Running', start_time: 'Mon, 28 Mar 2016 07:00:00', duration: 1800, total_distance: 5000, total_calories: 300},
+					{uri: '/fitnessActivities/3', type: 'Cycling', start_time: 'Wed, 23 Mar 2016 18:00:00', duration: 3600, total_distance: 20000, total_calories: 500},
+					{uri: '/fitnessActivities/2', type: 'Running', start_time: 'Mon, 21 Mar 2016 07:00:00', duration: 1800, total_distance: 5000, total_calories: 300},
+					{uri: '/fitnessActivities/1', type: 'Running', start_time: 'Mon, 29 Feb 2016 07:00:00', duration: 3600, total_distance: 10000, total_calories: 600}
+				], 2);
+			});
+
+			it('summarizes the fitness activities of each week', function(done) {
+				fetchDataSet('weekly_summary', function(err, records) {
+					assert.ifError(err);
+					var summaries = _.keyBy(records, '_id');
+					assert.deepEqual(_.keys(summaries).sort(), [
+						'weekly_summary-2016-02-29-All',
+						'weekly_summary-2016-02-29-Running',
+						'weekly_summary-2016-03-21-All',
+						'weekly_summary-2016-03-21-Cycling',
+						'weekly_summary-2016-03-21-Running',
+						'weekly_summary-2016-03-28-All',
+						'weekly_summary-2016-03-28-Running'
+					]);
+					var week = summaries['weekly_summary-2016-03-21-All'];
+					assert.equal(week.period_end, '2016-03-27');
+					assert.equal(week.activity_count, 2);
+					assert.equal(week.total_distance_km, 25);
+					assert.equal(week.total_duration, 5400);
+					assert.equal(week.total_calories, 800);
+					assert.equal(week.training_load_7d, 90);
+					assert.equal(week.training_load_28d, 150);
+					assert.equal(week.acute_chronic_ratio, 2.4);
+					assert.equal(summaries['weekly_summary-2016-03-21-Running'].training_load_7d, 30);
+					// all pages of the feed were used
+					assert.equal(mock.requestsFor(userUris.fitness_activities).length, 2);
+					done();
+				});
+			});
+
+			it('summarizes the fitness activities of each month', function(done) {
+				fetchDataSet('monthly_summary', function(err, records) {
+					assert.ifError(err);
+					var month = _.find(records, {_id: 'monthly_summary-2016-03-01-All'});
+					assert.equal(month.period_end, '2016-03-31');
+					assert.equal(month.activity_count, 3);
+					assert.equal(month.total_duration, 7200);
+					assert.equal(_.filter(records, {type: 'All'}).length, 2);
+					done();
+				});
+			});
+
+			it('restricts the activities to the date range', function(done) {
+				pipe.dateRange = {noEarlierThan: '2016-03-01', noLaterThan: '2016-03-27'};
+				fetchDataSet('weekly_summary', function(err, records) {
+					assert.ifError(err);
+					assert.deepEqual(_.map(_.filter(records, {type: 'All'}), 'period_start'), ['2016-03-21']);
+					var query = mock.requestsFor(userUris.fitness_activities)[0].query;
+					assert.equal(query.noEarlierThan, '2016-03-01');
+					assert.equal(query.noLaterThan, '2016-03-27');
+					done();
+				});
+			});
+
+			describe('incremental', function() {
+
+				var activityMediaType = feedDataSets[2].mediaType;
+
+				// summarizes all activities (full reload), then loads the data set again incrementally after the change
+				// log listed the given changes of fitness activities; the feed then lists the given activities, if set
+				var summarizeTwice = function(changes, activities, callback) {
+					fetchDataSet('weekly_summary', function(err, records) {
+						assert.ifError(err);
+						connector.runFinished(pipe);
+						pipe = _.assign(_.cloneDeep(storedPipes[pipe._id]), {fullReload: false});
+						storedPipes[pipe._id] = _.cloneDeep(pipe);
+						pipeRunStats = {};
+						mock.requests = [];
+						if(activities) {
+							mock.addFeed(userUris.fitness_activities, activityMediaType, activities, 2);
+						}
+						mock.addResource(userUris.change_log, resourceDataSets[2].mediaType, {fitness_activities: changes});
+						mock.setModifiedItems(userUris.fitness_activities, changes.added);
+						fetchDataSet('weekly_summary', function(err) {
+							callback(err, _.keyBy(records, '_id'));
+						});
+					});
+				};
+
+				it('computes the periods from the earliest modified activity again', function(done) {
+					summarizeTwice({added: ['/fitnessActivities/4'], deleted: []}, null, function(err, firstSummaries) {
+						assert.ifError(err);
+						var staged = stagedDocuments.test_weekly_summary;
+						assert.equal(staged['weekly_summary-2016-03-28-All']._rev, '2-test');
+						assert.equal(staged['weekly_summary-2016-03-28-All'].training_load_28d, firstSummaries['weekly_summary-2016-03-28-All'].training_load_28d);
+						// earlier periods are kept
+						assert.equal(staged['weekly_summary-2016-03-21-All']._rev, '1-test');
+						assert.equal(staged['weekly_summary-2016-02-29-All']._rev, '1-test');
+						var queries = _.map(mock.requestsFor(userUris.fitness_activities), 'query');
+						assert.ok(queries[0].modifiedNoEarlierThan);
+						// the training load covers the 27 days before the period
+						assert.equal(queries[1].noEarlierThan, '2016-03-01');
+						assert.equal(queries[1].modifiedNoEarlierThan, undefined);
+						done();
+					});
+				});
+
+				it('removes the summaries of periods without activities', function(done) {
+					// activity 1 was deleted after the first run
+					var activities = _.reject(mock.resources[userUris.fitness_activities].items, {uri: '/fitnessActivities/1'});
+					summarizeTwice({added: [], deleted: ['/fitnessActivities/1']}, activities, function(err) {
+						assert.ifError(err);
+						assert.deepEqual(_.keys(stagedDocuments.test_weekly_summary).sort(), [
+							'weekly_summary-2016-03-21-All',
+							'weekly_summary-2016-03-21-Cycling',
+							'weekly_summary-2016-03-21-Running',
+							'weekly_summary-2016-03-28-All',
+							'weekly_summary-2016-03-28-Running'
+						]);
+						assert.equal(pipeRunStats.runkeeper.dataSets.weekly_summary.deletedRecords, 2);
+						done();
+					});
+				});
+
+				it('keeps the summaries if no activities changed', function(done) {
+					summarizeTwice({added: [], deleted: []}, null, function(err) {
+						assert.ifError(err);
+						assert.equal(mock.requestsFor(userUris.fitness_activities).length, 0);
+						assert.ok(_.every(stagedDocuments.test_weekly_summary, {_rev: '1-test'}));
+						done();
+					});
+				});
+			});
+		});
+
+		describe('deduplication', function() {
+
+			beforeEach(function() {
+				// activities 4 and 3 are the same ride, recorded by the app and by a watch; they are listed on different pages
+				mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, [
+					{uri: '/fitnessActivities/5', type: 'Running', start_time: 'Mon, 28 Mar 2016 07:00:00', duration: 1800, total_distance: 5000, source: 'RunKeeper'},
+					{uri: '/fitnessActivities/4', type: 'Cycling', start_time: 'Wed, 23 Mar 2016 18:00:00', duration: 3600, total_distance: 20000, source: 'RunKeeper', has_path: true},
+					{uri: '/fitnessActivities/3', type: 'Cycling', start_time: 'Wed, 23 Mar 2016 17:58:30', duration: 3550, total_distance: 20400, source: 'Garmin', has_path: true},
+					{uri: '/fitnessActivities/2', type: 'Cycling', start_time: 'Wed, 23 Mar 2016 07:00:00', duration: 3600, total_distance: 20000, source: 'RunKeeper'},
+					{uri: '/fitnessActivities/1', type: 'Running', start_time: 'Mon, 21 Mar 2016 07:00:00', duration: 1800, total_distance: 5000, source: 'RunKeeper'}
+				], 2);
+			});
+
+			it('marks the copies from less preferred sources', function(done) {
+				pipe.deduplication = {action: 'mark', sourcePriority: ['Garmin', 'RunKeeper']};
+				fetchDataSet('fitness_activities', function(err, records) {
+					assert.ifError(err);
+					assert.deepEqual(_.map(records, '_id'), ['fitnessActivities-5', 'fitnessActivities-4', 'fitnessActivities-3', 'fitnessActivities-2', 'fitnessActivities-1']);
+					var activities = _.keyBy(records, '_id');
+					assert.equal(activities['fitnessActivities-4'].duplicate_of, '/fitnessActivities/3');
+					assert.equal(activities['fitnessActivities-3'].duplicate_of, undefined);
+					assert.equal(activities['fitnessActivities-2'].duplicate_of, undefined);
+					assert.equal(pipeRunStats.runkeeper.dataSets.fitness_activities.duplicateRecords, 1);
+					done();
+				});
+			});
+
+			it('drops the copies', function(done) {
+				pipe.deduplication = {action: 'drop', sourcePriority: ['RunKeeper']};
+				fetchDataSet('fitness_activities', function(err, records) {
+					assert.ifError(err);
+					assert.deepEqual(_.map(records, '_id'), ['fitnessActivities-5', 'fitnessActivities-4', 'fitnessActivities-2', 'fitnessActivities-1']);
+					done();
+				});
+			});
+
+			it('keeps activities that differ by more than the tolerance', function(done) {
+				pipe.deduplication = {action: 'drop', startTimeTolerance: 60};
+				fetchDataSet('fitness_activities', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 5);
+					done();
+				});
+			});
+
+			it('counts duplicates once in the training summaries', function(done) {
+				pipe.deduplication = {action: 'mark'};
+				fetchDataSet('weekly_summary', function(err, records) {
+					assert.ifError(err);
+					var week = _.find(records, {_id: 'weekly_summary-2016-03-21-Cycling'});
+					assert.equal(week.activity_count, 2);
+					assert.equal(week.total_distance_km, 40);
+					done();
+				});
+			});
+
+			describe('across runs', function() {
+
+				var activityMediaType = feedDataSets[2].mediaType;
+				var garminRide = {uri: '/fitnessActivities/3', type: 'Cycling', start_time: 'Wed, 23 Mar 2016 17:58:30', duration: 3550, total_distance: 20400, source: 'Garmin', has_path: true};
+				var appRide = {uri: '/fitnessActivities/4', type: 'Cycling', start_time: 'Wed, 23 Mar 2016 18:00:00', duration: 3600, total_distance: 20000, source: 'RunKeeper', has_path: true};
+
+				// loads the first activity or activities (full reload) and stores them, then the second activity (incremental)
+				var fetchTwice = function(first, second, callback) {
+					mock.addFeed(userUris.fitness_activities, activityMediaType, [].concat(first));
+					fetchDataSet('fitness_activities', function(err, records) {
+						assert.ifError(err);
+						stagingDb.saveDocuments('test_fitness_activities', records, function(err) {
+							assert.ifError(err);
+							connector.runFinished(pipe);
+							pipe = _.assign(_.cloneDeep(storedPipes[pipe._id]), {fullReload: false, deduplication: pipe.deduplication});
+							storedPipes[pipe._id] = _.cloneDeep(pipe);
+							mock.addResource(userUris.change_log, resourceDataSets[2].mediaType, {fitness_activities: {added: [second.uri], deleted: []}});
+							mock.addFeed(userUris.fitness_activities, activityMediaType, [second]);
+							fetchDataSet('fitness_activities', callback);
+						});
+					});
+				};
+
+				it('marks a new copy of a stored activity', function(done) {
+					pipe.deduplication = {action: 'mark', sourcePriority: ['Garmin', 'RunKeeper']};
+					fetchTwice(garminRide, appRide, function(err, records) {
+						assert.ifError(err);
+						assert.deepEqual(_.map(records, '_id'), ['fitnessActivities-4']);
+						assert.equal(records[0].duplicate_of, '/fitnessActivities/3');
+						assert.equal(stagedDocuments.test_fitness_activities['fitnessActivities-3'].duplicate_of, undefined);
+						assert.equal(pipeRunStats.runkeeper.dataSets.fitness_activities.duplicateRecords, 1);
+						done();
+					});
+				});
+
+				it('marks a stored activity that is a copy of a new activity from a preferred source', function(done) {
+					pipe.deduplication = {action: 'mark', sourcePriority: ['Garmin', 'RunKeeper']};
+					fetchTwice(appRide, garminRide, function(err, records) {
+						assert.ifError(err);
+						assert.deepEqual(_.map(records, '_id'), ['fitnessActivities-3']);
+						assert.equal(records[0].duplicate_of, undefined);
+						assert.equal(stagedDocuments.test_fitness_activities['fitnessActivities-4'].duplicate_of, '/fitnessActivities/3');
+						assert.equal(pipeRunStats.runkeeper.dataSets.fitness_activities.duplicateRecords, 1);
+						done();
+					});
+				});
+
+				it('reads only the stored activities that may overlap the new activities', function(done) {
+					pipe.deduplication = {action: 'mark', sourcePriority: ['Garmin', 'RunKeeper']};
+					var earlierRide = _.assign({}, garminRide, {uri: '/fitnessActivities/2', start_time: 'Wed, 23 Mar 2016 07:00:00'});
+					var queried = [];
+					var queryView = stagingDb.queryView;
+					stagingDb.queryView = function(dbName, view, startKey, endKey, callback) {
+						queryView(dbName, view, startKey, endKey, function(err, documents) {
+							queried = queried.concat(_.map(documents, '_id'));
+							callback(err, documents);
+						});
+					};
+					stagingDb.listDocuments = function() {
+						assert.fail('all stored activities were read');
+					};
+					fetchTwice([garminRide, earlierRide], appRide, function(err, records) {
+						assert.ifError(err);
+						assert.equal(records[0].duplicate_of, '/fitnessActivities/3');
+						assert.deepEqual(queried, ['fitnessActivities-3']);
+						done();
+					});
+				});
+
+				it('drops a new copy of a stored activity', function(done) {
+					pipe.deduplication = {action: 'drop', sourcePriority: ['Garmin', 'RunKeeper']};
+					fetchTwice(garminRide, appRide, function(err, records) {
+						assert.ifError(err);
+						assert.equal(records.length, 0);
+						assert.ok(stagedDocuments.test_fitness_activities['fitnessActivities-3']);
+						done();
+					});
+				});
+
+				it('deletes a stored activity that is a copy of a new activity from a preferred source', function(done) {
+					pipe.deduplication = {action: 'drop', sourcePriority: ['Garmin', 'RunKeeper']};
+					fetchTwice(appRide, garminRide, function(err, records) {
+						assert.ifError(err);
+						assert.deepEqual(_.map(records, '_id'), ['fitnessActivities-3']);
+						assert.equal(stagedDocuments.test_fitness_activities['fitnessActivities-4'], undefined);
+						assert.equal(pipeRunStats.runkeeper.dataSets.fitness_activities.duplicateRecords, 1);
+						done();
+					});
+				});
+			});
+
+			it('rejects invalid deduplication settings', function(done) {
+				pipe.deduplication = {action: 'merge'};
+				fetchDataSet('fitness_activities', function(err) {
+					assert.ok(/action must be mark or drop/.test(err));
+					done();
+				});
+			});
+		});
+
+		describe('write-back', function() {
+
+			var newWeightSet = 'application/vnd.com.runkeeper.NewWeightSet+json';
+
+			beforeEach(function() {
+				stagingDb.saveDocuments('weight_outbox', [
+					{_id: 'w1', pt_type: 'weight', timestamp: 'Sat, 1 Jan 2011 08:00:00', weight: 70},
+					{_id: 'w2', timestamp: 'Sun, 2 Jan 2011 08:00:00', weight: 71},
+					{_id: 'w3', weight: 72},
+					{_id: 'w4', timestamp: 'Mon, 3 Jan 2011 08:00:00', weight: 73, weight_lb: 160.9, account_id: '1'}
+				], _.noop);
+				mock.addFeed(userUris.weight, feedDataSets[1].mediaType, [
+					{uri: userUris.weight + '/1', timestamp: 'Sun, 2 Jan 2011 08:00:00', weight: 71}
+				]);
+				mock.acceptNewItems(userUris.weight, newWeightSet);
+				pipe.writeBack = {weight_measurements: 'weight_outbox'};
+				storedPipes[pipe._id] = _.cloneDeep(pipe);
+			});
+
+			it('writes new items and reports the result of each document', function(done) {
+				mock.failNext(userUris.weight, 400, null, 'POST');
+				fetchDataSet('write_back', function(err, records) {
+					assert.ifError(err);
+					var reports = _.keyBy(records, 'source_id');
+					assert.equal(reports.w1.status, 'failed');
+					assert.equal(reports.w1.status_code, 400);
+					assert.equal(reports.w2.status, 'duplicate');
+					assert.equal(reports.w2.runkeeper_uri, userUris.weight + '/1');
+					assert.equal(reports.w3.status, 'invalid');
+					assert.equal(reports.w4.status, 'created');
+					assert.equal(reports.w4.runkeeper_uri, userUris.weight + '/new2');
+					assert.equal(reports.w4._id, 'weight_measurements-weight_outbox-w4');
+					var posts = _.filter(mock.requestsFor(userUris.weight), {method: 'POST'});
+					assert.equal(posts.length, 2);
+					assert.deepEqual(_.compact(_.map(posts, 'body')), [
+						{timestamp: 'Mon, 3 Jan 2011 08:00:00', weight: 73}
+					]);
+					assert.deepEqual(pipeRunStats.runkeeper.dataSets.write_back, {failed: 1, duplicate: 1, invalid: 1, created: 1, validRecords: 4, invalidRecords: 0, savedRecords: 4});
+					done();
+				});
+			});
+
+			it('only sends the properties of the new item', function(done) {
+				stagingDb.saveDocuments('activity_outbox', [
+					{_id: 'a1', type: 'Running', start_time: 'Sat, 1 Jan 2011 08:00:00', total_distance: 5000, duration: 1800, total_distance_km: 5, pt_type: 'fitness_activities', uri: '/fitnessActivities/9'}
+				], _.noop);
+				mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, []);
+				mock.acceptNewItems(userUris.fitness_activities, 'application/vnd.com.runkeeper.NewFitnessActivity+json');
+				pipe.writeBack = {fitness_activities: 'activity_outbox'};
+				fetchDataSet('write_back', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records[0].status, 'created');
+					var post = _.find(mock.requestsFor(userUris.fitness_activities), {method: 'POST'});
+					assert.deepEqual(post.body, {type: 'Running', start_time: 'Sat, 1 Jan 2011 08:00:00', total_distance: 5000, duration: 1800});
+					done();
+				});
+			});
+
+			it('only reads documents that changed or were rejected since the last run', function(done) {
+				pipe.fullReload = false;
+				storedPipes[pipe._id] = _.cloneDeep(pipe);
+				mock.failNext(userUris.weight, 400, null, 'POST');
+				fetchDataSet('write_back', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 4);
+					assert.deepEqual(storedPipes[pipe._id].writeBackProgress.weight_outbox.failed, ['w1']);
+					// the rejected document is written again, the new document is written for the first time
+					stagingDb.saveDocuments('weight_outbox', [{_id: 'w5', timestamp: 'Tue, 4 Jan 2011 08:00:00', weight: 74}], _.noop);
+					pipe = _.cloneDeep(storedPipes[pipe._id]);
+					mock.requests = [];
+					fetchDataSet('write_back', function(err, records) {
+						assert.ifError(err);
+						assert.deepEqual(_.map(records, 'source_id').sort(), ['w1', 'w5']);
+						assert.deepEqual(_.map(records, 'status'), ['created', 'created']);
+						assert.deepEqual(storedPipes[pipe._id].writeBackProgress.weight_outbox.failed, []);
+						// nothing changed since
+						pipe = _.cloneDeep(storedPipes[pipe._id]);
+						fetchDataSet('write_back', function(err, records) {
+							assert.ifError(err);
+							assert.equal(records.length, 0);
+							assert.equal(_.filter(mock.requestsFor(userUris.weight), {method: 'POST'}).length, 2);
+							done();
+						});
+					});
+				});
+			});
+
+			it('restricts duplicate detection to the dates of the documents', function(done) {
+				fetchDataSet('write_back', function(err) {
+					assert.ifError(err);
+					var query = _.find(mock.requestsFor(userUris.weight), {method: 'GET'}).query;
+					assert.equal(query.noEarlierThan, '2010-12-31');
+					assert.equal(query.noLaterThan, '2011-01-04');
+					done();
+				});
+			});
+
+			it('rejects data sets that cannot be written', function(done) {
+				pipe.writeBack = {records: 'records_outbox'};
+				fetchDataSet('write_back', function(err, records) {
+					assert.ok(/cannot be written/.test(err));
+					assert.equal(records.length, 0);
+					done();
+				});
+			});
+		});
+
+		describe('social data sets', function() {
+
+			var commentThreadMediaType = 'application/vnd.com.runkeeper.CommentThread+json';
+			var memberMediaType = 'application/vnd.com.runkeeper.Member+json';
+			var friends = [
+				{uri: '/team/1001', userID: 1001, name: 'Jane Doe', status: 'member'},
+				{uri: '/team/1002', userID: 1002, name: 'John Roe', status: 'member'},
+				{uri: '/team/1003', userID: 1003, name: 'Max Moe', status: 'member'}
+			];
+
+			beforeEach(function() {
+				mock.addFeed(userUris.team, feedDataSets[4].mediaType, friends);
+				mock.addResource('/team/1001', memberMediaType, {name: 'Jane Doe', location: 'Berlin', athlete_type: 'Runner', fitness_activities: '/team/1001/fitnessActivities'});
+				mock.addResource('/team/1002', memberMediaType, {name: 'John Roe', location: 'Hamburg'});
+				mock.addFeed('/team/1001/fitnessActivities', feedDataSets[2].mediaType, [
+					{uri: '/fitnessActivities/901', type: 'Running', start_time: 'Wed, 23 Mar 2016 07:00:00', total_distance: 5000}
+				]);
+			});
+
+			describe('comments', function() {
+
+				var activityMediaType = 'application/vnd.com.runkeeper.FitnessActivity+json';
+				var janesComment = {name: 'Jane Doe', profile: 'https://runkeeper.com/user/jdoe', timestamp: 'Tue, 22 Mar 2016 08:00:00', comment: 'Nice run!'};
+				var usersComment = {name: 'Test User', profile: 'https://runkeeper.com/user/test', timestamp: 'Tue, 22 Mar 2016 09:00:00', comment: 'Thanks'};
+
+				beforeEach(function() {
+					mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, [
+						{uri: '/fitnessActivities/1', type: 'Running', start_time: 'Tue, 22 Mar 2016 06:34:36'},
+						{uri: '/fitnessActivities/2', type: 'Cycling', start_time: 'Tue, 22 Mar 2016 18:00:00'}
+					]);
+					mock.addResource('/fitnessActivities/1', activityMediaType, {uri: '/fitnessActivities/1', comments: '/comments/11'});
+					mock.addResource('/fitnessActivities/2', activityMediaType, {uri: '/fitnessActivities/2', comments: '/comments/12'});
+					mock.addResource('/comments/11', commentThreadMediaType, {uri: '/comments/11', comments: [janesComment, usersComment]});
+					mock.addResource('/comments/12', commentThreadMediaType, {uri: '/comments/12', comments: []});
+				});
+
+				it('links the comments to the activities of the user', function(done) {
+					fetchDataSet('activity_comments', function(err, records) {
+						assert.ifError(err);
+						assert.equal(records.length, 2);
+						assert.ok(/^fitnessActivities-1-comment-[0-9a-f]{16}$/.test(records[0]._id));
+						assert.notEqual(records[0]._id, records[1]._id);
+						assert.deepEqual(_.omit(records[0], '_id'), {
+							activity_uri: '/fitnessActivities/1',
+							activity_type: 'Running',
+							activity_start_time: 'Tue, 22 Mar 2016 06:34:36',
+							position: 0,
+							name: 'Jane Doe',
+							profile: 'https://runkeeper.com/user/jdoe',
+							timestamp: 'Tue, 22 Mar 2016 08:00:00',
+							comment: 'Nice run!'
+						});
+						// the thread is fetched from the URI linked in the activity
+						assert.equal(mock.requestsFor('/comments/12').length, 1);
+						assert.equal(mock.requestsFor('/fitnessActivities/2/comments').length, 0);
+						done();
+					});
+				});
+
+				it('hashes the author in the ids with the privacy secret', function(done) {
+					pipe.privacy = {names: 'drop', profileUrls: 'drop', secret: 'test-secret'};
+					fetchDataSet('activity_comments', function(err, records) {
+						assert.ifError(err);
+						var unkeyed = crypto.createHash('sha256').update(janesComment.timestamp + '\n' + janesComment.profile).digest('hex');
+						var keyed = crypto.createHmac('sha256', 'test-secret').update(janesComment.timestamp + '\n' + janesComment.profile).digest('hex');
+						assert.equal(records[0]._id, 'fitnessActivities-1-comment-' + keyed.substring(0, 16));
+						assert.notEqual(records[0]._id, 'fitnessActivities-1-comment-' + unkeyed.substring(0, 16));
+						assert.equal(records[0].name, undefined);
+						done();
+					});
+				});
+
+				it('keeps the ids of the other comments when a comment is deleted', function(done) {
+					fetchDataSet('activity_comments', function(err, records) {
+						assert.ifError(err);
+						connector.runFinished(pipe);
+						mock.addResource('/comments/11', commentThreadMediaType, {uri: '/comments/11', comments: [usersComment]});
+						fetchDataSet('activity_comments', function(err, nextRecords) {
+							assert.ifError(err);
+							assert.deepEqual(_.map(nextRecords, '_id'), [records[1]._id]);
+							assert.equal(nextRecords[0].position, 0);
+							done();
+						});
+					});
+				});
+
+				it('only fetches the threads of activities that were added or modified and removes deleted comments', function(done) {
+					pipe.fullReload = false;
+					pipe.highWaterMarks = {activity_comments: '2016-03-22T10:00:00.000Z'};
+					storedPipes[pipe._id] = _.cloneDeep(pipe);
+					mock.addResource(userUris.change_log, resourceDataSets[2].mediaType, {fitness_activities: {added: ['/fitnessActivities/1'], deleted: ['/fitnessActivities/7']}});
+					mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, [
+						{uri: '/fitnessActivities/1', type: 'Running', start_time: 'Tue, 22 Mar 2016 06:34:36'}
+					]);
+					mock.addResource('/comments/11', commentThreadMediaType, {uri: '/comments/11', comments: [usersComment]});
+					stagedDocuments.test_activity_comments = {
+						'fitnessActivities-1-comment-0000000000000000': {_id: 'fitnessActivities-1-comment-0000000000000000', _rev: '1-test'},
+						'fitnessActivities-7-comment-0000000000000000': {_id: 'fitnessActivities-7-comment-0000000000000000', _rev: '1-test'},
+						'fitnessActivities-8-comment-0000000000000000': {_id: 'fitnessActivities-8-comment-0000000000000000', _rev: '1-test'}
+					};
+					fetchDataSet('activity_comments', function(err, records) {
+						assert.ifError(err);
+						assert.equal(mock.requestsFor(userUris.fitness_activities)[0].query.modifiedNoEarlierThan, '2016-03-21');
+						assert.equal(records.length, 1);
+						assert.equal(records[0].comment, 'Thanks');
+						assert.deepEqual(_.keys(stagedDocuments.test_activity_comments).sort(), [records[0]._id, 'fitnessActivities-8-comment-0000000000000000'].sort());
+						assert.equal(pipeRunStats.runkeeper.dataSets.activity_comments.deletedRecords, 2);
+						done();
+					});
+				});
+			});
+
+			it('completes the friends with their profiles', function(done) {
+				mock.failNext('/team/1003', 403);
+				fetchDataSet('friend_profiles', function(err, records) {
+					assert.ifError(err);
+					assert.deepEqual(_.map(records, '_id'), ['team-1001', 'team-1002', 'team-1003']);
+					assert.deepEqual(_.pick(records[0], ['uri', 'userID', 'location', 'athlete_type', 'shares_profile']), {uri: '/team/1001', userID: 1001, location: 'Berlin', athlete_type: 'Runner', shares_profile: true});
+					// the resources of the friend are not stored
+					assert.equal(records[0].fitness_activities, undefined);
+					assert.deepEqual(_.omit(records[2], '_id'), _.assign({shares_profile: false}, friends[2]));
+					done();
+				});
+			});
+
+			it('fetches the recent activities of the friends who share them', function(done) {
+				mock.failNext('/team/1003', 404);
+				fetchDataSet('friend_activities', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 1);
+					assert.deepEqual(_.pick(records[0], ['_id', 'user_id', 'type']), {_id: 'fitnessActivities-901', user_id: 1001, type: 'Running'});
+					assert.equal(mock.requestsFor('/team/1002/fitnessActivities').length, 0);
+					done();
+				});
+			});
+
+			it('pseudonymizes the friend user id of activities like the user id of friends', function(done) {
+				pipe.privacy = {pseudonymizeUserIds: true};
+				fetchDataSet('friend_activities', function(err, activities) {
+					assert.ifError(err);
+					connector.runFinished(pipe);
+					fetchDataSet('friend_profiles', function(err, profiles) {
+						assert.ifError(err);
+						assert.ok(/^[0-9a-f]{16}$/.test(activities[0].user_id));
+						assert.equal(activities[0].user_id, profiles[0].userID);
+						done();
+					});
+				});
+			});
+		});
+
+		describe('validation', function() {
+
+			var quarantined = null;
+
+			beforeEach(function() {
+				quarantined = {};
+				var saveDocuments = stagingDb.saveDocuments;
+				stagingDb.saveDocuments = function(dbName, documents, callback) {
+					if(dbName !== 'test_quarantine') {
+						return saveDocuments(dbName, documents, callback);
+					}
+					quarantined[dbName] = (quarantined[dbName] || []).concat(documents);
+					callback();
+				};
+			});
+
+			it('stores invalid records in the quarantine database', function(done) {
+				var items = createItems('/fitnessActivities', 4);
+				delete items[0].start_time;
+				items[1].duration = -60;
+				items[2].total_distance = 'NaN';
+				items[3].total_distance = 5000;
+				mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, items, 2);
+				fetchDataSet('fitness_activities', function(err, records) {
+					assert.ifError(err);
+					assert.deepEqual(_.map(records, '_id'), ['fitnessActivities-4']);
+					var documents = quarantined.test_quarantine;
+					assert.deepEqual(_.map(documents, '_id'), ['fitness_activities-fitnessActivities-1', 'fitness_activities-fitnessActivities-2', 'fitness_activities-fitnessActivities-3']);
+					assert.deepEqual(_.map(documents[0].failures, 'rule'), ['valid_time']);
+					assert.deepEqual(documents[1].failures, [{rule: 'non_negative', field: 'duration', message: 'duration must be a number that is not negative'}]);
+					assert.equal(documents[2].failures[0].field, 'total_distance');
+					assert.equal(documents[0].source_uri, userUris.fitness_activities);
+					assert.equal(documents[2].source_uri, userUris.fitness_activities + '?page=1');
+					assert.equal(documents[1].record.duration, -60);
+					assert.equal(documents[1].record._id, undefined);
+					assert.equal(documents[1].data_set, 'fitness_activities');
+					assert.deepEqual(_.pick(pipeRunStats.runkeeper.dataSets.fitness_activities, ['validRecords', 'invalidRecords']), {validRecords: 1, invalidRecords: 3});
+					done();
+				});
+			});
+
+			it('rejects measurements with a weight of 0', function(done) {
+				var items = createItems('/weight', 2);
+				items[0].weight = 0;
+				items[1].weight = 72.5;
+				mock.addFeed(userUris.weight, feedDataSets[1].mediaType, items);
+				fetchDataSet('weight_measurements', function(err, records) {
+					assert.ifError(err);
+					assert.deepEqual(_.map(records, 'weight'), [72.5]);
+					assert.deepEqual(_.map(quarantined.test_quarantine[0].failures, 'rule'), ['positive']);
+					done();
+				});
+			});
+
+			it('has rules for every data set', function() {
+				_.forEach(dataSetCatalog.dataSets, function(dataSet) {
+					assert.ok(recordValidator.hasRules(dataSet.name), dataSet.name);
+				});
+			});
+
+			it('stores invalid derived records along with the page that listed their activity', function(done) {
+				mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, [
+					{uri: '/fitnessActivities/1', type: 'Running', start_time: 'Tue, 22 Mar 2016 06:34:36'}
+				]);
+				mock.addResource('/fitnessActivities/1', 'application/vnd.com.runkeeper.FitnessActivity+json', {
+					uri: '/fitnessActivities/1',
+					type: 'Running',
+					start_time: 'Tue, 22 Mar 2016 06:34:36',
+					duration: -700,
+					total_distance: 2500
+				});
+				pipe.heartRate = {max: 200};
+				fetchDataSet('activity_analysis', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 0);
+					var documents = quarantined.test_quarantine;
+					assert.deepEqual(_.map(documents, '_id'), ['activity_analysis-fitnessActivities-1']);
+					assert.deepEqual(_.map(documents[0].failures, 'field'), ['duration']);
+					assert.equal(documents[0].source_uri, userUris.fitness_activities);
+					done();
+				});
+			});
+
+			it('removes the quarantined records of a data set before a full reload', function(done) {
+				stagedDocuments.test_quarantine = {
+					'weight_measurements-weight-9': {_id: 'weight_measurements-weight-9', _rev: '1-test'},
+					'weight_measurements-unidentified-0123456789abcdef': {_id: 'weight_measurements-unidentified-0123456789abcdef', _rev: '1-test'},
+					'fitness_activities-fitnessActivities-9': {_id: 'fitness_activities-fitnessActivities-9', _rev: '1-test'}
+				};
+				var items = createItems('/weight', 2);
+				items[0].weight = 0;
+				mock.addFeed(userUris.weight, feedDataSets[1].mediaType, items);
+				fetchDataSet('weight_measurements', function(err) {
+					assert.ifError(err);
+					assert.deepEqual(_.keys(stagedDocuments.test_quarantine), ['fitness_activities-fitnessActivities-9']);
+					assert.deepEqual(_.map(quarantined.test_quarantine, '_id'), ['weight_measurements-weight-1']);
+					done();
+				});
+			});
+
+			it('fails if invalid records cannot be stored', function(done) {
+				stagingDb.saveDocuments = function(dbName, documents, callback) {
+					callback('database unavailable');
+				};
+				mock.addFeed(userUris.weight, feedDataSets[1].mediaType, [{uri: '/weight/1'}]);
+				fetchDataSet('weight_measurements', function(err, records) {
+					assert.equal(err, 'database unavailable');
+					assert.equal(records.length, 0);
+					done();
+				});
+			});
+		});
+
+		describe('privacy controls', function() {
+
+			var friend = {uri: '/team/12345', userID: 12345, name: 'Jane Doe', url: 'https://runkeeper.com/user/jdoe', status: 'member'};
+
+			beforeEach(function() {
+				mock.addFeed(userUris.team, feedDataSets[4].mediaType, [friend]);
+			});
+
+			it('hashes names and pseudonymizes user ids with a saved secret', function(done) {
+				pipe.privacy = {names: 'hash', pseudonymizeUserIds: true};
+				fetchDataSet('friends', function(err, records) {
+					assert.ifError(err);
+					var secret = storedPipes[pipe._id].privacy.secret;
+					assert.ok(secret);
+					assert.ok(/^[0-9a-f]{16}$/.test(records[0].name));
+					assert.ok(/^[0-9a-f]{16}$/.test(records[0].userID));
+					assert.ok(/^\/team\/[0-9a-f]{16}$/.test(records[0].uri));
+					assert.ok(/^https:\/\/runkeeper\.com\/user\/[0-9a-f]{16}$/.test(records[0].url));
+					assert.equal(records[0]._id, 'team-' + records[0].uri.substring(6));
+					assert.equal(records[0].status, 'member');
+					// the same secret produces the same pseudonyms in the next run
+					connector.runFinished(pipe);
+					fetchDataSet('friends', function(err, nextRecords) {
+						assert.ifError(err);
+						assert.equal(storedPipes[pipe._id].privacy.secret, secret);
+						assert.deepEqual(nextRecords[0], records[0]);
+						done();
+					});
+				});
+			});
+
+			it('drops names and profile URLs', function(done) {
+				pipe.privacy = {names: 'drop', profileUrls: 'drop'};
+				mock.addResource(userUris.profile, resourceDataSets[1].mediaType, {name: 'Test User', profile: 'https://runkeeper.com/user/test', normal_picture: 'https://example.com/picture.jpg', elite: 'false'});
+				fetchDataSet('profile', function(err, records) {
+					assert.ifError(err);
+					assert.deepEqual(_.omit(records[0], '_id'), {elite: 'false'});
+					// the secret hashes the authors in the ids of comments
+					assert.ok(storedPipes[pipe._id].privacy.secret);
+					done();
+				});
+			});
+
+			it('does not load excluded data sets', function(done) {
+				pipe.privacy = {excludeDataSets: ['friends']};
+				fetchDataSet('friends', function(err, records) {
+					assert.ifError(err);
+					assert.equal(records.length, 0);
+					assert.equal(mock.requestsFor(userUris.team).length, 0);
+					connector.getRunkeeperDataSetList(pipe, function(err, pipe) {
+						assert.ifError(err);
+						assert.equal(_.find(pipe.tables, {name: 'friends'}), undefined);
+						assert.ok(_.find(pipe.tables, {name: 'profile'}));
+						done();
+					});
+				});
+			});
+
+			it('rejects invalid privacy settings', function(done) {
+				pipe.privacy = {names: 'encrypt'};
+				fetchDataSet('friends', function(err) {
+					assert.ok(/names must be keep, drop or hash/.test(err));
+					assert.equal(mock.requests.length, 0);
+					done();
+				});
+			});
+
+			it('does not log credentials or replies of failed requests', function(done) {
+				mock.failNext(userUris.team, 404);
+				fetchDataSet('friends', function(err) {
+					assert.equal(err.statusCode, 404);
+					var log = _.map(pipeRunLog.messages, 'message').join('\n');
+					assert.ok(/HTTP status: 404/.test(log));
+					assert.equal(log.indexOf(ACCESS_TOKEN), -1);
+					assert.equal(log.indexOf(pipe.clientSecret), -1);
+					done();
+				});
+			});
+		});
+
+		it('ignores unknown data sets', function(done) {
+			fetchDataSet('unknown', function(err, records) {
+				assert.ifError(err);
+				assert.equal(records.length, 0);
+				done();
+			});
+		});
+	});
+
+	describe('getRunkeeperDataSetList', function() {
+
+		it('lists the data sets of the resources the account exposes', function(done) {
+			mock.addResource('/user', 'application/vnd.com.runkeeper.User+json', _.assign({userID: 1}, _.omit(userUris, ['sleep', 'diabetes'])));
+			_.forEach(feedDataSets, function(dataSet) {
+				mock.addFeed(dataSet.uri, dataSet.mediaType, createItems(dataSet.uri, 3));
+			});
+			connector.getRunkeeperDataSetList(pipe, function(err, pipe) {
+				assert.ifError(err);
+				var dataSets = _.keyBy(_.filter(pipe.tables, 'name'), 'name');
+				assert.equal(dataSets.sleep_measurements, undefined);
+				assert.equal(dataSets.diabetes_measurements, undefined);
+				assert.ok(dataSets.write_back);
+				assert.ok(_.every(dataSets, 'description'));
+				assert.equal(dataSets.fitness_activities.approximateRecordCount, 3);
+				assert.equal(dataSets.activity_analysis.approximateRecordCount, 3);
+				assert.equal(dataSets.profile.approximateRecordCount, undefined);
+				assert.equal(dataSets.weekly_summary.approximateRecordCount, undefined);
+				// each feed is counted once, using a single-item page
+				assert.equal(mock.requestsFor(userUris.fitness_activities).length, 1);
+				assert.equal(mock.requestsFor(userUris.fitness_activities)[0].query.pageSize, '1');
+				assert.equal(mock.requestsFor(userUris.sleep).length, 0);
+				assert.equal(dataSets.weight_measurements.schema.type, 'object');
+				assert.equal(dataSets.weight_measurements.schema.properties.weight.type, 'number');
+				assert.equal(dataSets.weight_measurements.schema.properties.weight_kg, undefined);
+				done();
+			});
+		});
+
+		it('describes the fields that are added by the pipe configuration', function(done) {
+			pipe.normalizeRecords = true;
+			pipe.activityDetails = true;
+			delete pipe.oAuth;
+			connector.getRunkeeperDataSetList(pipe, function(err, pipe) {
+				assert.ifError(err);
+				var fitnessActivities = _.find(pipe.tables, {name: 'fitness_activities'});
+				assert.ok(fitnessActivities.schema.properties.total_distance_km);
+				assert.equal(fitnessActivities.schema.properties.path.type, 'array');
+				done();
+			});
+		});
+
+		it('lists all data sets if the resources cannot be discovered', function(done) {
+			mock.failNext('/user', 404);
+			connector.getRunkeeperDataSetList(pipe, function(err, pipe) {
+				assert.ifError(err);
+				assert.ok(_.find(pipe.tables, {name: 'sleep_measurements'}));
+				assert.equal(_.find(pipe.tables, {name: 'fitness_activities'}).approximateRecordCount, undefined);
+				// the first entry loads all data sets
+				assert.equal(pipe.tables[0].labelPlural, 'All data sets');
+				done();
+			});
+		});
+	});
+
+	describe('multi-account pipes', function() {
+
+		var SECOND_ACCESS_TOKEN = 'second-access-token';
+
+		beforeEach(function() {
+			mock.addAccessToken(SECOND_ACCESS_TOKEN);
+			delete pipe.oAuth;
+			pipe.multiAccount = true;
+			pipe.accounts = [
+				{id: '101', oAuth: {accessToken: ACCESS_TOKEN}},
+				{id: '102', oAuth: {accessToken: SECOND_ACCESS_TOKEN}}
+			];
+			storedPipes[pipe._id] = _.cloneDeep(pipe);
+		});
+
+		it('adds the accounts of users who authorize the pipe', function(done) {
+			pipe.accounts = [];
+			connector.passportAuthCallbackPostProcessing({id: 101, oauth_access_token: 'a1'}, pipe, function(err, pipe) {
+				assert.ifError(err);
+				connector.passportAuthCallbackPostProcessing({id: 102, oauth_access_token: 'b1'}, pipe, function(err, pipe) {
+					assert.ifError(err);
+					// a user who authorizes again replaces the tokens of the account
+					pipe.accounts[0].oAuth.reauthorizationRequired = true;
+					connector.passportAuthCallbackPostProcessing({id: 101, oauth_access_token: 'a2', oauth_refresh_token: 'r2'}, pipe, function(err, pipe) {
+						assert.ifError(err);
+						assert.deepEqual(_.map(pipe.accounts, 'id'), ['101', '102']);
+						assert.deepEqual(pipe.accounts[0].oAuth, {accessToken: 'a2', refreshToken: 'r2'});
+						assert.equal(pipe.accounts[1].oAuth.accessToken, 'b1');
+						assert.equal(pipe.oAuth, undefined);
+						assert.ok(pipe.tables.length > 0);
+						done();
+					});
+				});
+			});
+		});
+
+		it('fetches the data set of each account and tags the records with the account', function(done) {
+			mock.addFeed(userUris.weight, feedDataSets[1].mediaType, createItems('/weight', 2));
+			mock.addResource(userUris.settings, resourceDataSets[0].mediaType, resourceDataSets[0].body);
+			fetchDataSet('weight_measurements', function(err, records) {
+				assert.ifError(err);
+				assert.deepEqual(_.map(records, '_id'), ['101-weight-1', '101-weight-2', '102-weight-1', '102-weight-2']);
+				assert.deepEqual(_.map(records, 'account_id'), ['101', '101', '102', '102']);
+				assert.deepEqual(_.uniq(_.map(mock.requestsFor(userUris.weight), 'accessToken')), [ACCESS_TOKEN, SECOND_ACCESS_TOKEN]);
+				// high-water marks are kept per account
+				assert.ok(storedPipes[pipe._id].accounts[0].highWaterMarks.weight_measurements);
+				assert.ok(storedPipes[pipe._id].accounts[1].highWaterMarks.weight_measurements);
+				assert.equal(storedPipes[pipe._id].highWaterMarks, undefined);
+				// resources without a uri are identified by data set name and account
+				var getSavedSettings = watchSavedRecords('settings');
+				connector.fetchRecords({name: 'settings'}, _.noop, function(err) {
+					assert.ifError(err);
+					assert.deepEqual(_.map(getSavedSettings(), '_id'), ['101-settings', '102-settings']);
+					assert.equal(pipeRunStats.runkeeper.accounts, 2);
+					done();
+				}, null, pipeRunStats, pipeRunLog, pipe, null);
+			});
+		});
+
+		it('shares the request budget of the run among the accounts', function(done) {
+			// one request every 50 ms
+			pipe.requestsPerMinute = 1200;
+			mock.addFeed(userUris.weight, feedDataSets[1].mediaType, createItems('/weight', 3), 1);
+			fetchDataSet('weight_measurements', function(err, records) {
+				assert.ifError(err);
+				assert.equal(records.length, 6);
+				var times = _.sortBy(_.map(mock.requests, 'time'));
+				assert.equal(times.length, 8);
+				// request n is sent at least n slots after the first request; the slack allows for timer inaccuracy and for
+				// a first request that reaches the server late because the connection is set up
+				_.forEach(times, function(time, index) {
+					assert.ok(time - times[0] >= index * 50 - 40, 'request ' + index + ' was sent ' + (time - times[0]) + ' ms after the first request');
+				});
+				done();
+			});
+		});
+
+		it('pseudonymizes the account id if user ids are pseudonymized', function(done) {
+			pipe.privacy = {pseudonymizeUserIds: true, secret: 'test-secret'};
+			mock.addFeed(userUris.weight, feedDataSets[1].mediaType, createItems('/weight', 1));
+			fetchDataSet('weight_measurements', function(err, records) {
+				assert.ifError(err);
+				assert.ok(/^[0-9a-f]{16}$/.test(records[0].account_id));
+				assert.notEqual(records[0].account_id, records[1].account_id);
+				assert.equal(records[0]._id, records[0].account_id + '-weight-1');
+				done();
+			});
+		});
+
+		it('pseudonymizes the account ids in the log', function(done) {
+			pipe.privacy = {pseudonymizeUserIds: true, secret: 'test-secret'};
+			pipe.accounts[1].oAuth.accessToken = 'revoked-access-token';
+			storedPipes[pipe._id] = _.cloneDeep(pipe);
+			mock.addFeed(userUris.weight, feedDataSets[1].mediaType, createItems('/weight', 1));
+			fetchDataSet('weight_measurements', function(err) {
+				assert.ifError(err);
+				var messages = _.map(pipeRunLog.messages, 'message');
+				assert.ok(_.some(messages, function(message) {
+					return /account [0-9a-f]{16} .* no longer authorized/.test(message);
+				}));
+				assert.ok(! _.some(messages, function(message) {
+					return /\b10[12]\b/.test(message);
+				}));
+				done();
+			});
+		});
+
+		it('skips accounts that are no longer authorized', function(done) {
+			pipe.accounts[1].oAuth.accessToken = 'revoked-access-token';
+			storedPipes[pipe._id] = _.cloneDeep(pipe);
+			mock.addFeed(userUris.weight, feedDataSets[1].mediaType, createItems('/weight', 1));
+			fetchDataSet('weight_measurements', function(err, records) {
+				assert.ifError(err);
+				assert.deepEqual(_.map(records, '_id'), ['101-weight-1']);
+				assert.equal(storedPipes[pipe._id].accounts[1].oAuth.reauthorizationRequired, true);
+				assert.equal(pipeRunStats.runkeeper.skippedAccounts, 1);
+				assert.ok(_.some(pipeRunLog.messages, function(entry) {
+					return /account 102 .* no longer authorized/.test(entry.message);
+				}));
+				done();
+			});
+		});
+
+		it('fails if no account is authorized', function(done) {
+			pipe.accounts = [];
+			fetchDataSet('weight_measurements', function(err) {
+				assert.ok(/No Runkeeper accounts are authorized/.test(err));
+				assert.equal(mock.requests.length, 0);
+				done();
+			});
+		});
+	});
+
+	describe('webhook', function() {
+
+		var SECRET = 'test-webhook-secret';
+		var assignRevisions = stagingDb.assignRevisions;
+		var saveDocuments = stagingDb.saveDocuments;
+		var saved = null;
+		var server = null;
+		var port = null;
+
+		beforeEach(function(done) {
+			saved = {};
+			stagingDb.assignRevisions = function(dbName, records, callback) {
+				callback();
+			};
+			stagingDb.saveDocuments = function(dbName, documents, callback) {
+				saved[dbName] = (saved[dbName] || []).concat(documents);
+				callback();
+			};
+			pipe.connectorId = 'Runkeeper';
+			pipe.oAuth.userId = '1';
+			storedPipes[pipe._id] = _.cloneDeep(pipe);
+			var handler = connector.createWebhookHandler({
+				secret: SECRET,
+				delay: 100,
+				listPipes: function(callback) {
+					callback(null, _.values(storedPipes));
+				}
+			});
+			server = http.createServer(handler);
+			server.listen(0, function() {
+				port = server.address().port;
+				done();
+			});
+		});
+
+		afterEach(function(done) {
+			stagingDb.assignRevisions = assignRevisions;
+			stagingDb.saveDocuments = saveDocuments;
+			server.close(done);
+		});
+
+		/**
+		 * Posts a notification to the webhook endpoint, signed with the secret unless headers are given.
+		 */
+		var notify = function(notification, headers, callback) {
+			var body = _.isString(notification) ? notification : JSON.stringify(notification);
+			var req = http.request({
+				port: port,
+				method: 'POST',
+				headers: headers || {'X-Signature': 'sha256=' + crypto.createHmac('sha256', SECRET).update(body).digest('hex')}
+			}, function(res) {
+				var reply = '';
+				res.on('data', function(chunk) {
+					reply += chunk;
+				});
+				res.on('end', function() {
+					callback(res.statusCode, JSON.parse(reply));
+				});
+			});
+			req.end(body);
+		};
+
+		/**
+		 * Invokes callback once condition() returns true.
+		 */
+		var waitFor = function(condition, callback) {
+			if(condition()) {
+				return callback();
+			}
+			setTimeout(function() {
+				waitFor(condition, callback);
+			}, 10);
+		};
+
+		it('fetches the notified resource once after a burst of notifications', function(done) {
+			mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, createItems('/fitnessActivities', 3));
+			var notification = {userID: 1, resource: 'fitness_activities'};
+			notify(notification, null, function(statusCode, reply) {
+				assert.equal(statusCode, 202);
+				assert.deepEqual(reply, {pipes: ['test-pipe'], dataSet: 'fitness_activities'});
+				notify(notification, null, function(statusCode) {
+					assert.equal(statusCode, 202);
+					waitFor(function() {
+						return saved.test_fitness_activities;
+					}, function() {
+						assert.deepEqual(_.map(saved.test_fitness_activities, '_id'), ['fitnessActivities-1', 'fitnessActivities-2', 'fitnessActivities-3']);
+						assert.equal(mock.requestsFor(userUris.fitness_activities).length, 1);
+						// only the notified resource was fetched
+						assert.deepEqual(_.uniq(_.map(mock.requests, 'pathname')), ['/user', userUris.fitness_activities]);
+						waitFor(function() {
+							return _.get(storedPipes[pipe._id], 'highWaterMarks.fitness_activities');
+						}, done);
+					});
+				});
+			});
+		});
+
+		it('saves the records with the properties that the pipeline sets', function(done) {
+			mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, createItems('/fitnessActivities', 1));
+			notify({userID: 1, resource: 'fitness_activities'}, null, function(statusCode) {
+				assert.equal(statusCode, 202);
+				waitFor(function() {
+					return saved.test_fitness_activities;
+				}, function() {
+					// a pipe run saves the same record
+					var notifiedRecords = saved.test_fitness_activities;
+					saved = {};
+					fetchDataSet('fitness_activities', function(err) {
+						assert.ifError(err);
+						assert.equal(notifiedRecords[0].pt_type, 'fitness_activities');
+						assert.deepEqual(notifiedRecords, saved.test_fitness_activities);
+						done();
+					});
+				});
+			});
+		});
+
+		it('syncs the other notified data sets if a data set cannot be saved', function(done) {
+			mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, createItems('/fitnessActivities', 1));
+			mock.addFeed(userUris.weight, feedDataSets[1].mediaType, createItems('/weight', 1));
+			var saveWeight = stagingDb.saveDocuments;
+			stagingDb.saveDocuments = function(dbName, documents, callback) {
+				if(dbName === 'test_fitness_activities') {
+					return callback('conflict');
+				}
+				saveWeight(dbName, documents, callback);
+			};
+			notify({userID: 1, resource: 'fitness_activities'}, null, function(statusCode) {
+				assert.equal(statusCode, 202);
+				notify({userID: 1, resource: 'weight'}, null, function(statusCode) {
+					assert.equal(statusCode, 202);
+					waitFor(function() {
+						return saved.test_weight_measurements;
+					}, function() {
+						assert.deepEqual(_.map(saved.test_weight_measurements, '_id'), ['weight-1']);
+						done();
+					});
+				});
+			});
+		});
+
+		it('processes a notification after a run that the data pipe did not finish', function(done) {
+			mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, createItems('/fitnessActivities', 1));
+			// runFinished is not called
+			fetchDataSet('fitness_activities', function(err) {
+				assert.ifError(err);
+				// the records of the run are saved as well
+				saved = {};
+				mock.addResource(userUris.change_log, resourceDataSets[2].mediaType, {fitness_activities: {added: ['/fitnessActivities/1'], deleted: []}});
+				notify({userID: 1, resource: 'fitness_activities'}, null, function(statusCode) {
+					assert.equal(statusCode, 202);
+					waitFor(function() {
+						return saved.test_fitness_activities;
+					}, done);
+				});
+			});
+		});
+
+		it('processes a notification later if the data pipe configuration cannot be loaded', function(done) {
+			mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, createItems('/fitnessActivities', 1));
+			var getPipe = pipesDb.getPipe;
+			var loadCount = 0;
+			pipesDb.getPipe = function(pipeId, callback) {
+				loadCount++;
+				if(loadCount === 1) {
+					return callback('database unavailable');
+				}
+				getPipe(pipeId, callback);
+			};
+			notify({userID: 1, resource: 'fitness_activities'}, null, function(statusCode) {
+				assert.equal(statusCode, 202);
+				waitFor(function() {
+					return saved.test_fitness_activities;
+				}, function() {
+					assert.ok(loadCount > 1);
+					done();
+				});
+			});
+		});
+
+		it('receives notifications for a pipe that was authorized without a user id after its next run', function(done) {
+			delete pipe.oAuth.userId;
+			storedPipes[pipe._id] = _.cloneDeep(pipe);
+			mock.addFeed(userUris.fitness_activities, feedDataSets[2].mediaType, createItems('/fitnessActivities', 1));
+			notify({userID: 1, resource: 'fitness_activities'}, null, function(statusCode, reply) {
+				assert.equal(statusCode, 202);
+				assert.deepEqual(reply.pipes, []);
+				mock.addResource(userUris.settings, resourceDataSets[0].mediaType, resourceDataSets[0].body);
+				fetchDataSet('settings', function(err) {
+					assert.ifError(err);
+					assert.equal(storedPipes[pipe._id].oAuth.userId, '1');
+					connector.runFinished(pipe);
+					notify({userID: 1, resource: 'fitness_activities'}, null, function(statusCode, reply) {
+						assert.equal(statusCode, 202);
+						assert.deepEqual(reply.pipes, ['test-pipe']);
+						waitFor(function() {
+							return saved.test_fitness_activities;
+						}, done);
+					});
+				});
+			});
+		});
+
+		it('accepts the shared secret and ignores users of other pipes', function(done) {
+			notify({userID: 2, resource: 'weight'}, {'X-Webhook-Secret': SECRET}, function(statusCode, reply) {
+				assert.equal(statusCode, 202);
+				assert.deepEqual(reply, {pipes: [], dataSet: 'weight_measurements'});
+				done();
+			});
+		});
+
+		it('rejects notifications with an invalid signature', function(done) {
+			notify({userID: 1, resource: 'weight'}, {'X-Signature': 'sha256=0000'}, function(statusCode) {
+				assert.equal(statusCode, 401);
+				notify({userID: 1, resource: 'weight'}, {'X-Webhook-Secret': 'guess'}, function(statusCode) {
+					assert.equal(statusCode, 401);
+					setTimeout(function() {
+						assert.equal(mock.requests.length, 0);
+						done();
+					}, 60);
+				});
+			});
+		});
+
+		it('rejects invalid notifications', function(done) {
+			notify('{"userID": 1', null, function(statusCode, reply) {
+				assert.equal(statusCode, 400);
+				assert.ok(/not valid JSON/.test(reply.error));
+				notify({userID: 1, resource: 'unknown'}, null, function(statusCode, reply) {
+					assert.equal(statusCode, 400);
+					assert.ok(/Unknown Runkeeper resource/.test(reply.error));
+					done();
+				});
+			});
+		});
+	});
+});
+
+describe('recordNormalizer', function() {
+
+	it('adds distance, speed and pace of activities in metric and imperial units', function() {
+		var record = recordNormalizer.normalize({total_distance: 10000, duration: 3000});
+		assert.deepEqual(record, {
+			total_distance: 10000,
+			duration: 3000,
+			total_distance_km: 10,
+			total_distance_mi: 6.214,
+			duration_minutes: 50,
+			speed_kmh: 12,
+			speed_mph: 7.46,
+			pace_min_per_km: 5,
+			pace_min_per_mi: 8.05
+		});
+	});
+
+	it('adds the weight in pounds and the BMI', function() {
+		var record = recordNormalizer.normalize({weight: 70}, {heightCm: 175});
+		assert.equal(record.weight_kg, 70);
+		assert.equal(record.weight_lb, 154.3);
+		assert.equal(record.bmi, 22.9);
+		// the BMI provided by Runkeeper is kept
+		assert.equal(recordNormalizer.normalize({weight: 70, bmi: 23.1}, {heightCm: 175}).bmi, 23.1);
+		assert.equal(recordNormalizer.normalize({weight: 70}).bmi, undefined);
+	});
+
+	it('adds local and UTC timestamps using the UTC offset of the user', function() {
+		var record = recordNormalizer.normalize({start_time: 'Tue, 22 Mar 2016 06:34:36', utc_offset: -5});
+		assert.equal(record.start_time, 'Tue, 22 Mar 2016 06:34:36');
+		assert.equal(record.start_time_local, '2016-03-22T06:34:36-05:00');
+		assert.equal(record.start_time_utc, '2016-03-22T11:34:36.000Z');
+		record = recordNormalizer.normalize({timestamp: 'Sat, 1 Jan 2011 00:00:00', utc_offset: 5.5});
+		assert.equal(record.timestamp_local, '2011-01-01T00:00:00+05:30');
+		assert.equal(record.timestamp_utc, '2010-12-31T18:30:00.000Z');
+	});
+
+	it('adds local timestamps without an offset if the UTC offset is unknown', function() {
+		var record = recordNormalizer.normalize({timestamp: 'Tue, 22 Mar 2016 06:34:36'});
+		assert.equal(record.timestamp_local, '2016-03-22T06:34:36');
+		assert.equal(record.timestamp_utc, undefined);
+	});
+
+	it('parses Runkeeper local times', function() {
+		assert.equal(recordNormalizer.parseLocalTime('Tue, 22 Mar 2016 06:34:36'), Date.UTC(2016, 2, 22, 6, 34, 36));
+		assert.ok(isNaN(recordNormalizer.parseLocalTime('not a date')));
+		assert.ok(isNaN(recordNormalizer.parseLocalTime(null)));
+	});
+
+	it('skips fields that are missing or invalid', function() {
+		assert.deepEqual(recordNormalizer.normalize({uri: '/fitnessActivities/1', start_time: 'yesterday', weight: 0}), {uri: '/fitnessActivities/1', start_time: 'yesterday', weight: 0});
+		// activities without duration have a distance, but no speed or pace
+		assert.deepEqual(recordNormalizer.normalize({total_distance: 1000, duration: 0}), {total_distance: 1000, duration: 0, total_distance_km: 1, total_distance_mi: 0.621});
+		assert.equal(recordNormalizer.normalize(null), null);
+	});
+});
+
+describe('activityAnalysis', function() {
+
+	it('finds the best efforts of an activity with a sample per second', function() {
+		// 10 km at 5:00 min/km, except for the fifth kilometer at 4:00 min/km
+		var distance = _.times(2941, function(timestamp) {
+			if(timestamp <= 1200) {
+				return {timestamp: timestamp, distance: timestamp * 1000 / 300};
+			}
+			if(timestamp <= 1440) {
+				return {timestamp: timestamp, distance: 4000 + (timestamp - 1200) * 1000 / 240};
+			}
+			return {timestamp: timestamp, distance: 5000 + (timestamp - 1440) * 1000 / 300};
+		});
+		var analysis = activityAnalysis.analyze({uri: '/fitnessActivities/1', distance: distance});
+		assert.deepEqual(analysis.best_efforts, {'1k': 240, '5k': 1440, '10k': 2940});
+		assert.deepEqual(_.map(analysis.splits_km, 'duration'), [300, 300, 300, 300, 240, 300, 300, 300, 300, 300]);
+	});
+});
+
+describe('activityDeduplication', function() {
+
+	var settings = activityDeduplication.getSettings({deduplication: {sourcePriority: ['Garmin']}});
+
+	it('groups activities that overlap any activity of the group', function() {
+		var activities = [
+			{uri: '/fitnessActivities/4', type: 'Running', start_time: 'Tue, 22 Mar 2016 06:39:00', duration: 1800, source: 'RunKeeper'},
+			{uri: '/fitnessActivities/3', type: 'Running', start_time: 'Tue, 22 Mar 2016 06:35:00', duration: 1800, source: 'Garmin'},
+			{uri: '/fitnessActivities/2', type: 'Running', start_time: 'not a date', duration: 1800},
+			{uri: '/fitnessActivities/1', type: 'Running', start_time: 'Tue, 22 Mar 2016 06:31:00', duration: 1800, source: 'RunKeeper'}
+		];
+		var groups = activityDeduplication.findDuplicates(settings, activities);
+		assert.deepEqual(_.map(groups, 'retained.uri'), ['/fitnessActivities/3', '/fitnessActivities/2']);
+		assert.deepEqual(_.map(groups[0].duplicates, 'uri'), ['/fitnessActivities/4', '/fitnessActivities/1']);
+	});
+
+	it('compares activities only within the start time tolerance', function() {
+		// an activity every hour, recorded by a watch and by the app
+		var start = Date.UTC(2016, 0, 1);
+		var activities = _.flatMap(_.range(2500), function(hour) {
+			var startTime = new Date(start - hour * 3600000).toUTCString().replace(' GMT', '');
+			return [
+				{uri: '/fitnessActivities/' + (hour * 2 + 1), type: 'Running', start_time: startTime, duration: 1800, source: 'RunKeeper'},
+				{uri: '/fitnessActivities/' + (hour * 2 + 2), type: 'Running', start_time: startTime, duration: 1800, source: 'Garmin'}
+			];
+		});
+		var startedAt = Date.now();
+		var groups = activityDeduplication.findDuplicates(settings, activities);
+		assert.ok(Date.now() - startedAt < 1000);
+		assert.equal(groups.length, 2500);
+		assert.deepEqual(_.map(groups.slice(0, 2), 'retained.uri'), ['/fitnessActivities/2', '/fitnessActivities/4']);
+		assert.deepEqual(_.map(groups[0].duplicates, 'uri'), ['/fitnessActivities/1']);
+	});
+});
+
+describe('privacy', function() {
+
+	var getOffset = function(original, point) {
+		return {
+			north: Math.round((point.latitude - original.latitude) * 111320),
+			east: Math.round((point.longitude - original.longitude) * 111320 * Math.cos(original.latitude * Math.PI / 180))
+		};
+	};
+
+	it('moves the points at each end of a path by the same offset', function() {
+		// 20 points, 10 meters apart
+		var path = _.times(20, function(index) {
+			return {timestamp: index, latitude: 40 + index * 10 / 111195, longitude: -73, altitude: 10};
+		});
+		var settings = privacy.getSettings({privacy: {pathPrivacyZone: {meters: 45, mode: 'fuzz'}}});
+		var fuzzed = privacy.protectPath(settings, {path: _.cloneDeep(path)}).path;
+		assert.equal(fuzzed.length, 20);
+		var offsets = _.map(fuzzed, function(point, index) {
+			return getOffset(path[index], point);
+		});
+		var start = offsets[0];
+		var startDistance = Math.sqrt(start.north * start.north + start.east * start.east);
+		assert.ok((startDistance >= 22) && (startDistance <= 46));
+		// the offset tapers off towards the edge of the zone
+		_.forEach(_.range(1, 5), function(index) {
+			assert.ok(Math.abs(offsets[index].north - start.north * (1 - index * 10 / 45)) <= 1);
+			assert.ok(Math.abs(offsets[index].east - start.east * (1 - index * 10 / 45)) <= 1);
+		});
+		assert.deepEqual(fuzzed.slice(5, 15), path.slice(5, 15));
+		assert.notDeepEqual(offsets[19], {north: 0, east: 0});
+	});
+});
@@ -0,0 +1,270 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+'use strict';
+
+var http = require('http');
+var querystring = require('querystring');
+var url = require('url');
+var _ = require('lodash');
+
+/**
+ * Local stand-in for the Runkeeper Health Graph API, used by the tests.
+ * Serves single resources and paged feeds (linked using 'next'), accepts new feed items, verifies the Accept,
+ * Content-Type and Authorization headers and can be instructed to fail requests with a given HTTP status. Renews
+ * access tokens at TOKEN_PATH (see addRefreshToken).
+ * @param accessToken - the access token that requests must present
+ */
+function MockHealthGraph(accessToken) {
+	this.accessTokens = [accessToken];
+	this.server = http.createServer(this.handleRequest.bind(this));
+	this.reset();
+}
+
+/**
+ * Starts the server on a random local port. The API URL is available in property url.
+ * @param callback()
+ */
+MockHealthGraph.prototype.start = function(callback) {
+	var mock = this;
+	mock.server.listen(0, '127.0.0.1', function() {
+		mock.url = 'http://127.0.0.1:' + mock.server.address().port;
+		callback();
+	});
+};
+
+/**
+ * Stops the server.
+ * @param callback()
+ */
+MockHealthGraph.prototype.stop = function(callback) {
+	this.server.close(callback);
+};
+
+/**
+ * Accepts an additional access token, e.g. of another account. All tokens have access to the same resources.
+ * @param accessToken - access token
+ */
+MockHealthGraph.prototype.addAccessToken = function(accessToken) {
+	this.accessTokens.push(accessToken);
+};
+
+/**
+ * Accepts a refresh token: a token request with the refresh token issues the given tokens, and the issued access token
+ * is accepted from then on. Token requests with other refresh tokens fail with HTTP status 400.
+ * @param refreshToken - refresh token
+ * @param tokens - reply to the token request: {access_token, [refresh_token]}
+ */
+MockHealthGraph.prototype.addRefreshToken = function(refreshToken, tokens) {
+	this.refreshTokens[refreshToken] = tokens;
+};
+
+/**
+ * Removes all resources, pending failures, recorded requests and additional access and refresh tokens.
+ */
+MockHealthGraph.prototype.reset = function() {
+	this.accessTokens = _.take(this.accessTokens, 1);
+	this.refreshTokens = {};
+	this.resources = {};
+	this.failures = {};
+	this.requests = [];
+};
+
+/**
+ * Serves a single resource.
+ * @param uri - resource URI, e.g. /settings
+ * @param mediaType - media type that requests must accept
+ * @param body - JSON reply
+ */
+MockHealthGraph.prototype.addResource = function(uri, mediaType, body) {
+	this.resources[uri] = {mediaType: mediaType, body: body};
+};
+
+/**
+ * Serves a paged feed. Page n (starting at 0) is available at <uri>?page=n; every page but the last links to the
+ * next page. Requests can set the page size using query parameter pageSize and restrict the feed using query
+ * parameters noEarlierThan and noLaterThan (compared with the day of start_time or timestamp) and
+ * modifiedNoEarlierThan (see setModifiedItems); the parameters are kept in the links.
+ * @param uri - feed URI, e.g. /fitnessActivities
+ * @param mediaType - media type that requests must accept
+ * @param items - all items of the feed
+ * @param [pageSize] - number of items per page (default: 25)
+ */
+MockHealthGraph.prototype.addFeed = function(uri, mediaType, items, pageSize) {
+	this.resources[uri] = {mediaType: mediaType, items: items, pageSize: pageSize || 25};
+};
+
+/**
+ * Sets the items of a feed that requests with query parameter modifiedNoEarlierThan list. Unless set, these requests
+ * list all items.
+ * @param uri - feed URI, e.g. /fitnessActivities
+ * @param uris - URIs of the modified items
+ */
+MockHealthGraph.prototype.setModifiedItems = function(uri, uris) {
+	this.resources[uri].modifiedUris = uris;
+};
+
+/**
+ * Returns the items of a feed that match the query parameters of a request, see addFeed.
+ */
+var filterItems = function(resource, query) {
+	return _.filter(resource.items, function(item) {
+		var time = Date.parse((item.start_time || item.timestamp) + ' GMT');
+		var day = isNaN(time) ? null : new Date(time).toISOString().substring(0, 10);
+		return ((! query.noEarlierThan) || (day && (day >= query.noEarlierThan))) &&
+			((! query.noLaterThan) || (day && (day <= query.noLaterThan))) &&
+			((! query.modifiedNoEarlierThan) || (! resource.modifiedUris) || _.includes(resource.modifiedUris, item.uri));
+	});
+};
+
+/**
+ * Accepts new items for a feed (POST). Created items are appended to the feed.
+ * @param uri - feed URI, e.g. /fitnessActivities
+ * @param mediaType - media type of new items, e.g. application/vnd.com.runkeeper.NewFitnessActivity+json
+ */
+MockHealthGraph.prototype.acceptNewItems = function(uri, mediaType) {
+	this.resources[uri].newMediaType = mediaType;
+};
+
+/**
+ * Fails the next request for a resource.
+ * @param uri - resource URI (without query)
+ * @param statusCode - HTTP status of the reply
+ * @param [headers] - HTTP headers of the reply, e.g. {'Retry-After': '0'}
+ * @param [method] - only fail a request with this HTTP method, e.g. POST
+ */
+MockHealthGraph.prototype.failNext = function(uri, statusCode, headers, method) {
+	this.failures[uri] = this.failures[uri] || [];
+	this.failures[uri].push({statusCode: statusCode, headers: headers || {}, method: method});
+};
+
+/**
+ * Returns the recorded requests for a resource.
+ * @param uri - resource URI (without query)
+ * @returns array of {method, pathname, query, accept, accessToken, time, [body]} - time: time (ms) the request was received;
+ *  body: the item of POST requests that created an item
+ */
+MockHealthGraph.prototype.requestsFor = function(uri) {
+	return _.filter(this.requests, {pathname: uri});
+};
+
+/**
+ * Sends a JSON reply.
+ */
+var reply = function(res, statusCode, body, headers) {
+	res.writeHead(statusCode, _.assign({'Content-Type': 'application/json'}, headers));
+	res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+/**
+ * Creates a feed item from a POST request.
+ */
+MockHealthGraph.prototype.createItem = function(req, res, pathname, resource, recordedRequest) {
+	if(req.headers['content-type'] !== resource.newMediaType) {
+		return reply(res, 415, {error: 'Unsupported media type ' + req.headers['content-type']});
+	}
+	var body = '';
+	req.on('data', function(chunk) {
+		body += chunk;
+	});
+	req.on('end', function() {
+		var item = JSON.parse(body);
+		recordedRequest.body = _.clone(item);
+		item.uri = pathname + '/new' + (resource.items.length + 1);
+		resource.items.push(item);
+		reply(res, 201, undefined, {'Location': item.uri});
+	});
+};
+
+/**
+ * Issues new tokens for a refresh token (POST to TOKEN_PATH with a form body), see addRefreshToken.
+ */
+MockHealthGraph.prototype.issueTokens = function(req, res, recordedRequest) {
+	var mock = this;
+	var body = '';
+	req.on('data', function(chunk) {
+		body += chunk;
+	});
+	req.on('end', function() {
+		var form = querystring.parse(body);
+		recordedRequest.body = form;
+		var tokens = (form.grant_type === 'refresh_token') && mock.refreshTokens[form.refresh_token];
+		if(! tokens) {
+			return reply(res, 400, {error: 'invalid_grant'});
+		}
+		mock.accessTokens.push(tokens.access_token);
+		reply(res, 200, tokens);
+	});
+};
+
+MockHealthGraph.prototype.handleRequest = function(req, res) {
+	var requestUrl = url.parse(req.url, true);
+	var pathname = requestUrl.pathname;
+	var recordedRequest = {
+		method: req.method,
+		pathname: pathname,
+		query: requestUrl.query,
+		accept: req.headers.accept,
+		accessToken: (req.headers.authorization || '').replace(/^Bearer /, ''),
+		time: Date.now()
+	};
+	this.requests.push(recordedRequest);
+
+	if((pathname === MockHealthGraph.TOKEN_PATH) && (req.method === 'POST')) {
+		return this.issueTokens(req, res, recordedRequest);
+	}
+	if(this.accessTokens.indexOf(recordedRequest.accessToken) === -1) {
+		return reply(res, 401, {error: 'Invalid access token'});
+	}
+	var failureIndex = _.findIndex(this.failures[pathname], function(failure) {
+		return (! failure.method) || (failure.method === req.method);
+	});
+	if(failureIndex !== -1) {
+		var failure = this.failures[pathname].splice(failureIndex, 1)[0];
+		return reply(res, failure.statusCode, {error: 'Simulated failure'}, failure.headers);
+	}
+	var resource = this.resources[pathname];
+	if(! resource) {
+		return reply(res, 404, {error: 'Not found'});
+	}
+	if((req.method === 'POST') && resource.newMediaType) {
+		return this.createItem(req, res, pathname, resource, recordedRequest);
+	}
+	if(req.headers.accept !== resource.mediaType) {
+		return reply(res, 415, {error: 'Unsupported media type ' + req.headers.accept});
+	}
+	if(! resource.items) {
+		return reply(res, 200, resource.body);
+	}
+
+	var page = parseInt(requestUrl.query.page || '0', 10);
+	var pageSize = parseInt(requestUrl.query.pageSize, 10) || resource.pageSize;
+	var start = page * pageSize;
+	var items = filterItems(resource, requestUrl.query);
+	var body = {
+		size: items.length,
+		items: items.slice(start, start + pageSize)
+	};
+	if(start + pageSize < items.length) {
+		body.next = pathname + '?' + querystring.stringify(_.assign({page: page + 1}, _.omit(requestUrl.query, 'page')));
+	}
+	return reply(res, 200, body);
+};
+
+// path of the token endpoint, relative to the URL of the mock
+MockHealthGraph.TOKEN_PATH = '/apps/token';
+
+module.exports = MockHealthGraph;
@@ -0,0 +1,329 @@
+//-------------------------------------------------------------------------------
+// Copyright IBM Corp. 2016
+//
+// Licensed under the Apache License, Version 2.0 (the 'License');
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an 'AS IS' BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//-------------------------------------------------------------------------------
+
+/* jshint mocha: true */
+
+'use strict';
+
+var assert = require('assert');
+var events = require('events');
+var util = require('util');
+var _ = require('lodash');
+var nano = require('nano');
+var nock = require('nock');
+
+var pipesSDK = require('simple-data-pipe-sdk');
+var stagingDb = require('../lib/stagingDb');
+
+// nock intercepts HTTP requests while it is active; it is only activated for these tests
+nock.restore();
+
+var CLOUDANT_URL = 'http://cloudant.test';
+
+/**
+ * Stand-in for the Cloudant database handle of the pipes SDK: it provides a nano handle of the database on the
+ * intercepted Cloudant endpoint. Databases whose names start with 'unavailable' cannot be initialized.
+ * @param dbName - name of the database
+ */
+function CloudantDb(dbName) {
+	events.EventEmitter.call(this);
+	var cloudantDb = this;
+	var db = nano(CLOUDANT_URL).use(dbName);
+	this.run = function(callback) {
+		callback(null, db);
+	};
+	setImmediate(function() {
+		if(dbName.indexOf('unavailable') === 0) {
+			return cloudantDb.emit('cloudant_error', 'Database ' + dbName + ' is not available');
+		}
+		cloudantDb.emit('cloudant_ready');
+	});
+}
+
+util.inherits(CloudantDb, events.EventEmitter);
+
+describe('Staging database', function() {
+
+	var cloudantDb = pipesSDK.cloudant.db;
+	var cloudant = null;
+
+	before(function() {
+		pipesSDK.cloudant.db = CloudantDb;
+		nock.activate();
+		nock.disableNetConnect();
+	});
+
+	after(function() {
+		pipesSDK.cloudant.db = cloudantDb;
+		nock.enableNetConnect();
+		nock.restore();
+	});
+
+	beforeEach(function() {
+		cloudant = nock(CLOUDANT_URL);
+	});
+
+	afterEach(function() {
+		nock.cleanAll();
+	});
+
+	/**
+	 * Returns rows of _all_docs for documents test-<from> to test-<to - 1>.
+	 */
+	var createRows = function(from, to) {
+		return _.map(_.range(from, to), function(i) {
+			var id = 'test-' + _.padStart(i, 4, '0');
+			return {id: id, key: id, value: {rev: '1-' + i}};
+		});
+	};
+
+	describe('run', function() {
+
+		it('reports databases that cannot be initialized and tries again on the next call', function(done) {
+			stagingDb.run('unavailable', function(err) {
+				assert.equal(err, 'Database unavailable is not available');
+				stagingDb.run('unavailable', function(err) {
+					assert.equal(err, 'Database unavailable is not available');
+					done();
+				});
+			});
+		});
+	});
+
+	describe('assignRevisions', function() {
+
+		it('attaches the revisions of stored documents', function(done) {
+			cloudant.post('/revisions/_all_docs', {keys: ['a', 'b', 'c']}).reply(200, {rows: [
+				{id: 'a', key: 'a', value: {rev: '1-a'}},
+				{key: 'b', error: 'not_found'},
+				{id: 'c', key: 'c', value: {rev: '2-c', deleted: true}}
+			]});
+			var records = [{_id: 'a'}, {_id: 'b'}, {_id: 'c'}, {name: 'without id'}];
+			stagingDb.assignRevisions('revisions', records, function(err) {
+				assert.ifError(err);
+				assert.deepEqual(records, [{_id: 'a', _rev: '1-a'}, {_id: 'b'}, {_id: 'c'}, {name: 'without id'}]);
+				assert.ok(cloudant.isDone());
+				done();
+			});
+		});
+
+		it('does not query the database for records without ids', function(done) {
+			stagingDb.assignRevisions('revisions', [{name: 'without id'}], function(err) {
+				assert.ifError(err);
+				done();
+			});
+		});
+
+		it('fails if the revisions cannot be read', function(done) {
+			cloudant.post('/revisions/_all_docs').reply(500, {error: 'internal_server_error', reason: 'test'});
+			stagingDb.assignRevisions('revisions', [{_id: 'a'}], function(err) {
+				assert.equal(err.statusCode, 500);
+				done();
+			});
+		});
+	});
+
+	describe('saveDocuments', function() {
+
+		it('replaces stored documents', function(done) {
+			cloudant.post('/save/_all_docs', {keys: ['a', 'b']}).reply(200, {rows: [
+				{id: 'a', key: 'a', value: {rev: '1-a'}},
+				{key: 'b', error: 'not_found'}
+			]});
+			cloudant.post('/save/_bulk_docs', {docs: [{_id: 'a', _rev: '1-a', value: 1}, {_id: 'b', value: 2}]}).reply(201, [
+				{id: 'a', rev: '2-a'},
+				{id: 'b', rev: '1-b'}
+			]);
+			stagingDb.saveDocuments('save', [{_id: 'a', value: 1}, {_id: 'b', value: 2}], function(err) {
+				assert.ifError(err);
+				assert.ok(cloudant.isDone());
+				done();
+			});
+		});
+
+		it('fails if a document was modified concurrently (409)', function(done) {
+			cloudant.post('/save/_all_docs').reply(200, {rows: [{id: 'a', key: 'a', value: {rev: '1-a'}}]});
+			cloudant.post('/save/_bulk_docs').reply(201, [
+				{id: 'a', error: 'conflict', reason: 'Document update conflict.'},
+				{id: 'test-1', rev: '1-test'}
+			]);
+			stagingDb.saveDocuments('save', [{_id: 'a'}, {name: 'without id'}], function(err) {
+				assert.equal(err, '1 document(s) could not be saved: conflict Document update conflict.');
+				done();
+			});
+		});
+
+		it('fails if the documents cannot be saved', function(done) {
+			cloudant.post('/save/_bulk_docs').reply(503, {error: 'service_unavailable', reason: 'test'});
+			stagingDb.saveDocuments('save', [{name: 'without id'}], function(err) {
+				assert.equal(err.statusCode, 503);
+				done();
+			});
+		});
+	});
+
+	describe('deleteDocuments', function() {
+
+		it('deletes the stored documents and counts the documents that were deleted', function(done) {
+			cloudant.post('/delete/_all_docs', {keys: ['a', 'b', 'c', 'd']}).reply(200, {rows: [
+				{id: 'a', key: 'a', value: {rev: '1-a'}},
+				{key: 'b', error: 'not_found'},
+				{id: 'c', key: 'c', value: {rev: '2-c', deleted: true}},
+				{id: 'd', key: 'd', value: {rev: '3-d'}}
+			]});
+			cloudant.post('/delete/_bulk_docs', {docs: [{_id: 'a', _rev: '1-a', _deleted: true}, {_id: 'd', _rev: '3-d', _deleted: true}]}).reply(201, [
+				{id: 'a', rev: '2-a'},
+				{id: 'd', error: 'conflict', reason: 'Document update conflict.'}
+			]);
+			stagingDb.deleteDocuments('delete', ['a', 'b', 'c', 'd'], function(err, deletedCount) {
+				assert.ifError(err);
+				assert.equal(deletedCount, 1);
+				assert.ok(cloudant.isDone());
+				done();
+			});
+		});
+
+		it('does not write to the database if none of the documents is stored', function(done) {
+			cloudant.post('/delete/_all_docs').reply(200, {rows: [{key: 'b', error: 'not_found'}]});
+			stagingDb.deleteDocuments('delete', ['b'], function(err, deletedCount) {
+				assert.ifError(err);
+				assert.equal(deletedCount, 0);
+				assert.ok(cloudant.isDone());
+				done();
+			});
+		});
+	});
+
+	describe('listChanges', function() {
+
+		it('returns the latest revision of the documents that changed since an update sequence', function(done) {
+			var firstPage = _.map(createRows(0, 500), function(row, i) {
+				return {id: row.id, seq: 's' + i, doc: {_id: row.id, _rev: row.value.rev}};
+			});
+			// the first document was deleted on the second page, the second document was modified again
+			var secondPage = [
+				{id: 'test-0000', seq: 's500', deleted: true, doc: {_id: 'test-0000', _rev: '2-0', _deleted: true}},
+				{id: 'test-0001', seq: 's501', doc: {_id: 'test-0001', _rev: '2-1'}},
+				{id: '_design/test', seq: 's502', doc: {_id: '_design/test', _rev: '1-design'}}
+			];
+			cloudant.get('/changes/_changes').query({include_docs: 'true', limit: '500', since: 's'}).reply(200, {results: firstPage, last_seq: 's499'});
+			cloudant.get('/changes/_changes').query({include_docs: 'true', limit: '500', since: 's499'}).reply(200, {results: secondPage, last_seq: 's502'});
+			stagingDb.listChanges('changes', 's', function(err, documents, lastSequence) {
+				assert.ifError(err);
+				assert.equal(documents.length, 499);
+				assert.equal(_.find(documents, {_id: 'test-0000'}), undefined);
+				assert.equal(_.find(documents, {_id: 'test-0001'})._rev, '2-1');
+				assert.equal(lastSequence, 's502');
+				assert.ok(cloudant.isDone());
+				done();
+			});
+		});
+
+		it('keeps the update sequence if nothing changed', function(done) {
+			cloudant.get('/changes/_changes').query({include_docs: 'true', limit: '500', since: 's9'}).reply(200, {results: []});
+			stagingDb.listChanges('changes', 's9', function(err, documents, lastSequence) {
+				assert.ifError(err);
+				assert.deepEqual(documents, []);
+				assert.equal(lastSequence, 's9');
+				done();
+			});
+		});
+	});
+
+	describe('clearDocuments', function() {
+
+		it('deletes all documents page by page, except design documents', function(done) {
+			var rows = createRows(0, 502);
+			rows.splice(1, 0, {id: '_design/test', key: '_design/test', value: {rev: '1-design'}});
+			cloudant.get('/clear/_all_docs').query({limit: '501'}).reply(200, {rows: rows.slice(0, 501)});
+			cloudant.get('/clear/_all_docs').query({limit: '501', startkey: '"test-0499"'}).reply(200, {rows: rows.slice(500)});
+			var deleted = [];
+			cloudant.post('/clear/_bulk_docs').times(2).reply(201, function(uri, body) {
+				deleted = deleted.concat(_.map(body.docs, '_id'));
+				return _.map(body.docs, function(document) {
+					return {id: document._id, rev: '2-deleted'};
+				});
+			});
+			stagingDb.clearDocuments('clear', function(err, deletedCount) {
+				assert.ifError(err);
+				assert.equal(deletedCount, 502);
+				assert.deepEqual(deleted, _.map(createRows(0, 502), 'id'));
+				assert.ok(cloudant.isDone());
+				done();
+			});
+		});
+
+		it('fails if the documents cannot be listed', function(done) {
+			cloudant.get('/clear/_all_docs').query(true).reply(500, {error: 'internal_server_error', reason: 'test'});
+			stagingDb.clearDocuments('clear', function(err) {
+				assert.equal(err.statusCode, 500);
+				done();
+			});
+		});
+	});
+
+	describe('queryView', function() {
+
+		var view = {design: 'test', name: 'by_time', map: 'function(doc) { emit(doc.time, null); }'};
+
+		it('creates the design document of the view once and returns the documents within the key range', function(done) {
+			cloudant.get('/view/_design/test').reply(404, {error: 'not_found', reason: 'missing'});
+			cloudant.post('/view', {_id: '_design/test', views: {by_time: {map: view.map}}}).reply(201, {ok: true, id: '_design/test', rev: '1-design'});
+			cloudant.get('/view/_design/test/_view/by_time').times(2).query({startkey: '1', endkey: '9', include_docs: 'true', limit: '501'}).reply(200, {rows: [
+				{id: 'a', key: 1, doc: {_id: 'a', time: 1}},
+				{id: 'b', key: 2, doc: {_id: 'b', time: 2}}
+			]});
+			stagingDb.queryView('view', view, 1, 9, function(err, documents) {
+				assert.ifError(err);
+				assert.deepEqual(_.map(documents, '_id'), ['a', 'b']);
+				// the design document is not read again
+				stagingDb.queryView('view', view, 1, 9, function(err, documents) {
+					assert.ifError(err);
+					assert.equal(documents.length, 2);
+					assert.ok(cloudant.isDone());
+					done();
+				});
+			});
+		});
+
+		it('uses a design document that another process created concurrently (409)', function(done) {
+			cloudant.get('/concurrent/_design/test').reply(404, {error: 'not_found', reason: 'missing'});
+			cloudant.post('/concurrent').reply(409, {error: 'conflict', reason: 'Document update conflict.'});
+			cloudant.get('/concurrent/_design/test/_view/by_time').query(true).reply(200, {rows: []});
+			stagingDb.queryView('concurrent', view, 1, 9, function(err, documents) {
+				assert.ifError(err);
+				assert.deepEqual(documents, []);
+				assert.ok(cloudant.isDone());
+				done();
+			});
+		});
+
+		it('pages through the view starting with the key and id of the first row of the next page', function(done) {
+			var rows = _.map(createRows(0, 502), function(row) {
+				return {id: row.id, key: 5, doc: {_id: row.id}};
+			});
+			cloudant.get('/paged/_design/test').reply(200, {_id: '_design/test', _rev: '1-design', views: {by_time: {map: view.map}}});
+			cloudant.get('/paged/_design/test/_view/by_time').query({startkey: '1', endkey: '9', include_docs: 'true', limit: '501'}).reply(200, {rows: rows.slice(0, 501)});
+			cloudant.get('/paged/_design/test/_view/by_time').query({startkey: '5', endkey: '9', include_docs: 'true', limit: '501', startkey_docid: 'test-0500'}).reply(200, {rows: rows.slice(500)});
+			stagingDb.queryView('paged', view, 1, 9, function(err, documents) {
+				assert.ifError(err);
+				assert.deepEqual(_.map(documents, '_id'), _.map(rows, 'id'));
+				assert.ok(cloudant.isDone());
+				done();
+			});
+		});
+	});
+});